@@ -9,6 +9,9 @@ const http = require("http");
 // import routes
 const authRoutes = require("./routes/auth.routes");
 const rideRoutes = require("./routes/ride.routes");
+const adminRoutes = require("./routes/admin.routes");
+const driverRoutes = require("./routes/driver.routes");
+const paymentRoutes = require("./routes/payment.routes");
 
 // import middleware
 const authMiddleware = require("./middleware/auth.middleware");
@@ -16,6 +19,8 @@ const errorHandler = require("./middleware/error.middleware");
 
 // import db
 const db = require("./utils/db");
+const rideAccess = require("./utils/rideAccess.utils");
+const dispatch = require("./utils/dispatch.utils");
 
 // initialize Express app
 const app = express();
@@ -32,7 +37,10 @@ app.use(morgan("dev"));
 
 // routes
 app.use("/api/auth", authRoutes);
-app.use("/api/rides", authMiddleware, rideRoutes);
+app.use("/api/rides", rideRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/driver", driverRoutes);
+app.use("/api/payments", paymentRoutes);
 
 // error handling middleware
 app.use(errorHandler);
@@ -54,17 +62,47 @@ const setupWebsockets = (server) => {
     },
   });
 
+  // authenticate every connection with the same JWT checks as the REST API
+  io.use(async (socket, next) => {
+    const token =
+      socket.handshake.auth?.token ||
+      socket.handshake.headers?.authorization?.split(" ")[1];
+
+    if (!token) {
+      const error = new Error("Unauthorized - No token");
+      error.data = { code: "UNAUTHORIZED" };
+      return next(error);
+    }
+
+    try {
+      const { user, decoded } = await authMiddleware.authenticateToken(token);
+      socket.data.user = user;
+      socket.data.token = decoded;
+      next();
+    } catch (err) {
+      const error = new Error(authMiddleware.getAuthErrorMessage(err));
+      error.data = { code: "UNAUTHORIZED" };
+      next(error);
+    }
+  });
+
   // websocket connection for ride status updates
   io.on("connection", (socket) => {
-    console.log(`New client connected: ${socket.id}`);
+    console.log(`New client connected: ${socket.id} (user ${socket.data.user.id})`);
 
     // client joining a ride
-    socket.on("joinRide", (rideId) => {
+    socket.on("joinRide", (rideId, ack) => {
+      // Report a failure both as an "error" event and through the optional ack
+      const fail = (code, message) => {
+        const error = { code, message, rideId };
+        socket.emit("error", error);
+        if (typeof ack === "function") ack({ ok: false, error });
+      };
+
       try {
         // Validate rideId
         if (!rideId || isNaN(parseInt(rideId))) {
-          socket.emit("error", { message: "Invalid ride ID" });
-          return;
+          return fail("INVALID_RIDE_ID", "Invalid ride ID");
         }
 
         // Convert to number if it's a numeric string
@@ -73,8 +111,12 @@ const setupWebsockets = (server) => {
         // Check if ride exists
         const ride = db.rides.find(r => r.id === numericRideId);
         if (!ride) {
-          socket.emit("error", { message: "Ride not found" });
-          return;
+          return fail("RIDE_NOT_FOUND", "Ride not found");
+        }
+
+        // Only the rider, the assigned driver or an admin may follow the ride
+        if (!rideAccess.canViewRide(socket.data.user, ride)) {
+          return fail("FORBIDDEN", "You are not allowed to follow this ride");
         }
 
         socket.join(rideId.toString());
@@ -82,12 +124,49 @@ const setupWebsockets = (server) => {
         
         // Send initial status update
         socket.emit("statusUpdate", ride);
+        if (typeof ack === "function") ack({ ok: true });
       } catch (error) {
         console.error(`Error joining ride: ${error.message}`);
-        socket.emit("error", { message: "Failed to join ride" });
+        fail("JOIN_FAILED", "Failed to join ride");
       }
     });
 
+    // drivers answering ride offers
+    const user = socket.data.user;
+    if (user.role === "driver" && user.driverId) {
+      socket.join(dispatch.driverRoom(user.driverId));
+    }
+
+    /**
+     * Handle a driver's answer to a ride offer
+     * @param {Function} respond - dispatch.acceptOffer or dispatch.declineOffer
+     * @returns {Function} Socket event handler taking (rideId, ack)
+     */
+    const answerOffer = (respond) => (rideId, ack) => {
+      const reply = (result) => {
+        if (!result.ok) socket.emit("error", { ...result.error, rideId });
+        if (typeof ack === "function") ack(result);
+      };
+
+      if (user.role !== "driver" || !user.driverId) {
+        return reply({ ok: false, error: { code: "FORBIDDEN", message: "Only drivers can answer ride offers" } });
+      }
+      if (!rideId || isNaN(parseInt(rideId))) {
+        return reply({ ok: false, error: { code: "INVALID_RIDE_ID", message: "Invalid ride ID" } });
+      }
+
+      try {
+        const result = respond(io, parseInt(rideId), user.driverId);
+        reply(result.ok ? { ok: true } : result);
+      } catch (error) {
+        console.error(`Error answering ride offer: ${error.message}`);
+        reply({ ok: false, error: { code: "OFFER_FAILED", message: "Failed to answer the offer" } });
+      }
+    };
+
+    socket.on("acceptRide", answerOffer(dispatch.acceptOffer));
+    socket.on("declineRide", answerOffer(dispatch.declineOffer));
+
     // client disconnection
     socket.on("disconnect", () => {
       console.log(`Client disconnected: ${socket.id}`);
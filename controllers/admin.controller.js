@@ -0,0 +1,472 @@
+// import dependencies
+const Joi = require("joi");
+
+// import the in-memory database
+const db = require("../utils/db");
+
+// import role, login throttling, user, API key, promo code and driver availability helpers
+const { ROLES } = require("../utils/roles.utils");
+const loginAttempts = require("../utils/loginAttempts.utils");
+const { toPublicUser } = require("../utils/user.utils");
+const apiKeys = require("../utils/apiKey.utils");
+const promos = require("../utils/promo.utils");
+const driverAvailability = require("../utils/driverAvailability.utils");
+
+// validation schema for changing a user's role
+const updateUserRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...Object.values(ROLES))
+    .required()
+    .messages({
+      "any.required": "Role is required",
+      "any.only": "Role must be one of: " + Object.values(ROLES).join(", "),
+    }),
+  driverId: Joi.number().integer().positive().optional(),
+});
+
+// validation schema for creating an API key
+const createApiKeySchema = Joi.object({
+  name: Joi.string().min(2).max(100).required().messages({
+    "any.required": "Name is required",
+  }),
+  userId: Joi.number().integer().positive().required().messages({
+    "any.required": "User ID is required",
+  }),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...Object.values(apiKeys.SCOPES)))
+    .min(1)
+    .required()
+    .messages({
+      "any.required": "Scopes are required",
+      "any.only": "Scopes must be among: " + Object.values(apiKeys.SCOPES).join(", "),
+    }),
+});
+
+// validation schemas for promo codes. Flat discounts and caps are amounts
+// of money, so they need the currency the code is valid in
+const promoCodeFields = {
+  description: Joi.string().max(255).optional(),
+  amount: Joi.number().positive().when("discountType", {
+    is: promos.DISCOUNT_TYPES.PERCENT,
+    then: Joi.number().max(100).messages({ "number.max": "Percentage discounts cannot exceed 100" }),
+  }),
+  maxDiscount: Joi.number().positive().optional(),
+  validFrom: Joi.date().iso().optional(),
+  validUntil: Joi.date().iso().optional().when("validFrom", {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref("validFrom")).messages({
+      "date.greater": "validUntil must be after validFrom",
+    }),
+  }),
+  maxRedemptions: Joi.number().integer().positive().optional(),
+  maxRedemptionsPerUser: Joi.number().integer().positive().optional(),
+  firstRideOnly: Joi.boolean().optional(),
+};
+
+const createPromoCodeSchema = Joi.object({
+  code: Joi.string()
+    .pattern(/^[A-Za-z0-9_-]{3,30}$/)
+    .required()
+    .messages({
+      "any.required": "Code is required",
+      "string.pattern.base": "Code must be 3-30 letters, digits, dashes or underscores",
+    }),
+  discountType: Joi.string()
+    .valid(...Object.values(promos.DISCOUNT_TYPES))
+    .required()
+    .messages({
+      "any.required": "Discount type is required",
+      "any.only": "Discount type must be one of: " + Object.values(promos.DISCOUNT_TYPES).join(", "),
+    }),
+  ...promoCodeFields,
+  amount: promoCodeFields.amount.required().messages({ "any.required": "Amount is required" }),
+  currency: Joi.string()
+    .length(3)
+    .uppercase()
+    .when("discountType", { is: promos.DISCOUNT_TYPES.FLAT, then: Joi.required() })
+    .when("maxDiscount", { is: Joi.exist(), then: Joi.required() })
+    .messages({ "any.required": "Currency is required for flat discounts and discount caps" }),
+});
+
+// The code, discount type and currency are fixed once created
+const updatePromoCodeSchema = Joi.object({
+  ...promoCodeFields,
+  active: Joi.boolean().optional(),
+}).min(1);
+
+/**
+ * List every account in the system
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with all users
+ */
+exports.listUsers = async (req, res) => {
+  try {
+    res.json(db.users.map(toPublicUser));
+  } catch (error) {
+    console.error("List users error:", error);
+    res.status(500).json({
+      message: "Failed to list users",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Change the role of an account
+ *
+ * Promoting an account to driver links it to a driver profile. An existing
+ * profile can be given with `driverId`; otherwise a new, offline profile is
+ * created from the account's name. Taking the driver role away takes the
+ * profile offline and unlinks it, unless the driver still has a ride.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - ID of the user to update
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.role - The new role
+ * @param {number} [req.body.driverId] - Driver profile to link for drivers
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated user
+ */
+exports.updateUserRole = async (req, res) => {
+  try {
+    const user = db.findUserById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { role, driverId } = req.body;
+
+    if (role === ROLES.DRIVER) {
+      if (driverId) {
+        const driver = db.findDriverById(driverId);
+        if (!driver) {
+          return res.status(404).json({ message: "Driver profile not found" });
+        }
+
+        // A driver profile can only belong to one account
+        const owner = db.users.find(
+          (u) => u.driverId === driver.id && u.id !== user.id
+        );
+        if (owner) {
+          return res.status(409).json({
+            message: "Driver profile is already linked to another account",
+          });
+        }
+        user.driverId = driver.id;
+      } else if (!user.driverId) {
+        const driver = db.addDriver({ name: user.name, location: null });
+        user.driverId = driver.id;
+      }
+    } else if (user.driverId) {
+      // A former driver can no longer reach the driver API to go offline
+      if (driverAvailability.hasAssignedRide(user.driverId)) {
+        return res.status(409).json({
+          message: "The driver must finish or hand back their ride first",
+          code: "DRIVER_HAS_RIDE",
+        });
+      }
+      if (db.findDriverById(user.driverId)) {
+        db.updateDriver({ id: user.driverId, active: false });
+      }
+      delete user.driverId;
+    }
+
+    user.role = role;
+
+    res.json({
+      message: "User role updated successfully",
+      user: toPublicUser(user),
+    });
+  } catch (error) {
+    console.error("Update user role error:", error);
+    res.status(500).json({
+      message: "Failed to update user role",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Unlock an account that was locked after too many failed logins
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - ID of the user to unlock
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the unlocked user
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = db.findUserById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    loginAttempts.unlockAccount(user);
+
+    res.json({
+      message: "User unlocked successfully",
+      user: toPublicUser(user),
+    });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    res.status(500).json({
+      message: "Failed to unlock user",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Create an API key that acts on behalf of an account
+ *
+ * The raw key is only returned in this response; only its hash is stored.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Label for the key (e.g. the partner name)
+ * @param {number} req.body.userId - Account the key books rides as
+ * @param {string[]} req.body.scopes - Permissions granted to the key
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the raw key and its details
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, userId, scopes } = req.body;
+
+    if (!db.findUserById(userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { key, record } = apiKeys.createApiKey({
+      name,
+      userId,
+      scopes,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      message: "API key created successfully. Store it now, it will not be shown again",
+      key,
+      apiKey: apiKeys.toPublicApiKey(record),
+    });
+  } catch (error) {
+    console.error("Create API key error:", error);
+    res.status(500).json({
+      message: "Failed to create API key",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * List every API key with its usage counters
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with all API keys
+ */
+exports.listApiKeys = async (req, res) => {
+  try {
+    res.json(db.apiKeys.map(apiKeys.toPublicApiKey));
+  } catch (error) {
+    console.error("List API keys error:", error);
+    res.status(500).json({
+      message: "Failed to list API keys",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Get a single API key with its usage counters
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - ID of the API key
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the API key
+ */
+exports.getApiKey = async (req, res) => {
+  try {
+    const record = db.findApiKeyById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+
+    res.json(apiKeys.toPublicApiKey(record));
+  } catch (error) {
+    console.error("Get API key error:", error);
+    res.status(500).json({
+      message: "Failed to fetch API key",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Revoke an API key so it can no longer be used
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - ID of the API key
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the revoked key
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const record = db.findApiKeyById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+
+    if (record.revokedAt) {
+      return res.status(400).json({ message: "API key is already revoked" });
+    }
+
+    record.revokedAt = new Date().toISOString();
+
+    res.json({
+      message: "API key revoked successfully",
+      apiKey: apiKeys.toPublicApiKey(record),
+    });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res.status(500).json({
+      message: "Failed to revoke API key",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Create a promo code for a campaign
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Promo code settings (see createPromoCodeSchema)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the created promo code
+ */
+exports.createPromoCode = async (req, res) => {
+  try {
+    if (db.findPromoCodeByCode(req.body.code)) {
+      return res.status(409).json({
+        message: "A promo code with this code already exists",
+        code: "PROMO_CODE_EXISTS",
+      });
+    }
+
+    const promoCode = promos.createPromoCode(req.body, req.user.id);
+    res.status(201).json(promos.toPublicPromoCode(promoCode));
+  } catch (error) {
+    console.error("Create promo code error:", error);
+    res.status(500).json({
+      message: "Failed to create promo code",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * List every promo code with how often it has been redeemed
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with all promo codes
+ */
+exports.listPromoCodes = async (req, res) => {
+  try {
+    res.json(db.promoCodes.map(promos.toPublicPromoCode));
+  } catch (error) {
+    console.error("List promo codes error:", error);
+    res.status(500).json({
+      message: "Failed to list promo codes",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Get a single promo code with all of its redemptions, including reversed ones
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - ID of the promo code
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the promo code and its redemptions
+ */
+exports.getPromoCode = async (req, res) => {
+  try {
+    const promoCode = db.findPromoCodeById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ message: "Promo code not found" });
+    }
+
+    res.json({
+      ...promos.toPublicPromoCode(promoCode),
+      redemptions: db.promoRedemptions.filter((r) => r.promoCodeId === promoCode.id),
+    });
+  } catch (error) {
+    console.error("Get promo code error:", error);
+    res.status(500).json({
+      message: "Failed to fetch promo code",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Change a promo code's discount, validity or limits, or deactivate it.
+ * Rides already booked keep the discount they got.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - ID of the promo code
+ * @param {Object} req.body - Fields to change (see updatePromoCodeSchema)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated promo code
+ */
+exports.updatePromoCode = async (req, res) => {
+  try {
+    const promoCode = db.findPromoCodeById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ message: "Promo code not found" });
+    }
+
+    const changes = { ...req.body };
+    for (const field of ["validFrom", "validUntil"]) {
+      if (changes[field]) changes[field] = new Date(changes[field]).toISOString();
+    }
+    if (promoCode.discountType === promos.DISCOUNT_TYPES.PERCENT && changes.amount > 100) {
+      return res.status(400).json({ message: "Percentage discounts cannot exceed 100" });
+    }
+    const validFrom = changes.validFrom || promoCode.validFrom;
+    const validUntil = changes.validUntil || promoCode.validUntil;
+    if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+      return res.status(400).json({ message: "validUntil must be after validFrom" });
+    }
+    if (changes.maxDiscount && !promoCode.currency) {
+      return res.status(400).json({
+        message: "Discount caps need a currency, which is set when the promo code is created",
+      });
+    }
+
+    Object.assign(promoCode, changes);
+    res.json(promos.toPublicPromoCode(promoCode));
+  } catch (error) {
+    console.error("Update promo code error:", error);
+    res.status(500).json({
+      message: "Failed to update promo code",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+// export validation schemas for use in routes
+exports.updateUserRoleSchema = updateUserRoleSchema;
+exports.createApiKeySchema = createApiKeySchema;
+exports.createPromoCodeSchema = createPromoCodeSchema;
+exports.updatePromoCodeSchema = updatePromoCodeSchema;
@@ -1,11 +1,20 @@
 // import dependencies
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 const Joi = require("joi");
 
 // import the in-memory database
 const db = require("../utils/db");
 
+// import token, role, mail, login throttling, user, TOTP, session and driver availability helpers
+const tokens = require("../utils/token.utils");
+const { getRoleForNewUser } = require("../utils/roles.utils");
+const mail = require("../utils/mail.utils");
+const loginAttempts = require("../utils/loginAttempts.utils");
+const { findUserByEmail, toPublicUser } = require("../utils/user.utils");
+const totp = require("../utils/totp.utils");
+const sessions = require("../utils/session.utils");
+const driverAvailability = require("../utils/driverAvailability.utils");
+
 // validation schemas for signup and login
 const signupSchema = Joi.object({
   name: Joi.string().min(2).max(50).required().messages({
@@ -21,6 +30,7 @@ const signupSchema = Joi.object({
     "string.min": "Password must be at least 6 characters long",
     "any.required": "Password is required",
   }),
+  deviceLabel: Joi.string().max(100).optional(),
 });
 
 const loginSchema = Joi.object({
@@ -31,8 +41,156 @@ const loginSchema = Joi.object({
   password: Joi.string().required().messages({
     "any.required": "Password is required",
   }),
+  deviceLabel: Joi.string().max(100).optional(),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    "string.email": "Invalid email format",
+    "any.required": "Email is required",
+  }),
 });
 
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Reset token is required",
+  }),
+  password: Joi.string().min(6).required().messages({
+    "string.min": "Password must be at least 6 characters long",
+    "any.required": "Password is required",
+  }),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Verification token is required",
+  }),
+});
+
+const updateProfileSchema = Joi.object({
+  name: Joi.string().min(2).max(50).messages({
+    "string.min": "Name must be at least 2 characters long",
+    "string.max": "Name cannot exceed 50 characters",
+  }),
+  phone: Joi.string()
+    .pattern(/^\+?[0-9][0-9\s-]{6,19}$/)
+    .allow(null)
+    .messages({
+      "string.pattern.base": "Phone must be a valid phone number",
+    }),
+  avatarUrl: Joi.string()
+    .uri({ scheme: ["http", "https"] })
+    .allow(null)
+    .messages({
+      "string.uri": "Avatar URL must be a valid http(s) URL",
+    }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one of name, phone or avatarUrl is required",
+  });
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    "any.required": "Current password is required",
+  }),
+  newPassword: Joi.string().min(6).required().messages({
+    "string.min": "Password must be at least 6 characters long",
+    "any.required": "New password is required",
+  }),
+});
+
+const deleteAccountSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "any.required": "Password is required",
+  }),
+});
+
+const secondFactorFields = {
+  code: Joi.string().pattern(/^\d{6}$/).messages({
+    "string.pattern.base": "Code must be 6 digits",
+  }),
+  recoveryCode: Joi.string().max(20),
+};
+
+const loginTwoFactorSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    "any.required": "Challenge token is required",
+  }),
+  deviceLabel: Joi.string().max(100).optional(),
+  ...secondFactorFields,
+})
+  .xor("code", "recoveryCode")
+  .messages({
+    "object.missing": "Either code or recoveryCode is required",
+    "object.xor": "Send either code or recoveryCode, not both",
+  });
+
+const confirmTwoFactorSchema = Joi.object({
+  code: secondFactorFields.code.required().messages({
+    "any.required": "Code is required",
+  }),
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "any.required": "Password is required",
+  }),
+  ...secondFactorFields,
+})
+  .xor("code", "recoveryCode")
+  .messages({
+    "object.missing": "Either code or recoveryCode is required",
+    "object.xor": "Send either code or recoveryCode, not both",
+  });
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    "any.required": "Refresh token is required",
+  }),
+});
+
+/**
+ * Hash a password with bcrypt using the configured salt rounds
+ *
+ * @param {string} password - The plain text password
+ * @returns {string} The bcrypt hash
+ */
+const hashPassword = (password) => {
+  return bcrypt.hashSync(
+    password,
+    parseInt(process.env.BCRYPT_SALT_ROUNDS || 10)
+  );
+};
+
+/**
+ * Email a single-use verification link to a user
+ *
+ * @param {Object} user - The user whose email should be verified
+ * @returns {Promise<Object>} The message that was sent
+ */
+const sendVerificationEmail = (user) => {
+  const ttlHours = parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24);
+  const verificationToken = tokens.issueOneTimeToken(
+    user,
+    "email_verification",
+    ttlHours * 60 * 60 * 1000
+  );
+  const link = mail.buildApiLink("/api/auth/verify", {
+    token: verificationToken,
+  });
+
+  return mail.sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm your email address to start booking rides. ` +
+      `The link expires in ${ttlHours} hours.\n\n` +
+      `${link}`,
+  });
+};
+
 /**
  * Register a new user in the system
  *
@@ -65,10 +223,7 @@ exports.register = async (req, res) => {
 
     console.log(`Hashing password...`);
     // Hash the password for security
-    const hashedPassword = bcrypt.hashSync(
-      password,
-      parseInt(process.env.BCRYPT_SALT_ROUNDS || 10)
-    );
+    const hashedPassword = hashPassword(password);
 
     console.log(`Creating new user...`);
     // Create new user object
@@ -77,28 +232,32 @@ exports.register = async (req, res) => {
       name,
       email,
       password: hashedPassword,
+      role: getRoleForNewUser(email),
+      emailVerified: false,
+      createdAt: new Date().toISOString(),
     };
 
     // Add user to database - simplified
     db.addUser(newUser);
 
-    // Generate JWT token for authentication
-    const token = jwt.sign(
-      { id: newUser.id },
-      process.env.JWT_SECRET || "test_secret",
-      {
-        expiresIn: process.env.JWT_EXPIRES_IN || "1h",
-      }
-    );
+    // Ask the user to confirm their address before they can book rides
+    await sendVerificationEmail(newUser);
+
+    // Start a session on this device and issue its tokens
+    const session = sessions.createSession(newUser, req);
+    const { token, refreshToken } = tokens.issueTokenPair(newUser, session.id);
 
-    // Return success response with token and user data (excluding password)
+    // Return success response with tokens and user data (excluding password)
     res.status(201).json({
       message: "User registered successfully",
       token,
+      refreshToken,
       user: {
         id: newUser.id,
         name: newUser.name,
         email: newUser.email,
+        role: newUser.role,
+        emailVerified: newUser.emailVerified,
       },
     });
   } catch (error) {
@@ -110,9 +269,139 @@ exports.register = async (req, res) => {
   }
 };
 
+/**
+ * Answer with 423 or 429 if the account is locked or must back off
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} email - The email used to log in
+ * @param {Object} [user] - The matching user, if the email exists
+ * @returns {boolean} True if a response was sent and the attempt must stop
+ */
+const rejectThrottledLogin = (req, res, email, user) => {
+  // Refuse the attempt outright while the account is locked
+  const lockRemaining = loginAttempts.getLockRemaining(user);
+  if (lockRemaining) {
+    res.set("Retry-After", String(lockRemaining));
+    res.status(423).json({
+      message: "Account temporarily locked after too many failed logins",
+      code: "ACCOUNT_LOCKED",
+      retryAfter: lockRemaining,
+    });
+    return true;
+  }
+
+  // Slow down repeated failures from this account or IP address
+  const retryAfter = loginAttempts.getRetryAfter(email, req.ip);
+  if (retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({
+      message: "Too many failed login attempts. Please try again later",
+      code: "TOO_MANY_ATTEMPTS",
+      retryAfter,
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Count a failed login step and answer with 423 or 401
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} email - The email used to log in
+ * @param {Object} [user] - The matching user, if the email exists
+ * @param {string} message - Message for the 401 response
+ * @returns {Object} The response
+ */
+const rejectFailedLogin = (req, res, email, user, message) => {
+  const failure = loginAttempts.registerFailure(email, req.ip, user);
+  if (failure.locked) {
+    res.set("Retry-After", String(failure.retryAfter));
+    return res.status(423).json({
+      message: "Account temporarily locked after too many failed logins",
+      code: "ACCOUNT_LOCKED",
+      retryAfter: failure.retryAfter,
+    });
+  }
+
+  return res.status(401).json({ message });
+};
+
+/**
+ * Finish a successful login by issuing tokens
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - The authenticated user
+ * @returns {Object} The response
+ */
+const completeLogin = (req, res, user) => {
+  loginAttempts.registerSuccess(user.email);
+
+  // Start a session on this device and issue its tokens
+  const session = sessions.createSession(user, req);
+  const { token, refreshToken } = tokens.issueTokenPair(user, session.id);
+
+  // Return success response with tokens and user data (excluding password)
+  return res.status(200).json({
+    message: "Login successful",
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+    },
+  });
+};
+
+/**
+ * Check a TOTP code or a recovery code against a user's second factor
+ *
+ * TOTP codes cannot be replayed and recovery codes are consumed on use.
+ *
+ * @param {Object} user - The user with two-factor authentication enabled
+ * @param {Object} factor - The submitted factor
+ * @param {string} [factor.code] - A TOTP code from the authenticator app
+ * @param {string} [factor.recoveryCode] - A single-use recovery code
+ * @returns {boolean} True if the factor is valid
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+
+  if (code) {
+    const step = totp.verifyTotp(twoFactor.secret, code);
+    if (step === null || step <= (twoFactor.lastUsedStep || 0)) {
+      return false;
+    }
+    twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = tokens.hashToken(recoveryCode.trim().toLowerCase());
+    const index = twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      return false;
+    }
+    twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
 /**
  * Authenticate an existing user
  *
+ * Accounts with two-factor authentication get a short-lived challenge token
+ * instead of an access token; it must be completed at POST /login/2fa.
+ *
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body containing login credentials
  * @param {string} req.body.email - The user's email address
@@ -127,59 +416,529 @@ exports.login = async (req, res) => {
   // validation is handled by middleware
 
   try {
-    // Get all users directly from the database
-    const users = db.users;
+    const user = findUserByEmail(email);
+    if (rejectThrottledLogin(req, res, email, user)) return;
 
-    console.log("Total users in database:", users.length);
-    console.log(
-      "All emails in database:",
-      users.map((u) => u.email)
-    );
+    // Verify password using bcrypt (unknown emails fail the same way)
+    const isPasswordValid =
+      !!user && bcrypt.compareSync(password, user.password);
 
-    let user = users.find((user) => user.email === email);
+    if (!isPasswordValid) {
+      // Generic error message for security (doesn't reveal if email exists)
+      return rejectFailedLogin(req, res, email, user, "Invalid email or password");
+    }
 
-    // If not found, try case-insensitive match
+    // Ask for the second factor before handing out tokens
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: tokens.signTwoFactorChallenge(user),
+      });
+    }
+
+    completeLogin(req, res, user);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      message: "Failed to login",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ *
+ * The presented refresh token is rotated (revoked and replaced). Presenting a
+ * refresh token that was already rotated is treated as token theft and
+ * signs the user out of every session.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - The refresh token issued at login
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with a new token pair
+ */
+exports.refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const record = tokens.findRefreshToken(refreshToken);
+
+    if (!record) {
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    if (record.revokedAt) {
+      // A rotated token being replayed means it has leaked
+      if (record.revokedReason === "rotated") {
+        sessions.revokeSessionsForUser(record.userId);
+      }
+      return res.status(401).json({ message: "Refresh token revoked" });
+    }
+
+    if (!tokens.isRefreshTokenUsable(record)) {
+      return res.status(401).json({ message: "Refresh token expired" });
+    }
+
+    // Signing a device out kills its refresh tokens too
+    const session = record.sessionId && db.findSessionById(record.sessionId);
+    if (record.sessionId && !sessions.isSessionActive(session)) {
+      db.revokeRefreshToken(record.id);
+      return res.status(401).json({ message: "Session revoked" });
+    }
+
+    const user = db.findUserById(record.userId);
     if (!user) {
-      console.log("No exact match, trying case-insensitive match");
-      user = users.find(
-        (user) => user.email.toLowerCase() === email.toLowerCase()
+      db.revokeRefreshToken(record.id);
+      return res.status(401).json({ message: "Unauthorized - User not found" });
+    }
+
+    // Rotate the refresh token within the same session
+    db.revokeRefreshToken(record.id, "rotated");
+    if (session) {
+      sessions.touchSession(session, req.ip);
+    }
+    const pair = tokens.issueTokenPair(user, record.sessionId);
+
+    res.status(200).json({
+      message: "Token refreshed successfully",
+      token: pair.token,
+      refreshToken: pair.refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      message: "Failed to refresh token",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Log out by revoking the refresh token and, if present, the access token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - The refresh token to revoke
+ * @param {string} [req.headers.authorization] - Optional Bearer access token to revoke
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the logout
+ */
+exports.logout = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    // End the session the refresh token belongs to
+    const record = tokens.findRefreshToken(refreshToken);
+    if (record) {
+      db.revokeRefreshToken(record.id);
+      const session = record.sessionId && db.findSessionById(record.sessionId);
+      if (session) {
+        sessions.revokeSession(session);
+      }
+    }
+
+    // Also kill the access token so it cannot be used until it expires
+    const accessToken = req.headers.authorization?.split(" ")[1];
+    if (accessToken) {
+      try {
+        tokens.revokeAccessToken(tokens.verifyAccessToken(accessToken));
+      } catch (error) {
+        // An invalid or expired access token needs no revocation
+      }
+    }
+
+    res.status(200).json({ message: "Logout successful" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      message: "Failed to logout",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Start a password reset by emailing a single-use reset link
+ *
+ * Always answers with the same message so the endpoint cannot be used to
+ * find out which emails have an account.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Email address of the account
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the request
+ */
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = findUserByEmail(email);
+
+    if (user) {
+      const ttlMinutes = parseFloat(
+        process.env.PASSWORD_RESET_TTL_MINUTES || 30
+      );
+      const resetToken = tokens.issueOneTimeToken(
+        user,
+        "password_reset",
+        ttlMinutes * 60 * 1000
       );
+      const link = mail.buildAppLink("/reset-password", { token: resetToken });
+
+      await mail.sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text:
+          `Hi ${user.name},\n\n` +
+          `Use the link below to choose a new password. ` +
+          `It expires in ${ttlMinutes} minutes and can only be used once.\n\n` +
+          `${link}\n\n` +
+          `If you did not ask for a password reset, you can ignore this email.`,
+      });
     }
 
-    console.log("User found:", user ? "Yes" : "No");
+    res.status(200).json({
+      message: "If an account exists for this email, a reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      message: "Failed to start password reset",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Complete a password reset with the token from the reset email
+ *
+ * All refresh tokens of the account are revoked so other devices have to
+ * log in again with the new password.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.token - The reset token from the email
+ * @param {string} req.body.password - The new password (will be hashed)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the reset
+ */
+exports.resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const record = tokens.consumeOneTimeToken("password_reset", token);
+    const user = record && db.findUserById(record.userId);
 
     if (!user) {
-      // Generic error message for security (doesn't reveal if email exists)
-      return res.status(401).json({ message: "Invalid email or password" });
+      return res.status(400).json({ message: "Invalid or expired reset token" });
     }
 
-    // Verify password using bcrypt
-    const isPasswordValid = bcrypt.compareSync(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ message: "Invalid email or password" });
+    user.password = hashPassword(password);
+    sessions.revokeSessionsForUser(user.id);
+
+    res.status(200).json({ message: "Password reset successfully" });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      message: "Failed to reset password",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Verify an email address with the token from the verification email
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.token - The verification token from the email
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the verification
+ */
+exports.verifyEmail = async (req, res) => {
+  const { token } = req.query;
+
+  try {
+    const record = tokens.consumeOneTimeToken("email_verification", token);
+    const user = record && db.findUserById(record.userId);
+
+    if (!user) {
+      return res.status(400).json({
+        message: "Invalid or expired verification token",
+        code: "INVALID_VERIFICATION_TOKEN",
+      });
     }
 
-    // Generate JWT token for authenticated session
-    const token = jwt.sign(
-      { id: user.id },
-      process.env.JWT_SECRET || "test_secret",
-      {
-        expiresIn: process.env.JWT_EXPIRES_IN || "1h",
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date().toISOString();
+
+    res.status(200).json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      message: "Failed to verify email",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Send a new verification email to the authenticated user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the email was sent
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        message: "Email is already verified",
+        code: "EMAIL_ALREADY_VERIFIED",
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      message: "Failed to send verification email",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Get the profile of the authenticated user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the user's profile
+ */
+exports.getProfile = async (req, res) => {
+  try {
+    res.json(toPublicUser(req.user));
+  } catch (error) {
+    console.error("Get profile error:", error);
+    res.status(500).json({
+      message: "Failed to fetch profile",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Update the name, phone or avatar of the authenticated user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body with the fields to change
+ * @param {string} [req.body.name] - New display name
+ * @param {string|null} [req.body.phone] - New phone number, or null to remove it
+ * @param {string|null} [req.body.avatarUrl] - New avatar URL, or null to remove it
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated profile
+ */
+exports.updateProfile = async (req, res) => {
+  try {
+    const user = req.user;
+
+    ["name", "phone", "avatarUrl"].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field];
       }
-    );
+    });
+    user.updatedAt = new Date().toISOString();
+
+    res.json({
+      message: "Profile updated successfully",
+      user: toPublicUser(user),
+    });
+  } catch (error) {
+    console.error("Update profile error:", error);
+    res.status(500).json({
+      message: "Failed to update profile",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Change the password of the authenticated user
+ *
+ * Every refresh token of the account is revoked and a new token pair is
+ * returned, so only the device that changed the password stays signed in.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.currentPassword - The password in use today
+ * @param {string} req.body.newPassword - The new password (will be hashed)
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with a new token pair
+ */
+exports.changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = req.user;
+
+    if (!bcrypt.compareSync(currentPassword, user.password)) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = hashPassword(newPassword);
+    user.updatedAt = new Date().toISOString();
+
+    // Sign out every other device, and rotate this device's tokens
+    sessions.revokeSessionsForUser(user.id, req.token.sid);
+    if (req.token.sid) {
+      db.revokeRefreshTokensForSession(req.token.sid);
+    }
+    tokens.revokeAccessToken(req.token);
+    const { token, refreshToken } = tokens.issueTokenPair(user, req.token.sid);
 
-    // Return success response with token and user data (excluding password)
     res.status(200).json({
-      message: "Login successful",
+      message: "Password changed successfully",
       token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-      },
+      refreshToken,
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Change password error:", error);
+    res.status(500).json({
+      message: "Failed to change password",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Delete the authenticated user's account
+ *
+ * The user's rides are kept for reporting but anonymised: they no longer
+ * point at the deleted account. A linked driver profile is taken offline.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.password - The current password, as confirmation
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the deletion
+ */
+exports.deleteAccount = async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    const user = req.user;
+
+    if (!bcrypt.compareSync(password, user.password)) {
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+
+    // A ride in progress still needs its rider
+    const activeRide = db.rides.find(
+      (r) =>
+        r.userId === user.id &&
+        r.status !== "completed" &&
+        r.status !== "cancelled"
+    );
+    if (activeRide) {
+      return res.status(409).json({
+        message: "Finish or cancel your active ride before deleting your account",
+        code: "ACTIVE_RIDE",
+      });
+    }
+
+    // Nor can a driver leave someone mid-ride
+    if (user.driverId && driverAvailability.hasAssignedRide(user.driverId)) {
+      return res.status(409).json({
+        message: "Finish or hand back the ride you are driving before deleting your account",
+        code: "ACTIVE_RIDE",
+      });
+    }
+    if (user.driverId && db.findDriverById(user.driverId)) {
+      db.updateDriver({ id: user.driverId, active: false });
+    }
+
+    const anonymisedRides = db.anonymiseRidesForUser(user.id);
+
+    sessions.revokeSessionsForUser(user.id);
+    db.removePaymentMethodsForUser(user.id);
+    tokens.revokeAccessToken(req.token);
+    db.removeUser(user.id);
+
+    res.status(200).json({
+      message: "Account deleted successfully",
+      anonymisedRides,
+    });
+  } catch (error) {
+    console.error("Delete account error:", error);
+    res.status(500).json({
+      message: "Failed to delete account",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Complete a two-factor login with a TOTP or recovery code
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.challengeToken - Token returned by the password step
+ * @param {string} [req.body.code] - TOTP code from the authenticator app
+ * @param {string} [req.body.recoveryCode] - Single-use recovery code
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with user data and authentication token
+ */
+exports.loginTwoFactor = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  try {
+    let challenge;
+    try {
+      challenge = tokens.verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        message: "Invalid or expired challenge token",
+        code: "INVALID_CHALLENGE",
+      });
+    }
+
+    const user = db.findUserById(challenge.id);
+    if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        message: "Invalid or expired challenge token",
+        code: "INVALID_CHALLENGE",
+      });
+    }
+
+    if (rejectThrottledLogin(req, res, user.email, user)) return;
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return rejectFailedLogin(
+        req,
+        res,
+        user.email,
+        user,
+        "Invalid authentication code"
+      );
+    }
+
+    // A challenge can only be completed once
+    tokens.revokeAccessToken(challenge);
+
+    completeLogin(req, res, user);
+  } catch (error) {
+    console.error("Two-factor login error:", error);
     res.status(500).json({
       message: "Failed to login",
       error: process.env.NODE_ENV === "production" ? undefined : error.message,
@@ -187,6 +946,209 @@ exports.login = async (req, res) => {
   }
 };
 
+/**
+ * Start two-factor enrollment by generating a TOTP secret
+ *
+ * The secret stays pending until it is confirmed with a valid code.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the secret and the otpauth URI
+ */
+exports.enrollTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(409).json({
+        message: "Two-factor authentication is already enabled",
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor = { enabled: false, pendingSecret: secret };
+
+    res.status(200).json({
+      message: "Scan the code with your authenticator app, then confirm it",
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error("Two-factor enroll error:", error);
+    res.status(500).json({
+      message: "Failed to start two-factor enrollment",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Confirm two-factor enrollment with a code from the authenticator app
+ *
+ * Returns the recovery codes; only their hashes are kept afterwards.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - TOTP code generated from the pending secret
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the recovery codes
+ */
+exports.confirmTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = req.user;
+    const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+
+    if (!pendingSecret) {
+      return res.status(400).json({
+        message: "Start two-factor enrollment first",
+        code: "TWO_FACTOR_NOT_ENROLLED",
+      });
+    }
+
+    const step = totp.verifyTotp(pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: pendingSecret,
+      recoveryCodes: recoveryCodes.map((c) => tokens.hashToken(c)),
+      lastUsedStep: step,
+      enabledAt: new Date().toISOString(),
+    };
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled. Store your recovery codes safely",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Two-factor confirm error:", error);
+    res.status(500).json({
+      message: "Failed to confirm two-factor enrollment",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.password - The current password
+ * @param {string} [req.body.code] - TOTP code from the authenticator app
+ * @param {string} [req.body.recoveryCode] - Single-use recovery code
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the change
+ */
+exports.disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  try {
+    const user = req.user;
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is not enabled",
+        code: "TWO_FACTOR_NOT_ENABLED",
+      });
+    }
+
+    if (
+      !bcrypt.compareSync(password, user.password) ||
+      !verifySecondFactor(user, { code, recoveryCode })
+    ) {
+      return res.status(401).json({ message: "Invalid password or authentication code" });
+    }
+
+    user.twoFactor = { enabled: false };
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    res.status(500).json({
+      message: "Failed to disable two-factor authentication",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * List the devices the authenticated user is logged in on
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} req.token - Decoded access token (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the active sessions, most recent first
+ */
+exports.listSessions = async (req, res) => {
+  try {
+    const activeSessions = db
+      .getSessionsForUser(req.user.id)
+      .filter(sessions.isSessionActive)
+      .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt))
+      .map((session) => sessions.toPublicSession(session, req.token.sid));
+
+    res.json(activeSessions);
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({
+      message: "Failed to fetch sessions",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Sign out one of the authenticated user's devices
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - ID of the session to revoke
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the revocation
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = db.findSessionById(req.params.id);
+
+    // Other users' sessions are reported as missing
+    if (!session || session.userId !== req.user.id || session.revokedAt) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    sessions.revokeSession(session);
+
+    res.status(200).json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      message: "Failed to revoke session",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
 // export validation schemas for use in routes
 exports.signupSchema = signupSchema;
 exports.loginSchema = loginSchema;
+exports.refreshTokenSchema = refreshTokenSchema;
+exports.forgotPasswordSchema = forgotPasswordSchema;
+exports.resetPasswordSchema = resetPasswordSchema;
+exports.verifyEmailSchema = verifyEmailSchema;
+exports.updateProfileSchema = updateProfileSchema;
+exports.changePasswordSchema = changePasswordSchema;
+exports.deleteAccountSchema = deleteAccountSchema;
+exports.loginTwoFactorSchema = loginTwoFactorSchema;
+exports.confirmTwoFactorSchema = confirmTwoFactorSchema;
+exports.disableTwoFactorSchema = disableTwoFactorSchema;
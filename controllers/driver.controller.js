@@ -0,0 +1,498 @@
+// import dependencies
+const Joi = require("joi");
+
+// import the in-memory database
+const db = require("../utils/db");
+
+// import utilities
+const rideStatus = require("../utils/rideStatus.utils");
+const rideEvents = require("../utils/rideEvents.utils");
+const rideAccess = require("../utils/rideAccess.utils");
+const driverAvailability = require("../utils/driverAvailability.utils");
+const ratings = require("../utils/rating.utils");
+const dispatch = require("../utils/dispatch.utils");
+const cancellation = require("../utils/cancellation.utils");
+const payments = require("../utils/payment.utils");
+const vehicleClasses = require("../utils/vehicleClass.utils");
+
+// validation schema for a location: [longitude, latitude] plus a readable address
+const coordinatesSchema = Joi.array()
+  .ordered(Joi.number().min(-180).max(180), Joi.number().min(-90).max(90))
+  .length(2)
+  .messages({
+    "array.length": "Coordinates must be [longitude, latitude]",
+    "number.min": "Coordinates must be [longitude, latitude]",
+    "number.max": "Coordinates must be [longitude, latitude]",
+  });
+
+const updateLocationSchema = Joi.object({
+  coordinates: coordinatesSchema.required().messages({
+    "any.required": "Coordinates are required",
+  }),
+  address: Joi.string().min(3).max(255).optional(),
+});
+
+// Going online may report the current location at the same time
+const goOnlineSchema = Joi.object({
+  coordinates: coordinatesSchema.optional(),
+  address: Joi.string().min(3).max(255).optional(),
+});
+
+// The vehicle a driver uses; capacity defaults to the class's usual seats
+const registerVehicleSchema = Joi.object({
+  model: Joi.string().min(2).max(100).required().messages({
+    "any.required": "Model is required",
+  }),
+  color: Joi.string().min(2).max(50).required().messages({
+    "any.required": "Color is required",
+  }),
+  plate: Joi.string().min(2).max(20).required().messages({
+    "any.required": "Plate is required",
+  }),
+  class: Joi.string()
+    .valid(...Object.keys(vehicleClasses.VEHICLE_CLASSES))
+    .optional()
+    .messages({
+      "any.only": "Class must be one of: " + Object.keys(vehicleClasses.VEHICLE_CLASSES).join(", "),
+    }),
+  capacity: Joi.number().integer().min(1).max(8).optional(),
+})
+  // Express leaves the body undefined when nothing is sent
+  .required()
+  .messages({ "any.required": "Model is required" });
+
+const rateRiderSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required().messages({
+    "any.required": "Rating is required",
+    "number.min": "Rating must be between 1 and 5",
+    "number.max": "Rating must be between 1 and 5",
+  }),
+  tags: Joi.array()
+    .items(Joi.string().valid(...ratings.RIDER_TAGS))
+    .unique()
+    .optional()
+    .messages({ "any.only": "Tags must be among: " + ratings.RIDER_TAGS.join(", ") }),
+  comment: Joi.string().max(500).optional(),
+});
+
+const cancelRideSchema = Joi.object({
+  reason: Joi.string()
+    .valid(...cancellation.DRIVER_REASONS)
+    .required()
+    .messages({
+      "any.required": "Reason is required",
+      "any.only": "Reason must be one of: " + cancellation.DRIVER_REASONS.join(", "),
+    }),
+  comment: Joi.string().max(500).optional(),
+})
+  // Express leaves the body undefined when nothing is sent
+  .required()
+  .messages({ "any.required": "Reason is required" });
+
+// Statuses in which a driver can still hand a ride back before pickup
+const CANCELLABLE_STATUSES = [
+  rideStatus.STATUSES.DRIVER_ON_WAY,
+  rideStatus.STATUSES.DRIVER_ARRIVED,
+  rideStatus.STATUSES.PENDING,
+  rideStatus.STATUSES.EN_ROUTE,
+];
+
+// Ride actions a driver can take, and the status each one leads to
+const RIDE_ACTIONS = {
+  arrived: (ride) => {
+    // Once the ride has started, arriving means reaching the next stop
+    const nextStop = rideStatus.getNextPendingStop(ride);
+    return ride.status === rideStatus.STATUSES.RIDE_STARTED && nextStop
+      ? rideStatus.getStopStatus(nextStop.number)
+      : rideStatus.STATUSES.DRIVER_ARRIVED;
+  },
+  started: () => rideStatus.STATUSES.RIDE_STARTED,
+  completed: () => rideStatus.STATUSES.COMPLETED,
+};
+
+/**
+ * Find the driver profile linked to the authenticated account, answering
+ * with 404 when there is none
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} The driver profile, or null if a response was sent
+ */
+const findDriverProfile = (req, res) => {
+  const driver = req.user.driverId && db.findDriverById(req.user.driverId);
+  if (!driver) {
+    res.status(404).json({
+      message: "No driver profile is linked to this account",
+      code: "DRIVER_PROFILE_NOT_FOUND",
+    });
+    return null;
+  }
+  return driver;
+};
+
+/**
+ * Build a location from a request body, keeping the old address when no
+ * new one was given
+ *
+ * @param {Object} body - Request body with `coordinates` and optional `address`
+ * @param {Object} [current] - The driver's current location
+ * @returns {Object} Location with `coordinates` and `address`
+ */
+const toLocation = ({ coordinates, address }, current) => ({
+  coordinates,
+  address: address || current?.address || "Unknown location",
+});
+
+/**
+ * Get the authenticated driver's profile
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the driver profile
+ */
+exports.getProfile = async (req, res) => {
+  try {
+    const driver = findDriverProfile(req, res);
+    if (!driver) return;
+
+    res.json(driver);
+  } catch (error) {
+    console.error("Get driver profile error:", error);
+    res.status(500).json({
+      message: "Failed to fetch driver profile",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Go online so the driver can be offered rides
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {Array} [req.body.coordinates] - Current location [longitude, latitude]
+ * @param {string} [req.body.address] - Readable current location
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated driver profile
+ */
+exports.goOnline = async (req, res) => {
+  try {
+    const driver = findDriverProfile(req, res);
+    if (!driver) return;
+
+    // The body is optional here (Express leaves it undefined when empty)
+    const body = req.body || {};
+    const location = body.coordinates ? toLocation(body, driver.location) : driver.location;
+
+    // Dispatch needs to know where the driver is and what they drive
+    if (!location) {
+      return res.status(400).json({
+        message: "Share your location to go online",
+        code: "LOCATION_REQUIRED",
+      });
+    }
+    if (!driver.vehicle) {
+      return res.status(409).json({
+        message: "A vehicle must be registered before going online",
+        code: "VEHICLE_REQUIRED",
+      });
+    }
+
+    const updatedDriver = db.updateDriver({ id: driver.id, active: true, location });
+    res.json(updatedDriver);
+  } catch (error) {
+    console.error("Go online error:", error);
+    res.status(500).json({
+      message: "Failed to go online",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Register or replace the driver's vehicle. Dispatch matches rides to it by
+ * class and seats, so it cannot change while the driver has a ride.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.model - Make and model
+ * @param {string} req.body.color - Color
+ * @param {string} req.body.plate - License plate
+ * @param {string} [req.body.class] - Key of VEHICLE_CLASSES (defaults to economy)
+ * @param {number} [req.body.capacity] - Passenger seats (defaults to the class's)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated driver profile
+ */
+exports.registerVehicle = async (req, res) => {
+  try {
+    const driver = findDriverProfile(req, res);
+    if (!driver) return;
+
+    if (!driverAvailability.isFree(driver)) {
+      return res.status(409).json({
+        message: "The vehicle cannot be changed during a ride",
+        code: "DRIVER_BUSY",
+      });
+    }
+
+    const { model, color, plate, capacity } = req.body;
+    const vehicleClass = req.body.class || vehicleClasses.DEFAULT_VEHICLE_CLASS;
+    const vehicle = {
+      model,
+      color,
+      plate,
+      class: vehicleClass,
+      capacity: capacity || vehicleClasses.getVehicleClass(vehicleClass).defaultCapacity,
+    };
+
+    const updatedDriver = db.updateDriver({ id: driver.id, vehicle });
+    res.json(updatedDriver);
+  } catch (error) {
+    console.error("Register vehicle error:", error);
+    res.status(500).json({
+      message: "Failed to register vehicle",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Go offline so the driver is no longer offered rides. Rides already
+ * assigned to the driver are not affected.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated driver profile
+ */
+exports.goOffline = async (req, res) => {
+  try {
+    const driver = findDriverProfile(req, res);
+    if (!driver) return;
+
+    const updatedDriver = db.updateDriver({ id: driver.id, active: false });
+    res.json(updatedDriver);
+  } catch (error) {
+    console.error("Go offline error:", error);
+    res.status(500).json({
+      message: "Failed to go offline",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Update the driver's current location
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {Array} req.body.coordinates - Current location [longitude, latitude]
+ * @param {string} [req.body.address] - Readable current location
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated driver profile
+ */
+exports.updateLocation = async (req, res) => {
+  try {
+    const driver = findDriverProfile(req, res);
+    if (!driver) return;
+
+    const updatedDriver = db.updateDriver({
+      id: driver.id,
+      location: toLocation(req.body, driver.location),
+    });
+    res.json(updatedDriver);
+  } catch (error) {
+    console.error("Update driver location error:", error);
+    res.status(500).json({
+      message: "Failed to update location",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * List the rides assigned to the driver that are not finished yet
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the assigned rides, oldest first
+ */
+exports.getAssignedRides = async (req, res) => {
+  try {
+    const driver = findDriverProfile(req, res);
+    if (!driver) return;
+
+    const assignedRides = db.rides
+      .filter((ride) => rideAccess.isRideDriver(req.user, ride) && rideStatus.isActiveRide(ride))
+      .sort((a, b) => a.id - b.id);
+
+    res.json(assignedRides);
+  } catch (error) {
+    console.error("Get driver rides error:", error);
+    res.status(500).json({
+      message: "Failed to fetch assigned rides",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Create a handler that moves one of the driver's rides on: "arrived" (at
+ * pickup, or at the next stop once the ride has started), "started" (at
+ * pickup, or when leaving a stop) or "completed"
+ *
+ * @param {string} action - Key of RIDE_ACTIONS
+ * @returns {Function} Express handler for the action
+ */
+const updateRide = (action) => async (req, res) => {
+  try {
+    const ride = db.findRideById(req.params.id);
+    if (!ride) {
+      return res.status(404).json({ message: "Ride not found" });
+    }
+
+    if (!rideAccess.isRideDriver(req.user, ride)) {
+      return res.status(403).json({
+        message: "You can only update rides assigned to you",
+        code: "NOT_ASSIGNED_DRIVER",
+      });
+    }
+
+    // Same transition rules as manual status updates
+    const status = RIDE_ACTIONS[action](ride);
+    if (!rideStatus.isValidManualTransition(ride.status, status, ride)) {
+      return res.status(400).json({
+        message: `Cannot update from "${ride.status}" to "${status}"`,
+        code: "INVALID_STATUS_TRANSITION",
+        validStatuses: rideStatus.getValidManualTransitions(ride.status, ride),
+      });
+    }
+
+    const updatedRide = db.updateRide(rideStatus.applyStatusChange(ride, status));
+    driverAvailability.syncWithRide(updatedRide);
+    rideEvents.emitRideUpdate(req.app.io, updatedRide);
+
+    // Completing the ride charges the fare
+    res.json(await payments.syncWithRide(updatedRide));
+  } catch (error) {
+    console.error(`Driver ride ${action} error:`, error);
+    res.status(500).json({
+      message: "Failed to update ride",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+exports.markArrived = updateRide("arrived");
+exports.markStarted = updateRide("started");
+exports.markCompleted = updateRide("completed");
+
+/**
+ * Hand a ride back before pickup. The ride is not cancelled for the rider:
+ * it goes back to dispatch and is never given to this driver again.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ride ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reason - Reason code (e.g. "rider_no_show")
+ * @param {string} [req.body.comment] - Optional explanation
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the re-dispatched ride
+ */
+exports.cancelRide = async (req, res) => {
+  try {
+    const ride = db.findRideById(req.params.id);
+    if (!ride) {
+      return res.status(404).json({ message: "Ride not found" });
+    }
+
+    if (!rideAccess.isRideDriver(req.user, ride)) {
+      return res.status(403).json({
+        message: "You can only cancel rides assigned to you",
+        code: "NOT_ASSIGNED_DRIVER",
+      });
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(ride.status)) {
+      return res.status(409).json({
+        message: "Rides can only be cancelled before the rider is picked up",
+        code: "RIDE_NOT_CANCELLABLE",
+      });
+    }
+
+    db.updateRide({
+      id: ride.id,
+      driverCancellations: [
+        ...(ride.driverCancellations || []),
+        {
+          driverId: ride.driver.id,
+          reason: req.body.reason,
+          comment: req.body.comment || null,
+          cancelledAt: new Date().toISOString(),
+        },
+      ],
+    });
+
+    res.json(await dispatch.redispatch(req.app.io, ride.id, ride.driver.id));
+  } catch (error) {
+    console.error("Driver cancel ride error:", error);
+    res.status(500).json({
+      message: "Failed to cancel ride",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Rate the rider of a completed ride the driver drove
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ride ID
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.rating - Stars from 1 to 5
+ * @param {string[]} [req.body.tags] - Optional tags (e.g. "polite", "late")
+ * @param {string} [req.body.comment] - Optional review
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the rated ride and the rider's new rating
+ */
+exports.rateRider = async (req, res) => {
+  try {
+    const ride = db.findRideById(req.params.id);
+    if (!ride) {
+      return res.status(404).json({ message: "Ride not found" });
+    }
+
+    if (!rideAccess.isRideDriver(req.user, ride)) {
+      return res.status(403).json({
+        message: "You can only rate riders of rides assigned to you",
+        code: "NOT_ASSIGNED_DRIVER",
+      });
+    }
+
+    const rateError = ratings.checkCanRate(ride, "rider");
+    if (rateError) {
+      return res.status(rateError.status).json({ message: rateError.message, code: rateError.code });
+    }
+
+    const updatedRide = ratings.rateRide(ride, "rider", req.body);
+    const rider = db.findUserById(ride.userId);
+
+    res.status(201).json({
+      ride: updatedRide,
+      rider: rider ? { rating: rider.rating, ratingCount: rider.ratingCount } : null,
+    });
+  } catch (error) {
+    console.error("Rate rider error:", error);
+    res.status(500).json({
+      message: "Failed to rate rider",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+// export the validation schemas to be used in the routes
+exports.updateLocationSchema = updateLocationSchema;
+exports.goOnlineSchema = goOnlineSchema;
+exports.registerVehicleSchema = registerVehicleSchema;
+exports.rateRiderSchema = rateRiderSchema;
+exports.cancelRideSchema = cancelRideSchema;
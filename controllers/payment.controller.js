@@ -0,0 +1,128 @@
+// import dependencies
+const Joi = require("joi");
+
+// import the in-memory database
+const db = require("../utils/db");
+
+// import utilities
+const payments = require("../utils/payment.utils");
+
+// validation schema for saving a card. The client sends the card details
+// to the gateway and only passes the token it got back to this API
+const addPaymentMethodSchema = Joi.object({
+  token: Joi.string().max(255).required().messages({
+    "any.required": "Card token is required",
+  }),
+});
+
+/**
+ * List the authenticated user's saved cards
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the saved cards
+ */
+exports.listPaymentMethods = async (req, res) => {
+  try {
+    res.json(db.getPaymentMethodsForUser(req.user.id));
+  } catch (error) {
+    console.error("List payment methods error:", error);
+    res.status(500).json({
+      message: "Failed to list payment methods",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Save a card from a gateway token. The first card becomes the default.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.token - Card token from the payment gateway
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the saved card
+ */
+exports.addPaymentMethod = async (req, res) => {
+  try {
+    let paymentMethod;
+    try {
+      paymentMethod = await payments.addPaymentMethod(req.user.id, req.body.token);
+    } catch (error) {
+      if (!error.code) throw error;
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+
+    res.status(201).json(paymentMethod);
+  } catch (error) {
+    console.error("Add payment method error:", error);
+    res.status(500).json({
+      message: "Failed to add payment method",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Make a saved card the one rides are charged to by default
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Payment method ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the new default card
+ */
+exports.setDefaultPaymentMethod = async (req, res) => {
+  try {
+    const paymentMethod = payments.setDefaultPaymentMethod(req.user.id, req.params.id);
+    if (!paymentMethod) {
+      return res.status(404).json({ message: "Payment method not found" });
+    }
+
+    res.json(paymentMethod);
+  } catch (error) {
+    console.error("Set default payment method error:", error);
+    res.status(500).json({
+      message: "Failed to update payment method",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Remove a saved card, unless it holds the fare of a ride in progress
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Payment method ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the removal
+ */
+exports.removePaymentMethod = async (req, res) => {
+  try {
+    const owned = db
+      .getPaymentMethodsForUser(req.user.id)
+      .some((paymentMethod) => paymentMethod.id === req.params.id);
+    if (!owned) {
+      return res.status(404).json({ message: "Payment method not found" });
+    }
+
+    if (payments.isPaymentMethodInUse(req.params.id)) {
+      return res.status(409).json({
+        message: "This card is paying for a ride that has not finished yet",
+        code: "PAYMENT_METHOD_IN_USE",
+      });
+    }
+
+    payments.removePaymentMethod(req.user.id, req.params.id);
+    res.json({ message: "Payment method removed successfully" });
+  } catch (error) {
+    console.error("Remove payment method error:", error);
+    res.status(500).json({
+      message: "Failed to remove payment method",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+// export the validation schemas to be used in the routes
+exports.addPaymentMethodSchema = addPaymentMethodSchema;
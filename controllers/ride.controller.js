@@ -5,16 +5,129 @@ const db = require("../utils/db");
 const axios = require("axios");
 const Joi = require("joi");
 
+// import utilities
+const trip = require("../utils/trip.utils");
+const quotes = require("../utils/quote.utils");
+const rideStatus = require("../utils/rideStatus.utils");
+const scheduling = require("../utils/scheduling.utils");
+const rideEvents = require("../utils/rideEvents.utils");
+const dispatch = require("../utils/dispatch.utils");
+const driverAvailability = require("../utils/driverAvailability.utils");
+const ratings = require("../utils/rating.utils");
+const cancellation = require("../utils/cancellation.utils");
+const promos = require("../utils/promo.utils");
+const payments = require("../utils/payment.utils");
+const receipts = require("../utils/receipt.utils");
+const rideHistory = require("../utils/rideHistory.utils");
+const { VEHICLE_CLASSES, DEFAULT_VEHICLE_CLASS } = require("../utils/vehicleClass.utils");
+
 // validation schemas for create ride and search places
+const destinationSchema = Joi.string().min(3).max(255).messages({
+  "string.min": "Destination must be at least 3 characters long",
+  "string.max": "Destination cannot exceed 255 characters",
+  "any.required": "Destination is required",
+});
+
+// Riders can add up to this many stops between pickup and destination
+const MAX_STOPS = 5;
+
+// Vehicle class and party size, shared by quotes and bookings
+const vehicleClassSchema = Joi.string()
+  .valid(...Object.keys(VEHICLE_CLASSES))
+  .messages({ "any.only": "Vehicle class must be one of: " + Object.keys(VEHICLE_CLASSES).join(", ") });
+const passengersSchema = Joi.number().integer().min(1).max(8);
+
+const stopSchema = Joi.object({
+  address: Joi.string().min(3).max(255).required().messages({
+    "string.min": "Stop address must be at least 3 characters long",
+    "any.required": "Stop address is required",
+  }),
+  coordinates: Joi.array().items(Joi.number()).length(2).optional(),
+});
+
 const createRideSchema = Joi.object({
-  destination: Joi.string().min(3).max(255).required().messages({
-    "string.min": "Destination must be at least 3 characters long",
-    "string.max": "Destination cannot exceed 255 characters",
-    "any.required": "Destination is required",
+  // The destination may come from the quote instead
+  destination: destinationSchema.when("quote_id", {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.required(),
   }),
   pickup_coordinates: Joi.array().items(Joi.number()).length(2).optional(),
   destination_coordinates: Joi.array().items(Joi.number()).length(2).optional(),
   pickup_location: Joi.string().min(3).max(255).optional(),
+  stops: Joi.array().items(stopSchema).max(MAX_STOPS).optional(),
+  vehicle_class: vehicleClassSchema.optional(),
+  passengers: passengersSchema.optional(),
+  guest: Joi.object({
+    name: Joi.string().min(2).max(50).required(),
+    phone: Joi.string().max(30).optional(),
+  }).optional(),
+  quote_id: Joi.string().optional(),
+  promo_code: Joi.string().max(30).optional(),
+  payment_method_id: Joi.string().max(100).optional(),
+  accept_surge: Joi.number().min(1).optional(),
+  scheduled_for: Joi.date().iso().greater("now").optional().messages({
+    "date.greater": "Scheduled pickup time must be in the future",
+    "date.format": "Scheduled pickup time must be an ISO 8601 date",
+  }),
+});
+
+const quoteSchema = Joi.object({
+  destination: destinationSchema.required(),
+  pickup_coordinates: Joi.array().items(Joi.number()).length(2).optional(),
+  destination_coordinates: Joi.array().items(Joi.number()).length(2).optional(),
+  pickup_location: Joi.string().min(3).max(255).optional(),
+  stops: Joi.array().items(stopSchema).max(MAX_STOPS).optional(),
+  vehicle_class: vehicleClassSchema.optional(),
+  passengers: passengersSchema.optional(),
+});
+
+const addStopSchema = stopSchema.keys({
+  position: Joi.number().integer().min(1).optional(),
+});
+
+const updateScheduledRideSchema = Joi.object({
+  scheduled_for: Joi.date().iso().greater("now").messages({
+    "date.greater": "Scheduled pickup time must be in the future",
+    "date.format": "Scheduled pickup time must be an ISO 8601 date",
+  }),
+  destination: destinationSchema,
+  pickup_location: Joi.string().min(3).max(255),
+  pickup_coordinates: Joi.array().items(Joi.number()).length(2),
+  destination_coordinates: Joi.array().items(Joi.number()).length(2),
+}).min(1);
+
+const rateRideSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required().messages({
+    "any.required": "Rating is required",
+    "number.min": "Rating must be between 1 and 5",
+    "number.max": "Rating must be between 1 and 5",
+  }),
+  tags: Joi.array()
+    .items(Joi.string().valid(...ratings.DRIVER_TAGS))
+    .unique()
+    .optional()
+    .messages({ "any.only": "Tags must be among: " + ratings.DRIVER_TAGS.join(", ") }),
+  comment: Joi.string().max(500).optional(),
+});
+
+const tipRideSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required().messages({
+    "any.required": "Amount is required",
+    "number.positive": "Amount must be greater than 0",
+    "number.precision": "Amount must be in whole cents",
+  }),
+})
+  // Express leaves the body undefined when nothing is sent
+  .required()
+  .messages({ "any.required": "Amount is required" });
+
+// Clients that do not ask riders why they cancel fall back to "other"
+const cancelRideSchema = Joi.object({
+  reason: Joi.string()
+    .valid(...cancellation.RIDER_REASONS)
+    .messages({ "any.only": "Reason must be one of: " + cancellation.RIDER_REASONS.join(", ") }),
+  comment: Joi.string().max(500).optional(),
 });
 
 const searchPlacesSchema = Joi.object({
@@ -25,21 +138,233 @@ const searchPlacesSchema = Joi.object({
   }),
 });
 
+// Filters and sort order shared by the ride history and its export
+const rideHistoryFilters = {
+  status: Joi.array()
+    .items(Joi.string().valid(...Object.keys(rideHistory.STATUS_FILTERS)))
+    .single()
+    .messages({
+      "any.only": "Status must be one of: " + Object.keys(rideHistory.STATUS_FILTERS).join(", "),
+    }),
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) })
+    .messages({ "date.min": "to must not be before from" }),
+  min_cost: Joi.number().min(0),
+  max_cost: Joi.number()
+    .min(0)
+    .when("min_cost", { is: Joi.exist(), then: Joi.number().min(Joi.ref("min_cost")) }),
+  min_distance: Joi.number().min(0),
+  max_distance: Joi.number()
+    .min(0)
+    .when("min_distance", { is: Joi.exist(), then: Joi.number().min(Joi.ref("min_distance")) }),
+  sort: Joi.string()
+    .valid(...Object.keys(rideHistory.SORT_FIELDS))
+    .default("date"),
+  order: Joi.string().valid("asc", "desc").default("desc"),
+};
+
+const rideHistoryQuerySchema = Joi.object({
+  ...rideHistoryFilters,
+  limit: Joi.number().integer().min(1).max(rideHistory.MAX_LIMIT).default(rideHistory.DEFAULT_LIMIT),
+  cursor: Joi.string().max(500),
+});
+
+const exportRideHistoryQuerySchema = Joi.object({
+  ...rideHistoryFilters,
+  format: Joi.string().valid("csv", "json").default("csv"),
+});
+
+// The format can also be picked with the Accept header
+const receiptQuerySchema = Joi.object({
+  format: Joi.string()
+    .valid(...Object.keys(receipts.FORMATS))
+    .messages({ "any.only": "Format must be one of: " + Object.keys(receipts.FORMATS).join(", ") }),
+});
+
 const updateRideStatusSchema = Joi.object({
-  status: Joi.string().valid(
-    "Driver arrived", 
-    "Ride started", 
-    "Ride completed", 
-    "completed", 
-    "cancelled"
+  status: Joi.alternatives().try(
+    Joi.string().valid(
+      "Driver arrived", 
+      "Ride started", 
+      "Ride completed", 
+      "completed", 
+      "cancelled"
+    ),
+    Joi.string().pattern(/^arrived_at_stop_\d+$/)
   ).required().messages({
     "any.required": "Status is required",
-    "any.only": "Status must be one of the valid statuses"
+    "alternatives.match": "Status must be one of the valid statuses"
   })
 });
 
 /**
- * Create a new ride request with nearest driver assignment
+ * Number a ride's stops by their position in the route
+ *
+ * @param {Object[]} stops - Stops in route order
+ * @returns {Object[]} The stops with a 1-based `number`
+ */
+const numberStops = (stops) => {
+  return stops.map((stop, index) => ({ ...stop, number: index + 1 }));
+};
+
+/**
+ * Re-price a ride after its stops changed, keeping the surge it was booked at
+ * and any promo code discount
+ *
+ * @param {Object} ride - The ride object
+ * @param {Object[]} stops - The ride's new stops in route order
+ * @returns {Object} Ride fields to update
+ */
+const repriceWithStops = (ride, stops) => {
+  const price = trip.priceTrip(ride.pickup_coordinates, ride.destination_coordinates, {
+    surgeMultiplier: ride.fare_breakdown?.surge_multiplier || 1,
+    stopCoordinates: stops.map((stop) => stop.coordinates),
+    vehicleClass: ride.vehicle_class,
+  });
+  const fareBreakdown = promos.repriceRedemption(ride, price.fare_breakdown);
+
+  return {
+    id: ride.id,
+    stops,
+    distance: price.distance,
+    cost: fareBreakdown.total,
+    fare_breakdown: fareBreakdown,
+    ride_duration: price.ride_duration,
+    lastUpdated: new Date().toISOString(),
+  };
+};
+
+// Why a ride could not be re-priced, by payment error code
+const REPRICE_ERRORS = {
+  RIDE_SETTLING: { status: 409, message: "The ride is being paid for and can no longer change" },
+  RIDE_ENDED: { status: 409, message: "The ride ended before it could change" },
+};
+
+/**
+ * Save a re-priced ride, first moving the hold on the rider's card to the
+ * new fare. Nothing is saved if the card declines the new fare or the ride
+ * ends in the meantime.
+ *
+ * @param {Object} ride - The ride before the change
+ * @param {Object} changes - Ride fields to update, with the new `cost` if it changed
+ * @returns {Promise<{ride?: Object, status?: number, error?: Object}>} The saved ride, or the error response
+ */
+const saveRepricedRide = async (ride, changes) => {
+  let payment = ride.payment;
+  if (changes.cost !== undefined) {
+    try {
+      payment = await payments.adjustAuthorization(ride, changes.cost);
+    } catch (error) {
+      const repriceError = REPRICE_ERRORS[error.code];
+      if (repriceError) {
+        return {
+          status: repriceError.status,
+          error: { message: repriceError.message, code: error.code },
+        };
+      }
+      return {
+        status: 402,
+        error: {
+          message: "Your card was declined for the new fare. The ride was not changed",
+          code: "PAYMENT_DECLINED",
+          declineCode: error.code,
+        },
+      };
+    }
+  }
+
+  const updatedRide = db.updateRide(payment ? { ...changes, payment } : changes);
+  promos.recordRedemptionDiscount(updatedRide);
+  return { ride: updatedRide };
+};
+
+/**
+ * Quote the fare for a trip without booking it
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body containing the trip
+ * @param {string} req.body.destination - The destination address for the ride
+ * @param {string} req.body.pickup_location - Optional pickup location (defaults to "Current Location")
+ * @param {Array} req.body.pickup_coordinates - User's current coordinates [longitude, latitude]
+ * @param {Array} req.body.destination_coordinates - Destination coordinates [longitude, latitude]
+ * @param {Array} req.body.stops - Optional ordered stops ({address, coordinates}) before the destination
+ * @param {string} req.body.vehicle_class - Optional vehicle class (defaults to economy)
+ * @param {number} req.body.passengers - Optional number of passengers (defaults to 1)
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the quote and its expiring quote ID
+ */
+exports.getQuote = async (req, res) => {
+  try {
+    const {
+      destination,
+      pickup_location = "Current Location",
+      pickup_coordinates = [-74.0060, 40.7128], // Default to NYC if not provided
+      destination_coordinates,
+      stops,
+      vehicle_class = DEFAULT_VEHICLE_CLASS,
+      passengers = 1,
+    } = req.body;
+
+    const resolvedStops = await trip.resolveStops(stops, pickup_coordinates);
+    const destCoords = await trip.resolveDestinationCoordinates(
+      destination,
+      pickup_coordinates,
+      destination_coordinates
+    );
+
+    // Quotes show the current surge without counting as a reading
+    const estimate = trip.estimateTrip(pickup_coordinates, destCoords, {
+      stopCoordinates: resolvedStops.map((stop) => stop.coordinates),
+      vehicleClass: vehicle_class,
+      passengers,
+      recordSurge: false,
+    });
+    if (!estimate) {
+      return res.status(400).json({
+        message: "No drivers are currently available in your area"
+      });
+    }
+
+    const quoted = {
+      destination,
+      pickup_location,
+      pickup_coordinates,
+      destination_coordinates: destCoords,
+      stops: resolvedStops,
+      vehicle_class,
+      passengers,
+      cost: estimate.cost,
+      fare_breakdown: estimate.fare_breakdown,
+    };
+    const { quote_id, expires_at } = quotes.createQuote(req.user, quoted);
+
+    res.status(200).json({
+      quote_id,
+      expires_at,
+      ...quoted,
+      distance: estimate.distance,
+      surge_multiplier: estimate.surge_multiplier,
+      eta: estimate.eta,
+      ride_duration: estimate.ride_duration,
+      driver: estimate.driver,
+      vehicle: estimate.vehicle,
+    });
+  } catch (error) {
+    console.error("Quote ride error:", error);
+    res.status(500).json({
+      message: "Failed to quote ride",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Create a new ride request. The ride is offered to the nearest eligible
+ * drivers in turn and stays "searching" until one accepts (or, with
+ * DISPATCH_MODE=instant, the nearest driver is assigned straight away)
  *
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body containing ride details
@@ -47,6 +372,15 @@ const updateRideStatusSchema = Joi.object({
  * @param {string} req.body.pickup_location - Optional pickup location (defaults to "Current Location")
  * @param {Array} req.body.pickup_coordinates - User's current coordinates [longitude, latitude]
  * @param {Array} req.body.destination_coordinates - Destination coordinates [longitude, latitude]
+ * @param {Object} req.body.guest - Optional guest the ride is booked for (partner bookings)
+ * @param {string} req.body.quote_id - Optional quote whose trip and price the ride should use
+ * @param {number} req.body.accept_surge - Highest surge multiplier the rider accepts (when not using a quote)
+ * @param {string} req.body.promo_code - Optional promo code to discount the fare
+ * @param {string} req.body.payment_method_id - Optional saved card or "cash" (defaults to the default card, else cash)
+ * @param {string} req.body.scheduled_for - Optional future pickup time (ISO 8601) to book the ride ahead
+ * @param {Array} req.body.stops - Optional ordered stops ({address, coordinates}) before the destination
+ * @param {string} req.body.vehicle_class - Optional vehicle class (defaults to economy)
+ * @param {number} req.body.passengers - Optional number of passengers (defaults to 1)
  * @param {Object} req.user - User object (added by auth middleware)
  * @param {number} req.user.id - ID of the authenticated user
  * @param {Object} res - Express response object
@@ -54,143 +388,296 @@ const updateRideStatusSchema = Joi.object({
  */
 exports.createRide = async (req, res) => {
   try {
+    // Only accounts with a confirmed email address may book rides
+    if (!req.user.emailVerified) {
+      return res.status(403).json({
+        message: "Please verify your email address before booking a ride",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
     // Extract ride details from request body
-    const { 
-      destination, 
+    let {
+      destination,
       pickup_location = "Current Location",
       pickup_coordinates = [-74.0060, 40.7128], // Default to NYC if not provided
-      destination_coordinates 
+      destination_coordinates,
+      guest,
+      quote_id,
+      promo_code,
+      payment_method_id,
+      accept_surge,
+      scheduled_for,
+      stops,
+      vehicle_class = DEFAULT_VEHICLE_CLASS,
+      passengers = 1
     } = req.body;
 
-    // Calculate destination coordinates if not provided
-    let destCoords = destination_coordinates;
-    if (!destCoords) {
+    if (scheduled_for) {
+      const scheduleError = scheduling.validatePickupTime(scheduled_for);
+      if (scheduleError) {
+        return res.status(400).json({ message: scheduleError, code: "INVALID_SCHEDULE_TIME" });
+      }
+    }
+
+    // A quote fixes the trip and the price it was quoted at
+    let quote = null;
+    if (quote_id) {
       try {
-        // Try to get coordinates from the destination name using Nominatim
-        const response = await axios.get(
-          "https://nominatim.openstreetmap.org/search",
-          {
-            params: {
-              q: destination,
-              format: "json",
-              limit: 1,
-            },
-            headers: {
-              "User-Agent": "RideBookingApp/1.0 (your.email@example.com)",
-            },
-          }
-        );
-        
-        if (response.data && response.data.length > 0) {
-          destCoords = [
-            parseFloat(response.data[0].lon),
-            parseFloat(response.data[0].lat),
-          ];
-        } else {
-          // If no coordinates found, use a random location nearby the pickup
-          console.log("No destination coordinates found, using random offset");
-          const randomOffset = () => (Math.random() - 0.5) * 0.1; // ~5km random offset
-          destCoords = [
-            pickup_coordinates[0] + randomOffset(),
-            pickup_coordinates[1] + randomOffset()
-          ];
-        }
+        quote = quotes.verifyQuote(quote_id, req.user);
       } catch (error) {
-        console.error("Failed to geocode destination:", error.message);
-        // If geocoding fails, use a random location nearby the pickup
-        const randomOffset = () => (Math.random() - 0.5) * 0.1; // ~5km random offset
-        destCoords = [
-          pickup_coordinates[0] + randomOffset(),
-          pickup_coordinates[1] + randomOffset()
-        ];
+        return res.status(400).json({ message: error.message, code: error.code });
+      }
+
+      const mismatch =
+        (req.body.pickup_coordinates &&
+          !trip.sameCoordinates(req.body.pickup_coordinates, quote.pickup_coordinates)) ||
+        (destination_coordinates &&
+          !trip.sameCoordinates(destination_coordinates, quote.destination_coordinates)) ||
+        (stops &&
+          (stops.length !== quote.stops.length ||
+            stops.some(
+              (stop, i) =>
+                stop.coordinates &&
+                !trip.sameCoordinates(stop.coordinates, quote.stops[i].coordinates)
+            ))) ||
+        (req.body.vehicle_class && req.body.vehicle_class !== quote.vehicle_class) ||
+        (req.body.passengers && req.body.passengers !== quote.passengers);
+      if (mismatch) {
+        return res.status(400).json({
+          message: "Ride does not match the quoted trip",
+          code: "QUOTE_MISMATCH",
+        });
       }
+
+      destination = destination || quote.destination;
+      pickup_location = req.body.pickup_location || quote.pickup_location;
+      pickup_coordinates = quote.pickup_coordinates;
+      destination_coordinates = quote.destination_coordinates;
+      stops = quote.stops;
+      vehicle_class = quote.vehicle_class;
+      passengers = quote.passengers;
     }
 
-    // Add validation for destCoords
-  if (!Array.isArray(destCoords) || destCoords.length !== 2) {
-    console.error("Invalid destination coordinates, using random offset", destCoords);
-    const randomOffset = () => (Math.random() - 0.5) * 0.1; // ~5km random offset
-    destCoords = [
-      pickup_coordinates[0] + randomOffset(),
-      pickup_coordinates[1] + randomOffset()
-    ];
-}
+    // Resolve the stops in order, then the destination
+    const resolvedStops = await trip.resolveStops(stops, pickup_coordinates);
+    const stopCoords = resolvedStops.map((stop) => stop.coordinates);
+
+    // Calculate destination coordinates if not provided
+    const destCoords = await trip.resolveDestinationCoordinates(
+      destination,
+      pickup_coordinates,
+      destination_coordinates
+    );
     
     // Get current rides to check if user already has an active ride
     const rides = db.rides;
 
     // Check if user already has an active ride - this helps with test isolation
     const existingRide = rides.find(
-      (r) => r.userId === req.user.id && r.status !== "completed" && r.status !== "cancelled"
+      (r) =>
+        r.userId === req.user.id &&
+        r.status !== "completed" &&
+        r.status !== "cancelled" &&
+        !rideStatus.isScheduledRide(r)
     );
 
-    // Find the nearest driver to the pickup location
-    const nearestDriver = db.findNearestDriver(pickup_coordinates);
-    
-    if (!nearestDriver) {
+    // For test isolation, the new booking replaces any existing active ride
+    // of this user (partners book many concurrent rides from one account, so
+    // keep theirs, and booking ahead leaves the current ride alone). The
+    // replaced ride is only removed once the new booking has succeeded, and
+    // until then its driver counts as free for the new one
+    const replacedRide = existingRide && !req.apiKey && !scheduled_for ? existingRide : null;
+    const freeDriverIds = replacedRide?.driver ? [replacedRide.driver.id] : [];
+
+    let estimate;
+    if (scheduled_for) {
+      // Scheduled rides get a driver shortly before pickup, so only price
+      // them now (demand at booking time says nothing about pickup time)
+      estimate = trip.priceTrip(pickup_coordinates, destCoords, {
+        stopCoordinates: stopCoords,
+        vehicleClass: vehicle_class,
+      });
+    } else {
+      // Find the nearest suitable driver and estimate distance, cost and ETAs
+      estimate = trip.estimateTrip(pickup_coordinates, destCoords, {
+        stopCoordinates: stopCoords,
+        vehicleClass: vehicle_class,
+        passengers,
+        freeDriverIds,
+      });
+
+      if (!estimate) {
+        return res.status(400).json({
+          message: "No drivers are currently available in your area"
+        });
+      }
+
+      // Surge prices must be accepted explicitly, either through a quote or
+      // by confirming at least the current multiplier
+      if (
+        !quote &&
+        estimate.surge_multiplier > 1 &&
+        !(accept_surge >= estimate.surge_multiplier)
+      ) {
+        return res.status(409).json({
+          message: `Prices are currently ${estimate.surge_multiplier}x due to high demand. Confirm with accept_surge to book`,
+          code: "SURGE_NOT_ACCEPTED",
+          surge_multiplier: estimate.surge_multiplier,
+          cost: estimate.cost,
+          fare_breakdown: estimate.fare_breakdown,
+        });
+      }
+    }
+
+    // A promo code comes off the fare the rider would otherwise pay
+    const undiscountedFare = quote ? quote.fare_breakdown : estimate.fare_breakdown;
+    let fareBreakdown = undiscountedFare;
+    let promo = null;
+    if (promo_code) {
+      promo = promos.checkPromoCode(promo_code, req.user, fareBreakdown, {
+        replacedRideId: replacedRide?.id,
+      });
+      if (promo.error) {
+        return res.status(400).json({ message: promo.error.message, code: promo.error.code });
+      }
+      fareBreakdown = promos.applyDiscount(fareBreakdown, promo.promoCode.code, promo.discount);
+    }
+
+    // Hold the fare on the rider's card until the ride ends
+    const rideId = Date.now();
+    const paymentMethod = payments.resolvePaymentMethod(req.user.id, payment_method_id);
+    if (!paymentMethod) {
       return res.status(400).json({
-        message: "No drivers are currently available in your area"
+        message: "Payment method not found",
+        code: "PAYMENT_METHOD_NOT_FOUND",
       });
     }
-    
-    // Calculate distance between pickup and destination
-    const distance = db.calculateDistance(pickup_coordinates, destCoords);
-    
-    // Calculate realistic cost based on distance
-    // Base fare $5 + $2 per km
-    const cost = Math.round(5 + (distance * 2));
-    
-    // Calculate ETAs
-    const pickupETA = db.calculateETA(nearestDriver.distance);
-    const rideETA = db.calculateETA(distance);
-    
+    let payment;
+    try {
+      payment = await payments.authorizeRide(paymentMethod, fareBreakdown, rideId);
+    } catch (error) {
+      return res.status(402).json({
+        message: "Your card was declined. Try another payment method",
+        code: "PAYMENT_DECLINED",
+        declineCode: error.code,
+      });
+    }
+
+    // Other bookings may have used up the quote or the promo code while the
+    // card was being authorized, so check them again and redeem them
+    // straight away
+    let recheckError = null;
+    if (quote) {
+      try {
+        quotes.verifyQuote(quote_id, req.user);
+      } catch (error) {
+        recheckError = { message: error.message, code: error.code };
+      }
+    }
+    if (promo && !recheckError) {
+      recheckError = promos.checkPromoCode(promo_code, req.user, undiscountedFare, {
+        replacedRideId: replacedRide?.id,
+      }).error;
+    }
+    if (recheckError) {
+      await payments.syncWithRide({ id: rideId, status: rideStatus.STATUSES.CANCELLED, payment });
+      return res.status(400).json({ message: recheckError.message, code: recheckError.code });
+    }
+
+    // A quote can only book one ride
+    if (quote) {
+      quotes.redeemQuote(quote);
+    }
+    let redemption = null;
+    if (promo) {
+      redemption = promos.redeemPromoCode(promo.promoCode, req.user.id, rideId, fareBreakdown);
+    }
+
+    if (replacedRide) {
+      dispatch.cancelDispatch(req.app.io, replacedRide);
+      promos.reverseRedemption(replacedRide);
+      await payments.syncWithRide({ ...replacedRide, status: rideStatus.STATUSES.CANCELLED });
+      if (replacedRide.driver) driverAvailability.release(replacedRide.driver.id);
+      const index = db.rides.findIndex((r) => r.id === replacedRide.id);
+      if (index !== -1) {
+        db.rides.splice(index, 1);
+      }
+    }
+
     // Create a new ride object with initial status
     const newRide = {
-      id: Date.now(), // Generate a unique ID using timestamp
+      id: rideId, // Unique ID from the booking timestamp
       userId: req.user.id, // Associate ride with authenticated user
       destination,
       pickup_location,
       dropoff_location: destination,
-      status: "Driver on the way", // Set initial ride status
+      status: scheduled_for
+        ? rideStatus.STATUSES.SCHEDULED
+        : rideStatus.STATUSES.DRIVER_ON_WAY, // Set initial ride status
       lastUpdated: new Date().toISOString(),
       date: new Date().toISOString(),
-      cost,
-      distance: parseFloat(distance.toFixed(2)),
+      cost: fareBreakdown.total,
+      fare_breakdown: fareBreakdown,
+      payment,
+      distance: estimate.distance,
       pickup_coordinates,
       destination_coordinates: destCoords,
+      vehicle_class,
+      passengers,
+
+      // The rider's rating, for the driver to see
+      rider: { name: req.user.name, rating: req.user.rating ?? null },
       
-      // Add driver and vehicle info
-      driver: {
-        id: nearestDriver.id,
-        name: nearestDriver.name,
-        rating: nearestDriver.rating,
-        location: nearestDriver.location.address
-      },
-      vehicle: {
-        model: nearestDriver.vehicle.model,
-        color: nearestDriver.vehicle.color,
-        plate: nearestDriver.vehicle.plate
-      },
+      // Add driver and vehicle info (assigned at dispatch for scheduled rides)
+      driver: estimate.driver || null,
+      vehicle: estimate.vehicle || null,
       
       // Add ETAs
-      eta: pickupETA,
-      ride_duration: rideETA,
-      estimated_arrival: new Date(
-        Date.now() + (nearestDriver.distance * 60 * 60 * 1000 / 30) // Convert km to ms at 30km/h
-      ).toISOString()
+      eta: estimate.eta || null,
+      ride_duration: estimate.ride_duration,
+      estimated_arrival: estimate.estimated_arrival || null
     };
 
-    // For test isolation, remove any existing active rides for this user
-    if (existingRide) {
-      const index = db.rides.findIndex((r) => r.id === existingRide.id);
-      if (index !== -1) {
-        db.rides.splice(index, 1);
-      }
+    if (scheduled_for) {
+      newRide.scheduled_for = new Date(scheduled_for).toISOString();
+    }
+    if (resolvedStops.length > 0) {
+      newRide.stops = numberStops(
+        resolvedStops.map((stop) => ({
+          ...stop,
+          status: "pending",
+          arrivedAt: null,
+          departedAt: null,
+        }))
+      );
+    }
+
+    if (quote) {
+      newRide.quoteId = quote.jti;
+    }
+    // Record partner bookings made with an API key
+    if (req.apiKey) {
+      newRide.bookedVia = { apiKeyId: req.apiKey.id, name: req.apiKey.name };
+    }
+    if (guest) {
+      newRide.guest = guest;
+    }
+    if (redemption) {
+      newRide.promo = { code: redemption.code, redemptionId: redemption.id };
     }
 
     // Add the new ride to the database
     db.addRide(newRide);
 
+    // Offer the ride to drivers; the rider follows the search over the socket
+    if (!scheduled_for && dispatch.isOfferMode()) {
+      return res.status(201).json(dispatch.startDispatch(req.app.io, newRide.id));
+    }
+
+    // The assigned driver is now on the way and cannot take other rides
+    driverAvailability.syncWithRide(newRide);
+
     // Return the created ride details with 201 Created status
     res.status(201).json(newRide);
   } catch (error) {
@@ -203,14 +690,18 @@ exports.createRide = async (req, res) => {
 };
 
 /**
- * Cancel a ride
+ * Cancel a ride, charging the cancellation fee the policy sets for how far
+ * the ride has got
  * 
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
  * @param {string} req.params.id - Ride ID to cancel
+ * @param {Object} [req.body] - Request body
+ * @param {string} [req.body.reason] - Reason code (defaults to "other")
+ * @param {string} [req.body.comment] - Optional explanation
  * @param {Object} req.user - User object (added by auth middleware)
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with cancellation status
+ * @returns {Object} JSON response with cancellation status and the fee charged
  */
 exports.cancelRide = async (req, res) => {
   try {
@@ -238,14 +729,31 @@ exports.cancelRide = async (req, res) => {
       return res.status(400).json({ message: "Ride is already cancelled" });
     }
     
-    // Update ride status to cancelled
-    db.updateRide({
+    // The body is optional (Express leaves it undefined when empty)
+    const { reason = "other", comment } = req.body || {};
+
+    // Update ride status to cancelled, record the fee and free its driver
+    const cancelledRide = db.updateRide({
       ...ride,
       status: "cancelled",
-      lastUpdated: new Date().toISOString()
+      lastUpdated: new Date().toISOString(),
+      cancellation: cancellation.buildCancellation(ride, "rider", reason, { comment }),
     });
+    driverAvailability.syncWithRide(cancelledRide);
+    promos.reverseRedemption(cancelledRide);
+    const settledRide = await payments.syncWithRide(cancelledRide);
+
+    // Withdraw any offer still waiting for a driver's answer
+    if (rideStatus.isSearchingRide(ride)) {
+      dispatch.cancelDispatch(req.app.io, ride);
+    }
+    rideEvents.emitRideUpdate(req.app.io, cancelledRide);
     
-    res.status(200).json({ message: "Ride cancelled successfully" });
+    res.status(200).json({
+      message: "Ride cancelled successfully",
+      cancellation: settledRide.cancellation,
+      payment: settledRide.payment,
+    });
   } catch (error) {
     console.error("Cancel ride error:", error);
     res.status(500).json({
@@ -281,9 +789,14 @@ exports.getRideStatus = async (req, res) => {
       return res.status(404).json({ message: "No ride found" });
     }
 
-    // Find the most recent active ride for this user
+    // Find the most recent active ride for this user (rides booked for
+    // later have no status to report until they are dispatched)
     const userRides = rides.filter(
-      (r) => r.userId === req.user.id && r.status !== "completed" && r.status !== "cancelled"
+      (r) =>
+        r.userId === req.user.id &&
+        r.status !== "completed" &&
+        r.status !== "cancelled" &&
+        !rideStatus.isScheduledRide(r)
     );
 
     // Sort by ID (timestamp) to get the most recent ride
@@ -293,6 +806,11 @@ exports.getRideStatus = async (req, res) => {
     // If no ride is found, return 404 Not Found
     if (!ride) return res.status(404).json({ message: "No ride found" });
 
+    // Rides still waiting for a driver move on only when one accepts
+    if (rideStatus.isSearchingRide(ride)) {
+      return res.json(ride);
+    }
+
     // Check elapsed time since last update to make status transitions more realistic
     const lastUpdateTime = new Date(ride.lastUpdated).getTime();
     const currentTime = Date.now();
@@ -327,25 +845,17 @@ exports.getRideStatus = async (req, res) => {
       "in_progress": "completed",
     };
 
-    // Update the ride status
-    const newStatus = nextStatus[ride.status] || "Driver on the way";
-    ride.status = newStatus;
-    ride.lastUpdated = new Date().toISOString();
-    
-    // Update ETAs based on status
-    if (newStatus === "Driver arrived") {
-      ride.eta = "Driver has arrived";
-    } else if (newStatus === "Ride started") {
-      ride.eta = ride.ride_duration;
-    } else if (newStatus === "Ride completed" || newStatus === "completed") {
-      ride.eta = "Completed";
-    }
+    // Update the ride status (multi-stop rides pass through their stops first)
+    const newStatus =
+      rideStatus.getStopTransition(ride) || nextStatus[ride.status] || "Driver on the way";
+    const updatedRide = rideStatus.applyStatusChange(ride, newStatus);
 
     // Update the ride in the database
-    db.updateRide(ride);
+    db.updateRide(updatedRide);
+    driverAvailability.syncWithRide(updatedRide);
 
-    // Return the updated ride information
-    res.json(ride);
+    // Return the updated ride information, paid for if it just completed
+    res.json(await payments.syncWithRide(updatedRide));
   } catch (error) {
     console.error("Get ride status error:", error);
     res.status(500).json({
@@ -356,14 +866,40 @@ exports.getRideStatus = async (req, res) => {
 };
 
 /**
- * Get the user's ride history with filtering options
+ * Find the user's rides that match the history filters, in the requested order
+ *
+ * @param {number} userId - The rider
+ * @param {Object} query - Validated history query (see rideHistoryFilters)
+ * @returns {Object[]} The matching rides, sorted
+ */
+const findHistoryRides = (userId, query) => {
+  const userRides = db.rides.filter((r) => r.userId === userId);
+  return rideHistory.sortRides(
+    rideHistory.filterRides(userRides, query),
+    query.sort,
+    query.order
+  );
+};
+
+/**
+ * Get the user's ride history, one page at a time
  *
  * @param {Object} req - Express request object
  * @param {Object} req.user - User object (added by auth middleware)
  * @param {number} req.user.id - ID of the authenticated user
- * @param {string} req.query.status - Optional filter for ride status
+ * @param {string|string[]} req.query.status - Optional status filter (scheduled, in_progress, completed, cancelled)
+ * @param {string} req.query.from - Optional earliest ride date (ISO 8601)
+ * @param {string} req.query.to - Optional latest ride date (ISO 8601)
+ * @param {number} req.query.min_cost - Optional lowest cost
+ * @param {number} req.query.max_cost - Optional highest cost
+ * @param {number} req.query.min_distance - Optional shortest distance in kilometers
+ * @param {number} req.query.max_distance - Optional longest distance in kilometers
+ * @param {string} req.query.sort - Sort by date, cost or distance (default date)
+ * @param {string} req.query.order - asc or desc (default desc)
+ * @param {number} req.query.limit - Page size (default 20, at most 100)
+ * @param {string} req.query.cursor - Cursor of the page to get, from next_cursor
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with the user's ride history
+ * @returns {Object} JSON response with the page of rides and the total count
  */
 exports.getRideHistory = async (req, res) => {
   try {
@@ -377,57 +913,40 @@ exports.getRideHistory = async (req, res) => {
       return res.status(404).json({ message: "No rides found" });
     }
 
-    // Get all rides for the user
-    let userRides = db.rides.filter((r) => r.userId === req.user.id);
-    
-    // Apply status filter if provided
-    const { status } = req.query;
-    if (status) {
-      switch (status) {
-        case "completed":
-          userRides = userRides.filter(r => r.status === "completed");
-          break;
-        case "in_progress":
-          userRides = userRides.filter(r => 
-            r.status === "in_progress" || 
-            r.status === "Driver on the way" || 
-            r.status === "Driver arrived" || 
-            r.status === "Ride started"
-          );
-          break;
-        case "cancelled":
-          userRides = userRides.filter(r => r.status === "cancelled");
-          break;
-        default:
-          // No filtering for "all" or invalid status
-          break;
-      }
-    }
-    
-    // Sort by date (most recent first)
-    userRides.sort((a, b) => {
-      const dateA = a.date ? new Date(a.date) : new Date(a.lastUpdated);
-      const dateB = b.date ? new Date(b.date) : new Date(b.lastUpdated);
-      return dateB - dateA;
-    });
+    // The validate middleware only checks the query; this applies the defaults
+    const { value: query } = rideHistoryQuerySchema.validate(req.query);
 
-    // In test environment, return only the most recent ride
-    // This ensures test consistency
-    if (process.env.NODE_ENV === "test") {
-      const recentRide = userRides[0];
-      if (!recentRide) {
-        return res.status(404).json({ message: "No rides found" });
+    let after;
+    if (query.cursor) {
+      after = rideHistory.decodeCursor(query.cursor, query.sort, query.order);
+      if (!after) {
+        return res.status(400).json({
+          message: "Cursor is invalid or was made for another sort order",
+          code: "INVALID_CURSOR",
+        });
       }
-      return res.json([recentRide]);
     }
 
-    // Check if the user has any rides in the history
-    if (userRides.length === 0) {
+    const rides = findHistoryRides(req.user.id, query);
+
+    // Check if the user has any rides matching the filters
+    if (rides.length === 0) {
       return res.status(404).json({ message: "No rides found" });
     }
 
-    // Return the user's ride history
-    res.json(userRides);
+    const page = rideHistory.paginate(rides, {
+      sort: query.sort,
+      order: query.order,
+      limit: query.limit,
+      after,
+    });
+
+    res.json({
+      rides: page.rides,
+      total: rides.length,
+      limit: query.limit,
+      next_cursor: page.nextCursor,
+    });
   } catch (error) {
     console.error("Get ride history error:", error);
     res.status(500).json({
@@ -437,6 +956,520 @@ exports.getRideHistory = async (req, res) => {
   }
 };
 
+/**
+ * Download every ride of the user's history that matches the filters
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {string} req.query.format - csv or json (default csv)
+ * @param {Object} req.query - Also takes the filters and sort order of getRideHistory
+ * @param {Object} res - Express response object
+ * @returns {string} The rides as a CSV or JSON attachment
+ */
+exports.exportRideHistory = async (req, res) => {
+  try {
+    const { value: query } = exportRideHistoryQuerySchema.validate(req.query);
+    const rides = findHistoryRides(req.user.id, query);
+    const fileName = `ride-history-${new Date().toISOString().slice(0, 10)}.${query.format}`;
+
+    res.attachment(fileName);
+    if (query.format === "json") {
+      return res.json(rides);
+    }
+    res.type("csv").send(rideHistory.toCsv(rides));
+  } catch (error) {
+    console.error("Export ride history error:", error);
+    res.status(500).json({
+      message: "Failed to export ride history",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Get the active rides assigned to the authenticated driver
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {number} req.user.driverId - Driver profile linked to the account
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the driver's assigned rides
+ */
+exports.getAssignedRides = async (req, res) => {
+  try {
+    const assignedRides = db.rides.filter(
+      (r) =>
+        r.driver &&
+        r.driver.id === req.user.driverId &&
+        r.status !== "completed" &&
+        r.status !== "cancelled"
+    );
+
+    res.json(assignedRides);
+  } catch (error) {
+    console.error("Get assigned rides error:", error);
+    res.status(500).json({
+      message: "Failed to fetch assigned rides",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Get every ride in the system, optionally filtered by status (admin only)
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.query.status - Optional exact status to filter by
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with all rides, most recent first
+ */
+exports.getAllRides = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const rides = status
+      ? db.rides.filter((r) => r.status === status)
+      : [...db.rides];
+
+    rides.sort((a, b) => b.id - a.id);
+
+    res.json(rides);
+  } catch (error) {
+    console.error("Get all rides error:", error);
+    res.status(500).json({
+      message: "Failed to fetch rides",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Get the authenticated user's upcoming scheduled rides
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with scheduled rides, soonest pickup first
+ */
+exports.getScheduledRides = async (req, res) => {
+  try {
+    const scheduledRides = db.rides
+      .filter((r) => r.userId === req.user.id && rideStatus.isScheduledRide(r))
+      .sort((a, b) => new Date(a.scheduled_for) - new Date(b.scheduled_for));
+
+    res.json(scheduledRides);
+  } catch (error) {
+    console.error("Get scheduled rides error:", error);
+    res.status(500).json({
+      message: "Failed to fetch scheduled rides",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Change the pickup time or locations of a scheduled ride
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ride ID to edit
+ * @param {Object} req.body - Fields to change (same names as when booking)
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated ride
+ */
+exports.updateScheduledRide = async (req, res) => {
+  try {
+    const ride = db.findRideById(parseInt(req.params.id));
+
+    if (!ride) {
+      return res.status(404).json({ message: "Ride not found" });
+    }
+
+    if (ride.userId !== req.user.id) {
+      return res.status(403).json({ message: "You can only edit your own rides" });
+    }
+
+    if (!rideStatus.isScheduledRide(ride)) {
+      return res.status(409).json({
+        message: "Only scheduled rides that have not been dispatched can be edited",
+        code: "RIDE_NOT_SCHEDULED",
+      });
+    }
+
+    const {
+      scheduled_for,
+      destination,
+      pickup_location,
+      pickup_coordinates,
+      destination_coordinates,
+    } = req.body;
+    const changes = { id: ride.id, lastUpdated: new Date().toISOString() };
+
+    if (scheduled_for) {
+      const scheduleError = scheduling.validatePickupTime(scheduled_for);
+      if (scheduleError) {
+        return res.status(400).json({ message: scheduleError, code: "INVALID_SCHEDULE_TIME" });
+      }
+      changes.scheduled_for = new Date(scheduled_for).toISOString();
+    }
+
+    if (pickup_location) {
+      changes.pickup_location = pickup_location;
+    }
+
+    // A new route means a new price (and any quoted price no longer applies)
+    if (destination || pickup_coordinates || destination_coordinates) {
+      const pickupCoords = pickup_coordinates || ride.pickup_coordinates;
+      const destCoords =
+        destination_coordinates ||
+        (destination
+          ? await trip.resolveDestinationCoordinates(destination, pickupCoords)
+          : ride.destination_coordinates);
+      const price = trip.priceTrip(pickupCoords, destCoords, {
+        stopCoordinates: (ride.stops || []).map((stop) => stop.coordinates),
+        vehicleClass: ride.vehicle_class,
+      });
+      const fareBreakdown = promos.repriceRedemption(ride, price.fare_breakdown);
+
+      Object.assign(changes, {
+        pickup_coordinates: pickupCoords,
+        destination_coordinates: destCoords,
+        distance: price.distance,
+        cost: fareBreakdown.total,
+        fare_breakdown: fareBreakdown,
+        ride_duration: price.ride_duration,
+        quoteId: undefined,
+      });
+      if (destination) {
+        changes.destination = destination;
+        changes.dropoff_location = destination;
+      }
+    }
+
+    const saved = await saveRepricedRide(ride, changes);
+    if (saved.error) {
+      return res.status(saved.status).json(saved.error);
+    }
+
+    res.json(saved.ride);
+  } catch (error) {
+    console.error("Update scheduled ride error:", error);
+    res.status(500).json({
+      message: "Failed to update scheduled ride",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Add a stop to a ride that has not finished yet
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ride ID
+ * @param {Object} req.body - The stop to add
+ * @param {string} req.body.address - Stop address
+ * @param {Array} req.body.coordinates - Optional stop coordinates [longitude, latitude]
+ * @param {number} req.body.position - Optional 1-based position (defaults to the last stop)
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the re-priced ride
+ */
+exports.addStop = async (req, res) => {
+  try {
+    const ride = db.findRideById(parseInt(req.params.id));
+
+    if (!ride) {
+      return res.status(404).json({ message: "Ride not found" });
+    }
+
+    if (ride.userId !== req.user.id) {
+      return res.status(403).json({ message: "You can only change your own rides" });
+    }
+
+    if (!rideStatus.isActiveRide(ride) || ride.status === rideStatus.STATUSES.RIDE_COMPLETED) {
+      return res.status(409).json({
+        message: "Stops can only be changed before the ride ends",
+        code: "RIDE_NOT_ACTIVE",
+      });
+    }
+
+    const stops = ride.stops || [];
+    if (stops.length >= MAX_STOPS) {
+      return res.status(400).json({
+        message: `A ride can have at most ${MAX_STOPS} stops`,
+        code: "TOO_MANY_STOPS",
+      });
+    }
+
+    // New stops go after every stop the ride has already reached
+    const reached = stops.filter((stop) => stop.status !== "pending").length;
+    const position = req.body.position || stops.length + 1;
+    if (position <= reached || position > stops.length + 1) {
+      return res.status(400).json({
+        message: `Stop position must be between ${reached + 1} and ${stops.length + 1}`,
+        code: "INVALID_STOP_POSITION",
+      });
+    }
+
+    const previous = position > 1 ? stops[position - 2].coordinates : ride.pickup_coordinates;
+    const [resolved] = await trip.resolveStops([req.body], previous);
+    const newStop = { ...resolved, status: "pending", arrivedAt: null, departedAt: null };
+
+    const updatedStops = numberStops([
+      ...stops.slice(0, position - 1),
+      newStop,
+      ...stops.slice(position - 1),
+    ]);
+    const saved = await saveRepricedRide(ride, repriceWithStops(ride, updatedStops));
+    if (saved.error) {
+      return res.status(saved.status).json(saved.error);
+    }
+    const updatedRide = saved.ride;
+
+    rideEvents.emitRideUpdate(req.app.io, updatedRide);
+
+    res.status(201).json(updatedRide);
+  } catch (error) {
+    console.error("Add stop error:", error);
+    res.status(500).json({
+      message: "Failed to add stop",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Remove a stop the ride has not reached yet
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ride ID
+ * @param {string} req.params.number - 1-based number of the stop to remove
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the re-priced ride
+ */
+exports.removeStop = async (req, res) => {
+  try {
+    const ride = db.findRideById(parseInt(req.params.id));
+
+    if (!ride) {
+      return res.status(404).json({ message: "Ride not found" });
+    }
+
+    if (ride.userId !== req.user.id) {
+      return res.status(403).json({ message: "You can only change your own rides" });
+    }
+
+    if (!rideStatus.isActiveRide(ride) || ride.status === rideStatus.STATUSES.RIDE_COMPLETED) {
+      return res.status(409).json({
+        message: "Stops can only be changed before the ride ends",
+        code: "RIDE_NOT_ACTIVE",
+      });
+    }
+
+    const stops = ride.stops || [];
+    const stop = stops.find((s) => s.number === parseInt(req.params.number));
+    if (!stop) {
+      return res.status(404).json({ message: "Stop not found" });
+    }
+
+    if (stop.status !== "pending") {
+      return res.status(409).json({
+        message: "This stop has already been reached",
+        code: "STOP_ALREADY_REACHED",
+      });
+    }
+
+    const updatedStops = numberStops(stops.filter((s) => s !== stop));
+    const saved = await saveRepricedRide(ride, repriceWithStops(ride, updatedStops));
+    if (saved.error) {
+      return res.status(saved.status).json(saved.error);
+    }
+    const updatedRide = saved.ride;
+
+    rideEvents.emitRideUpdate(req.app.io, updatedRide);
+
+    res.json(updatedRide);
+  } catch (error) {
+    console.error("Remove stop error:", error);
+    res.status(500).json({
+      message: "Failed to remove stop",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Rate the driver of a completed ride
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ride ID
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.rating - Stars from 1 to 5
+ * @param {string[]} req.body.tags - Optional tags (e.g. "friendly", "clean_car")
+ * @param {string} req.body.comment - Optional review
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the rated ride and the driver's new rating
+ */
+exports.rateRide = async (req, res) => {
+  try {
+    const ride = db.findRideById(parseInt(req.params.id));
+
+    if (!ride) {
+      return res.status(404).json({ message: "Ride not found" });
+    }
+
+    if (ride.userId !== req.user.id) {
+      return res.status(403).json({ message: "You can only rate your own rides" });
+    }
+
+    const rateError = ratings.checkCanRate(ride, "driver");
+    if (rateError) {
+      return res.status(rateError.status).json({ message: rateError.message, code: rateError.code });
+    }
+
+    const updatedRide = ratings.rateRide(ride, "driver", req.body);
+    const driver = db.findDriverById(ride.driver.id);
+
+    res.status(201).json({
+      ride: updatedRide,
+      driver: { id: driver.id, rating: driver.rating, ratingCount: driver.ratingCount },
+    });
+  } catch (error) {
+    console.error("Rate ride error:", error);
+    res.status(500).json({
+      message: "Failed to rate ride",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Tip the driver of a completed ride. Card rides are charged the tip
+ * separately from the fare; a ride can only be tipped once.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ride ID
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.amount - The tip, in the ride's currency
+ * @param {Object} req.user - User object (added by auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the tipped ride
+ */
+exports.tipRide = async (req, res) => {
+  try {
+    const ride = db.findRideById(parseInt(req.params.id));
+
+    if (!ride) {
+      return res.status(404).json({ message: "Ride not found" });
+    }
+
+    if (ride.userId !== req.user.id) {
+      return res.status(403).json({ message: "You can only tip on your own rides" });
+    }
+
+    if (ride.status !== rideStatus.STATUSES.COMPLETED) {
+      return res.status(409).json({
+        message: "Tips can only be added once the ride is completed",
+        code: "RIDE_NOT_COMPLETED",
+      });
+    }
+
+    if (ride.tip) {
+      return res.status(409).json({
+        message: "This ride has already been tipped",
+        code: "TIP_ALREADY_ADDED",
+      });
+    }
+
+    // Claim the tip before charging, so a second request cannot tip again
+    const amount = req.body.amount;
+    db.updateRide({ id: ride.id, tip: amount });
+
+    let tipPayment;
+    try {
+      tipPayment = await payments.chargeTip(ride, amount);
+    } catch (error) {
+      db.updateRide({ id: ride.id, tip: 0 });
+      return res.status(402).json({
+        message: "Your card was declined for the tip",
+        code: "PAYMENT_DECLINED",
+        declineCode: error.code,
+      });
+    }
+
+    const updatedRide = db.updateRide({
+      id: ride.id,
+      payment: { ...ride.payment, tip: tipPayment },
+    });
+    res.status(201).json(updatedRide);
+  } catch (error) {
+    console.error("Tip ride error:", error);
+    res.status(500).json({
+      message: "Failed to add tip",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * Get the receipt of a completed ride as JSON, a printable HTML page or a PDF
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ride ID
+ * @param {string} [req.query.format] - "json", "html" or "pdf" (otherwise picked from the Accept header)
+ * @param {Object} res - Express response object
+ * @returns {Object|string|Buffer} The receipt in the requested format
+ */
+exports.getRideReceipt = async (req, res) => {
+  try {
+    const ride = db.findRideById(parseInt(req.params.id));
+
+    if (!ride) {
+      return res.status(404).json({ message: "Ride not found" });
+    }
+
+    if (ride.userId !== req.user.id) {
+      return res.status(403).json({ message: "You can only get receipts for your own rides" });
+    }
+
+    if (ride.status !== rideStatus.STATUSES.COMPLETED) {
+      return res.status(409).json({
+        message: "Receipts are only available once the ride is completed",
+        code: "RIDE_NOT_COMPLETED",
+      });
+    }
+
+    const format = req.query.format || req.accepts(Object.keys(receipts.FORMATS));
+    if (!format) {
+      return res.status(406).json({
+        message: "Receipts are available as " + Object.values(receipts.FORMATS).join(", "),
+        code: "UNSUPPORTED_FORMAT",
+      });
+    }
+
+    const receipt = receipts.buildReceipt(ride, req.user);
+    res.vary("Accept");
+
+    if (format === "html") {
+      return res.type("html").send(receipts.renderHtml(receipt));
+    }
+    if (format === "pdf") {
+      return res
+        .type("pdf")
+        .attachment(`${receipt.receipt_number}.pdf`)
+        .send(receipts.renderPdf(receipt));
+    }
+    res.json(receipt);
+  } catch (error) {
+    console.error("Get ride receipt error:", error);
+    res.status(500).json({
+      message: "Failed to get ride receipt",
+      error: process.env.NODE_ENV === "production" ? undefined : error.message,
+    });
+  }
+};
+
 // Add a pool of user agents at the top of your file
 const userAgents = [
   "RideBookingApp/1.0 (https://rideapp.example.com; support@rideapp.example.com)",
@@ -660,14 +1693,6 @@ exports.updateRideStatus = async (req, res) => {
     const rideId = parseInt(req.params.id);
     const { status } = req.body;
     
-    // Validate the requested status
-    const validNextStatuses = {
-      "Driver on the way": ["Driver arrived"], 
-      "Driver arrived": ["Ride started", "cancelled"],
-      "Ride started": ["Ride completed", "completed", "cancelled"],
-      "Ride completed": ["completed"],
-    };
-    
     // Find the ride
     const ride = db.findRideById(rideId);
     
@@ -690,40 +1715,35 @@ exports.updateRideStatus = async (req, res) => {
       return res.status(400).json({ message: "Cannot update a cancelled ride" });
     }
     
+    // Cancelling charges the policy's fee, so it has its own endpoint
+    if (status === rideStatus.STATUSES.CANCELLED) {
+      return res.status(400).json({
+        message: "Cancel rides with DELETE /api/rides/:id",
+        code: "USE_CANCEL_ENDPOINT",
+      });
+    }
+
     // Check if the requested status is valid for the current status
-    if (!validNextStatuses[ride.status] || !validNextStatuses[ride.status].includes(status)) {
+    // (multi-stop rides go through each of their stops in order)
+    if (!rideStatus.isValidManualTransition(ride.status, status, ride)) {
       return res.status(400).json({ 
         message: `Cannot update from "${ride.status}" to "${status}"`,
-        validStatuses: validNextStatuses[ride.status] || []
+        validStatuses: rideStatus.getValidManualTransitions(ride.status, ride)
       });
     }
     
-    // Update the ride status
-    const updatedRide = {
-      ...ride,
-      status,
-      lastUpdated: new Date().toISOString()
-    };
-    
-    // Update ETAs based on status
-    if (status === "Driver arrived") {
-      updatedRide.eta = "Driver has arrived";
-    } else if (status === "Ride started") {
-      updatedRide.eta = updatedRide.ride_duration;
-    } else if (status === "Ride completed" || status === "completed") {
-      updatedRide.eta = "Completed";
-    }
+    // Update the ride status, ETA and stops
+    const updatedRide = rideStatus.applyStatusChange(ride, status);
 
     // If there's Socket.IO setup, emit the status update
-    if (req.app.io) {
-      req.app.io.to(rideId.toString()).emit("statusUpdate", updatedRide);
-    }
+    rideEvents.emitRideUpdate(req.app.io, updatedRide);
     
     // Save the updated ride
     await db.updateRide(updatedRide);    
+    driverAvailability.syncWithRide(updatedRide);
     
-    // Return the updated ride
-    res.json(updatedRide);
+    // Return the updated ride, charged once completed
+    res.json(await payments.syncWithRide(updatedRide));
   } catch (error) {
     console.error("Update ride status error:", error);
     res.status(500).json({
@@ -859,5 +1879,14 @@ function getFallbackMockData(query) {
 
 // export the validation schemas to be used in the routes
 exports.createRideSchema = createRideSchema;
+exports.quoteSchema = quoteSchema;
+exports.updateScheduledRideSchema = updateScheduledRideSchema;
+exports.addStopSchema = addStopSchema;
+exports.rateRideSchema = rateRideSchema;
+exports.tipRideSchema = tipRideSchema;
+exports.cancelRideSchema = cancelRideSchema;
 exports.searchPlacesSchema = searchPlacesSchema;
 exports.updateRideStatusSchema = updateRideStatusSchema;
+exports.receiptQuerySchema = receiptQuerySchema;
+exports.rideHistoryQuerySchema = rideHistoryQuerySchema;
+exports.exportRideHistoryQuerySchema = exportRideHistoryQuerySchema;
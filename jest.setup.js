@@ -3,3 +3,9 @@ process.env.JWT_SECRET = "test_secret_key";
 process.env.JWT_EXPIRES_IN = "1h";
 process.env.BCRYPT_SALT_ROUNDS = "10";
 process.env.NODE_ENV = "test";
+process.env.MAIL_TRANSPORT = "memory";
+// Surge pricing depends on how many rides the suites book, so tests opt in
+process.env.SURGE_ENABLED = "false";
+// Rides are assigned to the nearest driver straight away unless a test
+// walks through driver offers itself
+process.env.DISPATCH_MODE = "instant";
@@ -3,11 +3,114 @@
  *
  * This middleware verifies the JWT token from the request headers
  * and attaches the authenticated user to the request object.
+ * The same checks are exposed as `authenticateToken` for transports
+ * other than HTTP, such as the Socket.IO handshake.
+ *
+ * Routes that partners may call use `withApiKey(scope)` instead, which also
+ * accepts an `X-API-Key` header granted that scope.
  */
 
 // Import dependencies
-const jwt = require("jsonwebtoken");
 const db = require("../utils/db");
+const tokens = require("../utils/token.utils");
+const apiKeys = require("../utils/apiKey.utils");
+const sessions = require("../utils/session.utils");
+
+/**
+ * Verify an access token and load the user it belongs to
+ *
+ * @param {string} token - The raw JWT
+ * @returns {Promise<{user: Object, decoded: Object}>} The user and the decoded token
+ * @throws {Error} If the token is invalid, expired or revoked, its session was
+ *   signed out, or the user no longer exists
+ */
+const authenticateToken = async (token) => {
+  // Verify and decode the JWT token (also rejects revoked tokens)
+  const decoded = tokens.verifyAccessToken(token);
+
+  // Tokens tied to a signed-out device are no longer valid
+  if (decoded.sid) {
+    const session = db.findSessionById(decoded.sid);
+    if (!sessions.isSessionActive(session)) {
+      const error = new Error("Session revoked");
+      error.name = "SessionRevokedError";
+      throw error;
+    }
+    sessions.touchSession(session);
+  }
+
+  // Find the user by ID from the decoded token
+  const user = db.findUserById(decoded.id);
+  if (!user) {
+    const error = new Error("User not found");
+    error.name = "UserNotFoundError";
+    throw error;
+  }
+
+  return { user, decoded };
+};
+
+/**
+ * Turn an authentication error into the message returned to clients
+ *
+ * @param {Error} error - Error thrown by authenticateToken
+ * @returns {string} Client-facing error message
+ */
+const getAuthErrorMessage = (error) => {
+  switch (error.name) {
+    case "TokenExpiredError":
+      return "Token expired";
+    case "TokenRevokedError":
+      return "Token revoked";
+    case "SessionRevokedError":
+      return "Session revoked";
+    case "UserNotFoundError":
+      return "Unauthorized - User not found";
+    default:
+      // Token verification errors (invalid signature, malformed, etc.)
+      return "Unauthorized - " + error.message;
+  }
+};
+
+/**
+ * Authenticate a request with an X-API-Key header
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {string} scope - Permission the route requires
+ * @returns {void}
+ */
+const authenticateApiKey = (req, res, next, scope) => {
+  const record = apiKeys.findApiKey(req.get("x-api-key"));
+
+  if (!record) {
+    return res.status(401).json({ message: "Unauthorized - Invalid API key" });
+  }
+
+  if (record.revokedAt) {
+    return res.status(401).json({ message: "API key revoked" });
+  }
+
+  if (!record.scopes.includes(scope)) {
+    return res.status(403).json({
+      message: `API key is missing the required scope: ${scope}`,
+      code: "INSUFFICIENT_SCOPE",
+    });
+  }
+
+  // The key acts on behalf of the account it was issued for
+  const user = db.findUserById(record.userId);
+  if (!user) {
+    return res.status(401).json({ message: "Unauthorized - User not found" });
+  }
+
+  apiKeys.recordUsage(record, scope, req.ip);
+
+  req.user = user;
+  req.apiKey = record;
+  next();
+};
 
 /**
  * Authentication middleware function
@@ -19,7 +122,7 @@ const db = require("../utils/db");
  * @param {Function} next - Express next middleware function
  * @returns {void}
  */
-module.exports =  async (req, res, next) => {
+module.exports = async (req, res, next) => {
   // Extract token from Authorization header (Bearer format)
   const token = req.headers.authorization?.split(" ")[1];
 
@@ -27,35 +130,36 @@ module.exports =  async (req, res, next) => {
   if (!token) return res.status(401).json({ message: "Unauthorized - No token" });
 
   try {
-    console.log("JWT Secret:", process.env.JWT_SECRET || "not set");
-
-    // Verify and decode the JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || "test_secret");
+    const { user, decoded } = await authenticateToken(token);
 
-    // Find the user by ID from the decoded token
-    const users = await db.users;
-    console.log("User database has", users.length, "users");
-    console.log("Looking for user with ID:", decoded.id);
+    req.user = user;
 
-    req.user = users.find((user) => user.id === decoded.id);
-    console.log("Found user:", req.user ? "Yes" : "No");
+    // Keep the decoded token around so handlers can revoke it
+    req.token = decoded;
+  } catch (error) {
+    return res.status(401).json({ message: getAuthErrorMessage(error) });
+  }
 
-    // If user not found in database, return 401 Unauthorized
-    if (!req.user)
-      return res.status(401).json({
-        message: "Unauthorized - User not found",
-      });
+  // Proceed to the next middleware or route handler
+  next();
+};
 
-    // Proceed to the next middleware or route handler
-    next();
-  } catch (error) {
-    if (error.name === "TokenExpiredError") {
-        return res.status(401).json({ message: "Token expired" });
+/**
+ * Create a middleware accepting either a Bearer JWT or an API key
+ *
+ * @param {string} scope - Permission an API key needs for the route
+ * @returns {Function} Express middleware function
+ */
+const withApiKey = (scope) => {
+  return (req, res, next) => {
+    // A Bearer token always takes precedence over an API key
+    if (!req.headers.authorization && req.get("x-api-key")) {
+      return authenticateApiKey(req, res, next, scope);
     }
-    
-    // Handle token verification errors (expired, invalid signature, etc.)
-    return res.status(401).json({
-      message: "Unauthorized - " + error.message,
-    });
-  }
+    return module.exports(req, res, next);
+  };
 };
+
+module.exports.authenticateToken = authenticateToken;
+module.exports.getAuthErrorMessage = getAuthErrorMessage;
+module.exports.withApiKey = withApiKey;
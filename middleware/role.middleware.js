@@ -0,0 +1,29 @@
+/**
+ * Role Guard Middleware
+ *
+ * Restricts a route to accounts with one of the given roles.
+ * Must be used after the authentication middleware.
+ */
+
+/**
+ * Create a middleware that only lets the given roles through
+ *
+ * @param {...string} roles - Roles allowed to access the route
+ * @returns {Function} Express middleware function
+ */
+module.exports = (...roles) => {
+  return (req, res, next) => {
+    // The guard only makes sense behind the auth middleware
+    if (!req.user) {
+      return res.status(401).json({ message: "Unauthorized - No user" });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        message: `Forbidden - requires role: ${roles.join(" or ")}`,
+      });
+    }
+
+    next();
+  };
+};
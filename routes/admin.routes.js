@@ -0,0 +1,45 @@
+const express = require("express");
+const {
+  listUsers,
+  updateUserRole,
+  unlockUser,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey,
+  createPromoCode,
+  listPromoCodes,
+  getPromoCode,
+  updatePromoCode,
+  updateUserRoleSchema,
+  createApiKeySchema,
+  createPromoCodeSchema,
+  updatePromoCodeSchema,
+} = require("../controllers/admin.controller");
+const validate = require("../middleware/validate.middleware");
+const auth = require("../middleware/auth.middleware");
+const requireRole = require("../middleware/role.middleware");
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(auth, requireRole("admin"));
+
+// Manage user accounts
+router.get("/users", listUsers);
+router.patch("/users/:id/role", validate(updateUserRoleSchema), updateUserRole);
+router.post("/users/:id/unlock", unlockUser);
+
+// Manage partner API keys
+router.post("/api-keys", validate(createApiKeySchema), createApiKey);
+router.get("/api-keys", listApiKeys);
+router.get("/api-keys/:id", getApiKey);
+router.delete("/api-keys/:id", revokeApiKey);
+
+// Manage promo codes for discount campaigns
+router.post("/promo-codes", validate(createPromoCodeSchema), createPromoCode);
+router.get("/promo-codes", listPromoCodes);
+router.get("/promo-codes/:id", getPromoCode);
+router.patch("/promo-codes/:id", validate(updatePromoCodeSchema), updatePromoCode);
+
+module.exports = router;
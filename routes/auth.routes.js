@@ -1,9 +1,64 @@
 const express = require('express');
 const router = express.Router();
-const { login, register, signupSchema, loginSchema } = require('../controllers/auth.controller');
+const {
+  login,
+  register,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  loginTwoFactor,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  listSessions,
+  revokeSession,
+  signupSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
+  loginTwoFactorSchema,
+  confirmTwoFactorSchema,
+  disableTwoFactorSchema,
+} = require('../controllers/auth.controller');
 const validate = require("../middleware/validate.middleware");
+const auth = require("../middleware/auth.middleware");
+const requireRole = require("../middleware/role.middleware");
 
 router.post('/login', validate(loginSchema), login);
+router.post('/login/2fa', validate(loginTwoFactorSchema), loginTwoFactor);
 router.post('/signup', validate(signupSchema), register);
+router.post('/refresh', validate(refreshTokenSchema), refresh);
+router.post('/logout', validate(refreshTokenSchema), logout);
+router.post('/forgot-password', validate(forgotPasswordSchema), forgotPassword);
+router.post('/reset-password', validate(resetPasswordSchema), resetPassword);
+router.get('/verify', validate(verifyEmailSchema, "query"), verifyEmail);
+router.post('/verify/resend', auth, resendVerification);
+
+// Self-service profile management
+router.get('/me', auth, getProfile);
+router.patch('/me', auth, validate(updateProfileSchema), updateProfile);
+router.delete('/me', auth, validate(deleteAccountSchema), deleteAccount);
+router.post('/change-password', auth, validate(changePasswordSchema), changePassword);
+
+// Devices the user is logged in on
+router.get('/sessions', auth, listSessions);
+router.delete('/sessions/:id', auth, revokeSession);
+
+// Two-factor authentication (drivers and admins)
+router.post('/2fa/enroll', auth, requireRole('driver', 'admin'), enrollTwoFactor);
+router.post('/2fa/confirm', auth, requireRole('driver', 'admin'), validate(confirmTwoFactorSchema), confirmTwoFactor);
+router.post('/2fa/disable', auth, validate(disableTwoFactorSchema), disableTwoFactor);
 
 module.exports = router;
\ No newline at end of file
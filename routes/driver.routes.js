@@ -0,0 +1,48 @@
+const express = require("express");
+const {
+  getProfile,
+  goOnline,
+  goOffline,
+  registerVehicle,
+  updateLocation,
+  getAssignedRides,
+  markArrived,
+  markStarted,
+  markCompleted,
+  cancelRide,
+  rateRider,
+  goOnlineSchema,
+  registerVehicleSchema,
+  updateLocationSchema,
+  rateRiderSchema,
+  cancelRideSchema,
+} = require("../controllers/driver.controller");
+const validate = require("../middleware/validate.middleware");
+const auth = require("../middleware/auth.middleware");
+const requireRole = require("../middleware/role.middleware");
+
+const router = express.Router();
+
+// Every driver route requires an authenticated driver
+router.use(auth, requireRole("driver"));
+
+// Driver profile and availability
+router.get("/me", getProfile);
+router.post("/online", validate(goOnlineSchema), goOnline);
+router.post("/offline", goOffline);
+router.put("/location", validate(updateLocationSchema), updateLocation);
+router.put("/vehicle", validate(registerVehicleSchema), registerVehicle);
+
+// Rides assigned to the driver
+router.get("/rides", getAssignedRides);
+router.post("/rides/:id/arrived", markArrived);
+router.post("/rides/:id/started", markStarted);
+router.post("/rides/:id/completed", markCompleted);
+
+// Hand a ride back before pickup so it is dispatched to another driver
+router.post("/rides/:id/cancel", validate(cancelRideSchema), cancelRide);
+
+// Rate the rider once the ride is completed
+router.post("/rides/:id/rating", validate(rateRiderSchema), rateRider);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const {
+  listPaymentMethods,
+  addPaymentMethod,
+  setDefaultPaymentMethod,
+  removePaymentMethod,
+  addPaymentMethodSchema,
+} = require("../controllers/payment.controller");
+const validate = require("../middleware/validate.middleware");
+const auth = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// Every payment route requires an authenticated user
+router.use(auth);
+
+// Saved cards
+router.get("/methods", listPaymentMethods);
+router.post("/methods", validate(addPaymentMethodSchema), addPaymentMethod);
+router.post("/methods/:id/default", setDefaultPaymentMethod);
+router.delete("/methods/:id", removePaymentMethod);
+
+module.exports = router;
@@ -1,39 +1,115 @@
 const express = require("express");
 const {
   createRide,
+  getQuote,
   getRideStatus,
   getRideHistory,
+  exportRideHistory,
   searchPlaces,
   updateRideStatus,
   cancelRide,
+  getAssignedRides,
+  getAllRides,
+  getScheduledRides,
+  updateScheduledRide,
+  addStop,
+  removeStop,
+  rateRide,
+  tipRide,
+  getRideReceipt,
   createRideSchema,
+  quoteSchema,
+  updateScheduledRideSchema,
+  addStopSchema,
+  rateRideSchema,
+  tipRideSchema,
+  cancelRideSchema,
   searchPlacesSchema,
   updateRideStatusSchema,
+  receiptQuerySchema,
+  rideHistoryQuerySchema,
+  exportRideHistoryQuerySchema,
 } = require("../controllers/ride.controller");
 const validate = require("../middleware/validate.middleware");
 const auth = require("../middleware/auth.middleware");
+const requireRole = require("../middleware/role.middleware");
+const { SCOPES } = require("../utils/apiKey.utils");
 
 const router = express.Router();
 
+// Quote the fare for a trip without booking it
+router.post("/quote", auth.withApiKey(SCOPES.RIDES_CREATE), validate(quoteSchema), getQuote);
+
 // Create new ride
-router.post("/", auth, validate(createRideSchema), createRide);
+router.post("/", auth.withApiKey(SCOPES.RIDES_CREATE), validate(createRideSchema), createRide);
 
 // Get and update ride status
-router.get("/status", auth, getRideStatus);
+router.get("/status", auth.withApiKey(SCOPES.RIDES_READ), getRideStatus);
 
 // Cancel ride
-router.delete("/:id", auth, cancelRide);
+router.delete("/:id", auth.withApiKey(SCOPES.RIDES_CANCEL), validate(cancelRideSchema), cancelRide);
 
 // Update ride status manually
 router.put("/:id/status", auth, validate(updateRideStatusSchema), updateRideStatus);
 
-// Get ride history (with optional filtering)
-router.get("/history", auth, getRideHistory);
+// Add or remove stops on a ride, re-pricing it
+router.post(
+  "/:id/stops",
+  auth.withApiKey(SCOPES.RIDES_CREATE),
+  validate(addStopSchema),
+  addStop
+);
+router.delete("/:id/stops/:number", auth.withApiKey(SCOPES.RIDES_CREATE), removeStop);
+
+// Rate the driver once the ride is completed
+router.post("/:id/rating", auth, validate(rateRideSchema), rateRide);
+
+// Tip the driver once the ride is completed
+router.post("/:id/tip", auth, validate(tipRideSchema), tipRide);
+
+// Get the receipt of a completed ride (JSON, HTML or PDF)
+router.get(
+  "/:id/receipt",
+  auth.withApiKey(SCOPES.RIDES_READ),
+  validate(receiptQuerySchema, "query"),
+  getRideReceipt
+);
+
+// Get ride history, a page at a time (with optional filtering and sorting)
+router.get(
+  "/history",
+  auth.withApiKey(SCOPES.RIDES_READ),
+  validate(rideHistoryQuerySchema, "query"),
+  getRideHistory
+);
+
+// Download the whole filtered ride history as CSV or JSON
+router.get(
+  "/history/export",
+  auth.withApiKey(SCOPES.RIDES_READ),
+  validate(exportRideHistoryQuerySchema, "query"),
+  exportRideHistory
+);
+
+// List and edit rides booked for later (cancel them with DELETE /:id)
+router.get("/scheduled", auth.withApiKey(SCOPES.RIDES_READ), getScheduledRides);
+router.patch(
+  "/scheduled/:id",
+  auth.withApiKey(SCOPES.RIDES_CREATE),
+  validate(updateScheduledRideSchema),
+  updateScheduledRide
+);
+
+// Get rides assigned to the authenticated driver
+router.get("/assigned", auth, requireRole("driver"), getAssignedRides);
+
+// Get every ride in the system
+router.get("/all", auth, requireRole("admin"), getAllRides);
 
 // Search for places
 router.get(
   "/places",
-  auth,
+  auth.withApiKey(SCOPES.PLACES_READ),
   searchPlaces
 );
 
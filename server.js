@@ -2,6 +2,10 @@ const http = require("http");
 const { app, setupWebsockets } = require("./app");
 const db = require("./utils/db");
 const rideStatus = require("./utils/rideStatus.utils");
+const scheduling = require("./utils/scheduling.utils");
+const rideEvents = require("./utils/rideEvents.utils");
+const driverAvailability = require("./utils/driverAvailability.utils");
+const payments = require("./utils/payment.utils");
 require("dotenv").config();
 
 // Get port from environment variable or use default
@@ -13,6 +17,9 @@ const server = http.createServer(app);
 // Set up Socket.IO with the server
 const io = setupWebsockets(server);
 
+// Let controllers reach the sockets (ride offers, status updates)
+app.io = io;
+
 // Add getActiveRides method implementation
 db.getActiveRides = function () {
   return this.rides.filter((ride) => rideStatus.isActiveRide(ride));
@@ -40,29 +47,28 @@ const updateRideStatus = async () => {
         continue; // Skip this ride if not enough time has passed
       }
 
-      // Get the next status in the progression
-      const newStatus = rideStatus.getNextAutomaticStatus(ride.status);
+      // Get the next status in the progression (through any stops)
+      const newStatus = rideStatus.getNextAutomaticStatus(ride.status, ride);
 
       // If no valid next status, skip this ride
       if (!newStatus) {
         continue;
       }
 
-      // Update ride status
-      const updatedRide = {
-        ...ride,
-        status: newStatus,
-        lastUpdated: new Date().toISOString(),
-      };
-
-      // Update ETAs based on new status
-      updatedRide.eta = rideStatus.getUpdatedETA(updatedRide, newStatus);
+      // Update ride status, ETA and stops
+      const updatedRide = rideStatus.applyStatusChange(ride, newStatus);
 
       // Emit update to all clients in the ride's room
-      io.to(ride.id.toString()).emit("statusUpdate", updatedRide);
+      rideEvents.emitRideUpdate(io, updatedRide);
 
       await db.updateRide(updatedRide);
 
+      // Move the driver along with the ride (and free them once it ends)
+      driverAvailability.syncWithRide(updatedRide);
+
+      // Charge the fare once the ride is completed
+      await payments.syncWithRide(updatedRide);
+
       console.log(`Ride ${ride.id} updated to ${newStatus}`);
     }
   } catch (error) {
@@ -70,6 +76,34 @@ const updateRideStatus = async () => {
   }
 };
 
+// Function to dispatch scheduled rides shortly before pickup
+const dispatchScheduledRides = async () => {
+  try {
+    for (const ride of scheduling.getDueRides()) {
+      const dispatchedRide = await scheduling.dispatchScheduledRide(ride, io);
+
+      // No driver nearby yet, try again on the next run
+      if (!dispatchedRide) {
+        console.log(`No driver available yet for scheduled ride ${ride.id}`);
+        continue;
+      }
+
+      // Emit update to all clients in the ride's room
+      rideEvents.emitRideUpdate(io, dispatchedRide);
+
+      if (dispatchedRide.status === rideStatus.STATUSES.CANCELLED) {
+        console.log(`Scheduled ride ${ride.id} cancelled, no driver found after pickup time`);
+      } else if (rideStatus.isSearchingRide(dispatchedRide)) {
+        console.log(`Scheduled ride ${ride.id} is being offered to drivers`);
+      } else {
+        console.log(`Scheduled ride ${ride.id} dispatched to driver ${dispatchedRide.driver.id}`);
+      }
+    }
+  } catch (error) {
+    console.error(`Error dispatching scheduled rides: ${error.message}`);
+  }
+};
+
 // Start the server
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -77,6 +111,10 @@ server.listen(PORT, () => {
   // Set up periodic status updates
   const interval = parseInt(process.env.STATUS_UPDATE_INTERVAL || 1000);
   setInterval(updateRideStatus, interval);
+
+  // Check for scheduled rides that are due for a driver
+  const schedulerInterval = parseInt(process.env.SCHEDULED_DISPATCH_INTERVAL || 30000);
+  setInterval(dispatchScheduledRides, schedulerInterval);
 });
 
 // Handle graceful shutdown
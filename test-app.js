@@ -4,6 +4,9 @@ const cors = require("cors");
 const compression = require("compression");
 const authRoutes = require("./routes/auth.routes");
 const rideRoutes = require("./routes/ride.routes");
+const adminRoutes = require("./routes/admin.routes");
+const driverRoutes = require("./routes/driver.routes");
+const paymentRoutes = require("./routes/payment.routes");
 const errorHandler = require("./middleware/error.middleware");
 
 const app = express();
@@ -15,6 +18,9 @@ app.use(express.urlencoded({ extended: true }));
 
 app.use("/api/auth", authRoutes);
 app.use("/api/rides", rideRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/driver", driverRoutes);
+app.use("/api/payments", paymentRoutes);
 
 app.use(errorHandler);
 
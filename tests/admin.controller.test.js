@@ -0,0 +1,390 @@
+const request = require("supertest");
+const app = require("../test-app");
+const db = require("../utils/db");
+const promos = require("../utils/promo.utils");
+const paymentGateway = require("../utils/paymentGateway.utils");
+
+describe("Admin Controller", () => {
+  let adminToken;
+  let riderToken;
+  let riderId;
+
+  // Register and log in a user, returning the login response body
+  const signupAndLogin = async (name, email) => {
+    await request(app).post("/api/auth/signup").send({
+      name,
+      email,
+      password: "password123",
+    });
+    const res = await request(app).post("/api/auth/login").send({
+      email,
+      password: "password123",
+    });
+    return res.body;
+  };
+
+  beforeAll(async () => {
+    const admin = await signupAndLogin("Admin User", "admin@example.com");
+    db.findUserById(admin.user.id).role = "admin";
+    adminToken = admin.token;
+
+    const rider = await signupAndLogin("Rider User", "rider@example.com");
+    riderToken = rider.token;
+    riderId = rider.user.id;
+  });
+
+  it("POST /api/auth/signup should create accounts with the rider role", async () => {
+    const res = await request(app).post("/api/auth/signup").send({
+      name: "New Rider",
+      email: "new-rider@example.com",
+      password: "password123",
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.role).toBe("rider");
+  });
+
+  it("GET /api/admin/users should reject non-admin accounts", async () => {
+    const res = await request(app)
+      .get("/api/admin/users")
+      .set("Authorization", `Bearer ${riderToken}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toContain("admin");
+  });
+
+  it("GET /api/admin/users should list users without passwords", async () => {
+    const res = await request(app)
+      .get("/api/admin/users")
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.length).toBeGreaterThanOrEqual(2);
+    expect(res.body[0].password).toBeUndefined();
+  });
+
+  it("PATCH /api/admin/users/:id/role should reject unknown roles", async () => {
+    const res = await request(app)
+      .patch(`/api/admin/users/${riderId}/role`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ role: "superuser" });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("PATCH /api/admin/users/:id/role should promote a user to driver", async () => {
+    const res = await request(app)
+      .patch(`/api/admin/users/${riderId}/role`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ role: "driver", driverId: 1 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe("driver");
+    expect(res.body.user.driverId).toBe(1);
+
+    // The driver can now reach driver-only ride routes but not admin ones
+    const assignedRes = await request(app)
+      .get("/api/rides/assigned")
+      .set("Authorization", `Bearer ${riderToken}`);
+    expect(assignedRes.status).toBe(200);
+
+    const allRes = await request(app)
+      .get("/api/rides/all")
+      .set("Authorization", `Bearer ${riderToken}`);
+    expect(allRes.status).toBe(403);
+  });
+
+  it("should let a driver promoted without a profile register a vehicle and go online", async () => {
+    const user = await signupAndLogin("Promoted Driver", "promoted.driver@example.com");
+    const promoteRes = await request(app)
+      .patch(`/api/admin/users/${user.user.id}/role`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ role: "driver" });
+    expect(promoteRes.status).toBe(200);
+
+    const vehicleRes = await request(app)
+      .put("/api/driver/vehicle")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ model: "Toyota Prius", color: "White", plate: "NYC-4321" });
+    expect(vehicleRes.status).toBe(200);
+    expect(vehicleRes.body.vehicle).toMatchObject({ class: "economy", capacity: 4 });
+
+    const onlineRes = await request(app)
+      .post("/api/driver/online")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ coordinates: [-74.0, 40.72] });
+    expect(onlineRes.status).toBe(200);
+    expect(onlineRes.body.active).toBe(true);
+
+    // Demoting the driver takes the profile off the road, once they have no ride
+    const driverId = promoteRes.body.user.driverId;
+    const ride = db.addRide({
+      id: Date.now(),
+      userId: -1,
+      destination: "Times Square",
+      status: "Driver on the way",
+      driver: { id: driverId, name: "Promoted Driver" },
+    });
+    const demote = () =>
+      request(app)
+        .patch(`/api/admin/users/${user.user.id}/role`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ role: "rider" });
+
+    const busyRes = await demote();
+    expect(busyRes.status).toBe(409);
+    expect(busyRes.body.code).toBe("DRIVER_HAS_RIDE");
+    expect(db.findDriverById(driverId).active).toBe(true);
+
+    db.updateRide({ id: ride.id, status: "completed" });
+    const demoteRes = await demote();
+    expect(demoteRes.status).toBe(200);
+    expect(demoteRes.body.user.driverId).toBeUndefined();
+    expect(db.findDriverById(driverId).active).toBe(false);
+  });
+
+  it("POST /api/admin/users/:id/unlock should unlock a locked account", async () => {
+    process.env.LOGIN_LOCK_THRESHOLD = "3";
+    process.env.LOGIN_BACKOFF_FREE_ATTEMPTS = "5";
+    try {
+      const locked = await signupAndLogin("Locked User", "locked@example.com");
+
+      const attempt = (password) =>
+        request(app).post("/api/auth/login").send({
+          email: "locked@example.com",
+          password,
+        });
+
+      expect((await attempt("wrongpassword")).status).toBe(401);
+      expect((await attempt("wrongpassword")).status).toBe(401);
+
+      const lockRes = await attempt("wrongpassword");
+      expect(lockRes.status).toBe(423);
+      expect(lockRes.body.code).toBe("ACCOUNT_LOCKED");
+      expect(parseInt(lockRes.headers["retry-after"])).toBeGreaterThan(0);
+
+      // Even the right password is refused while locked
+      expect((await attempt("password123")).status).toBe(423);
+
+      const unlockRes = await request(app)
+        .post(`/api/admin/users/${locked.user.id}/unlock`)
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(unlockRes.status).toBe(200);
+      expect(unlockRes.body.user.lockedUntil).toBeNull();
+
+      expect((await attempt("password123")).status).toBe(200);
+    } finally {
+      delete process.env.LOGIN_LOCK_THRESHOLD;
+      delete process.env.LOGIN_BACKOFF_FREE_ATTEMPTS;
+    }
+  });
+
+  it("API keys should book rides within their scopes until revoked", async () => {
+    const partner = await signupAndLogin("Partner Hotel", "partner@example.com");
+    db.findUserById(partner.user.id).emailVerified = true;
+
+    const createRes = await request(app)
+      .post("/api/admin/api-keys")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        name: "Partner Hotel",
+        userId: partner.user.id,
+        scopes: ["rides:create", "rides:read"],
+      });
+    expect(createRes.status).toBe(201);
+    expect(createRes.body.key).toMatch(/^rbk_/);
+    expect(createRes.body.apiKey.keyHash).toBeUndefined();
+    const { key } = createRes.body;
+    const keyId = createRes.body.apiKey.id;
+
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("X-API-Key", key)
+      .send({
+        destination: "123 Main St",
+        destination_coordinates: [-73.9855, 40.758],
+        guest: { name: "Hotel Guest" },
+      });
+    expect(rideRes.status).toBe(201);
+    expect(rideRes.body.userId).toBe(partner.user.id);
+    expect(rideRes.body.guest.name).toBe("Hotel Guest");
+    expect(rideRes.body.bookedVia.apiKeyId).toBe(keyId);
+
+    // Scopes the key was not granted are refused
+    const cancelRes = await request(app)
+      .delete(`/api/rides/${rideRes.body.id}`)
+      .set("X-API-Key", key);
+    expect(cancelRes.status).toBe(403);
+    expect(cancelRes.body.code).toBe("INSUFFICIENT_SCOPE");
+
+    // Account routes never accept API keys
+    const meRes = await request(app).get("/api/auth/me").set("X-API-Key", key);
+    expect(meRes.status).toBe(401);
+
+    const keyRes = await request(app)
+      .get(`/api/admin/api-keys/${keyId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(keyRes.body.usage.totalRequests).toBe(1);
+    expect(keyRes.body.usage.requestsByScope["rides:create"]).toBe(1);
+
+    const revokeRes = await request(app)
+      .delete(`/api/admin/api-keys/${keyId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(revokeRes.status).toBe(200);
+
+    const revokedRes = await request(app)
+      .get("/api/rides/history")
+      .set("X-API-Key", key);
+    expect(revokedRes.status).toBe(401);
+    expect(revokedRes.body.message).toBe("API key revoked");
+  });
+
+  it("POST /api/admin/promo-codes should validate and create promo codes", async () => {
+    const invalidRes = await request(app)
+      .post("/api/admin/promo-codes")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ code: "FLAT5", discountType: "flat", amount: 5 });
+    expect(invalidRes.status).toBe(400);
+
+    const res = await request(app)
+      .post("/api/admin/promo-codes")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ code: "flat5", discountType: "flat", amount: 5, currency: "usd" });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      code: "FLAT5",
+      currency: "USD",
+      maxRedemptionsPerUser: 1,
+      active: true,
+      redemptionCount: 0,
+    });
+
+    const duplicateRes = await request(app)
+      .post("/api/admin/promo-codes")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ code: "Flat5", discountType: "percent", amount: 10 });
+    expect(duplicateRes.status).toBe(409);
+    expect(duplicateRes.body.code).toBe("PROMO_CODE_EXISTS");
+  });
+
+  it("promo codes should discount rides within their limits and be given back on cancel", async () => {
+    db.findUserById(riderId).emailVerified = true;
+
+    const createRes = await request(app)
+      .post("/api/admin/promo-codes")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        code: "HALFOFF",
+        discountType: "percent",
+        amount: 50,
+        maxDiscount: 4,
+        currency: "USD",
+        maxRedemptions: 1,
+        firstRideOnly: true,
+      });
+    const promoId = createRes.body.id;
+
+    const book = (promoCode, fields = {}) =>
+      request(app)
+        .post("/api/rides")
+        .set("Authorization", `Bearer ${riderToken}`)
+        .send({
+          destination: "Times Square",
+          pickup_coordinates: [-74.006, 40.7128],
+          destination_coordinates: [-73.9855, 40.758],
+          promo_code: promoCode,
+          ...fields,
+        });
+
+    const unknownRes = await book("NOPE");
+    expect(unknownRes.status).toBe(400);
+    expect(unknownRes.body.code).toBe("INVALID_PROMO_CODE");
+
+    // 50% off, capped at 4
+    const rideRes = await book("halfoff");
+    expect(rideRes.status).toBe(201);
+    const { fare_breakdown } = rideRes.body;
+    expect(fare_breakdown.promo_discount).toBe(4);
+    expect(fare_breakdown.total).toBe(fare_breakdown.total_before_discount - 4);
+    expect(rideRes.body.cost).toBe(fare_breakdown.total);
+    expect(rideRes.body.promo.code).toBe("HALFOFF");
+
+    // Booking ahead keeps the current ride, so the code is still in use
+    const scheduledFor = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+    const usedRes = await book("HALFOFF", { scheduled_for: scheduledFor });
+    expect(usedRes.status).toBe(400);
+    expect(usedRes.body.code).toBe("PROMO_LIMIT_REACHED");
+
+    // Cancelling gives the code back
+    await request(app)
+      .delete(`/api/rides/${rideRes.body.id}`)
+      .set("Authorization", `Bearer ${riderToken}`);
+    const promoRes = await request(app)
+      .get(`/api/admin/promo-codes/${promoId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(promoRes.body.redemptionCount).toBe(0);
+    expect(promoRes.body.redemptions).toEqual([
+      expect.objectContaining({ rideId: rideRes.body.id, status: "reversed", discount: 4 }),
+    ]);
+
+    // First-ride-only codes stop working once the rider has completed a ride
+    const secondRes = await book("HALFOFF");
+    expect(secondRes.status).toBe(201);
+    db.updateRide({ id: secondRes.body.id, status: "completed" });
+    await request(app)
+      .patch(`/api/admin/promo-codes/${promoId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ maxRedemptions: 5, maxRedemptionsPerUser: 5 });
+    const firstRideRes = await book("HALFOFF");
+    expect(firstRideRes.body.code).toBe("PROMO_FIRST_RIDE_ONLY");
+
+    // Expired and deactivated codes are refused
+    await request(app)
+      .patch(`/api/admin/promo-codes/${promoId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ firstRideOnly: false, validUntil: new Date(Date.now() - 1000).toISOString() });
+    expect((await book("HALFOFF")).body.code).toBe("PROMO_EXPIRED");
+
+    await request(app)
+      .patch(`/api/admin/promo-codes/${promoId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ active: false });
+    expect((await book("HALFOFF")).body.code).toBe("INVALID_PROMO_CODE");
+  });
+
+  it("promo codes used up while the card is authorized should refuse the booking", async () => {
+    await request(app)
+      .post("/api/admin/promo-codes")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ code: "ONCE", discountType: "percent", amount: 10, maxRedemptions: 1 });
+    await request(app)
+      .post("/api/payments/methods")
+      .set("Authorization", `Bearer ${riderToken}`)
+      .send({ token: "tok_visa" });
+
+    // Another rider books with the code while this booking waits on the card
+    const gateway = paymentGateway.getGateway();
+    const authorize = gateway.authorize;
+    let authorizationId;
+    jest.spyOn(gateway, "authorize").mockImplementationOnce(async (charge) => {
+      promos.redeemPromoCode(db.findPromoCodeByCode("ONCE"), -1, -1, {
+        promo_discount: 1,
+        currency: "USD",
+      });
+      const authorization = await authorize(charge);
+      authorizationId = authorization.id;
+      return authorization;
+    });
+
+    const ridesBefore = db.rides.length;
+    const res = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${riderToken}`)
+      .send({ destination: "Times Square", pickup_coordinates: [-74.006, 40.7128], promo_code: "ONCE" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("PROMO_LIMIT_REACHED");
+    expect(gateway.authorizations.get(authorizationId).status).toBe("released");
+    expect(db.rides.length).toBe(ridesBefore);
+  });
+});
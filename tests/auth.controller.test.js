@@ -1,6 +1,8 @@
 const request = require("supertest");
 const app = require("../test-app");
 const db = require("../utils/db");
+const mail = require("../utils/mail.utils");
+const totp = require("../utils/totp.utils");
 
 describe("Auth Controller", () => {
   beforeEach(() => {
@@ -102,4 +104,439 @@ describe("Auth Controller", () => {
     expect(emailError).toBeDefined();
     expect(emailError.message).toContain("Email is required");
   });
+
+  it("POST /api/auth/refresh should rotate the refresh token", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Test User",
+      email: "test@example.com",
+      password: "password123",
+    });
+
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "test@example.com",
+      password: "password123",
+    });
+    expect(loginRes.body.refreshToken).toBeDefined();
+
+    const res = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: loginRes.body.refreshToken });
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).not.toBe(loginRes.body.refreshToken);
+
+    // The old refresh token can no longer be used
+    const reuseRes = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: loginRes.body.refreshToken });
+    expect(reuseRes.status).toBe(401);
+    expect(reuseRes.body.message).toBe("Refresh token revoked");
+  });
+
+  it("POST /api/auth/logout should revoke the refresh and access tokens", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Test User",
+      email: "test@example.com",
+      password: "password123",
+    });
+
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "test@example.com",
+      password: "password123",
+    });
+    const { token, refreshToken } = loginRes.body;
+
+    const res = await request(app)
+      .post("/api/auth/logout")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ refreshToken });
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Logout successful");
+
+    const refreshRes = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+    expect(refreshRes.status).toBe(401);
+
+    const rideRes = await request(app)
+      .get("/api/rides/history")
+      .set("Authorization", `Bearer ${token}`);
+    expect(rideRes.status).toBe(401);
+    expect(rideRes.body.message).toBe("Token revoked");
+  });
+
+  it("POST /api/auth/forgot-password should not reveal unknown emails", async () => {
+    const res = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nobody@example.com" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toContain("If an account exists");
+  });
+
+  it("POST /api/auth/reset-password should set a new password with a single-use token", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Reset User",
+      email: "reset@example.com",
+      password: "password123",
+    });
+
+    const outbox = mail.setTransport(mail.createMemoryTransport()).outbox;
+    await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "reset@example.com" });
+
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].to).toBe("reset@example.com");
+    const resetToken = outbox[0].text.match(/token=([a-f0-9]+)/)[1];
+
+    const res = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token: resetToken, password: "newpassword456" });
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Password reset successfully");
+
+    // The token cannot be used a second time
+    const reuseRes = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token: resetToken, password: "anotherpassword" });
+    expect(reuseRes.status).toBe(400);
+
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "reset@example.com",
+      password: "newpassword456",
+    });
+    expect(loginRes.status).toBe(200);
+  });
+
+  it("GET /api/auth/verify should verify the email from the signup link", async () => {
+    const outbox = mail.setTransport(mail.createMemoryTransport()).outbox;
+    const signupRes = await request(app).post("/api/auth/signup").send({
+      name: "Verify User",
+      email: "verify@example.com",
+      password: "password123",
+    });
+    expect(signupRes.body.user.emailVerified).toBe(false);
+
+    const link = new URL(outbox[0].text.match(/http\S+/)[0]);
+    expect(link.pathname).toBe("/api/auth/verify");
+
+    const res = await request(app).get(link.pathname + link.search);
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Email verified successfully");
+
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "verify@example.com",
+      password: "password123",
+    });
+    expect(loginRes.body.user.emailVerified).toBe(true);
+
+    // The link only works once
+    const reuseRes = await request(app).get(link.pathname + link.search);
+    expect(reuseRes.status).toBe(400);
+    expect(reuseRes.body.code).toBe("INVALID_VERIFICATION_TOKEN");
+  });
+
+  it("POST /api/auth/login should back off after repeated failures", async () => {
+    process.env.LOGIN_BACKOFF_FREE_ATTEMPTS = "1";
+    try {
+      await request(app).post("/api/auth/signup").send({
+        name: "Backoff User",
+        email: "backoff@example.com",
+        password: "password123",
+      });
+
+      const attempt = () =>
+        request(app).post("/api/auth/login").send({
+          email: "backoff@example.com",
+          password: "wrongpassword",
+        });
+
+      expect((await attempt()).status).toBe(401);
+      expect((await attempt()).status).toBe(401);
+
+      const res = await attempt();
+      expect(res.status).toBe(429);
+      expect(res.body.code).toBe("TOO_MANY_ATTEMPTS");
+      expect(res.headers["retry-after"]).toBeDefined();
+    } finally {
+      delete process.env.LOGIN_BACKOFF_FREE_ATTEMPTS;
+    }
+  });
+
+  it("GET and PATCH /api/auth/me should read and update the profile", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Profile User",
+      email: "profile@example.com",
+      password: "password123",
+    });
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "profile@example.com",
+      password: "password123",
+    });
+    const token = loginRes.body.token;
+
+    const patchRes = await request(app)
+      .patch("/api/auth/me")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        name: "Renamed User",
+        phone: "+233 20 123 4567",
+        avatarUrl: "https://example.com/avatar.png",
+      });
+    expect(patchRes.status).toBe(200);
+
+    const res = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe("Renamed User");
+    expect(res.body.phone).toBe("+233 20 123 4567");
+    expect(res.body.avatarUrl).toBe("https://example.com/avatar.png");
+    expect(res.body.password).toBeUndefined();
+  });
+
+  it("POST /api/auth/change-password should require the current password", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Change User",
+      email: "change@example.com",
+      password: "password123",
+    });
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "change@example.com",
+      password: "password123",
+    });
+    const token = loginRes.body.token;
+
+    const wrongRes = await request(app)
+      .post("/api/auth/change-password")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ currentPassword: "wrongpassword", newPassword: "newpassword456" });
+    expect(wrongRes.status).toBe(401);
+
+    const res = await request(app)
+      .post("/api/auth/change-password")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ currentPassword: "password123", newPassword: "newpassword456" });
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+
+    const newLoginRes = await request(app).post("/api/auth/login").send({
+      email: "change@example.com",
+      password: "newpassword456",
+    });
+    expect(newLoginRes.status).toBe(200);
+  });
+
+  it("DELETE /api/auth/me should delete the account and anonymise its rides", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Delete User",
+      email: "delete@example.com",
+      password: "password123",
+    });
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "delete@example.com",
+      password: "password123",
+    });
+    const userId = loginRes.body.user.id;
+    const ride = db.addRide({
+      id: Date.now(),
+      userId,
+      destination: "123 Main St",
+      status: "completed",
+      rider: { name: "Delete User", rating: 4.9 },
+      guest: { name: "Guest Rider", phone: "+15551234567" },
+    });
+
+    const res = await request(app)
+      .delete("/api/auth/me")
+      .set("Authorization", `Bearer ${loginRes.body.token}`)
+      .send({ password: "password123" });
+    expect(res.status).toBe(200);
+    expect(res.body.anonymisedRides).toBe(1);
+
+    expect(db.findUserById(userId)).toBeUndefined();
+    expect(db.rides.some((r) => r.userId === userId)).toBe(false);
+    expect(db.rides.some((r) => r.riderDeleted)).toBe(true);
+
+    // No name of the rider or their guest is left on the ride
+    const anonymisedRide = db.findRideById(ride.id);
+    expect(anonymisedRide.rider).toEqual({ name: null, rating: 4.9 });
+    expect(anonymisedRide.guest).toBeUndefined();
+  });
+
+  it("DELETE /api/auth/me should keep driver accounts with a ride and take their profile offline", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Deleted Driver",
+      email: "delete.driver@example.com",
+      password: "password123",
+    });
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "delete.driver@example.com",
+      password: "password123",
+    });
+    const profile = db.addDriver({ name: "Deleted Driver", active: true, location: null });
+    const user = db.findUserById(loginRes.body.user.id);
+    user.role = "driver";
+    user.driverId = profile.id;
+    const ride = db.addRide({
+      id: Date.now(),
+      userId: -1,
+      destination: "123 Main St",
+      status: "Ride started",
+      driver: { id: profile.id, name: "Deleted Driver" },
+    });
+
+    const deleteAccount = () =>
+      request(app)
+        .delete("/api/auth/me")
+        .set("Authorization", `Bearer ${loginRes.body.token}`)
+        .send({ password: "password123" });
+
+    const busyRes = await deleteAccount();
+    expect(busyRes.status).toBe(409);
+    expect(busyRes.body.code).toBe("ACTIVE_RIDE");
+
+    db.updateRide({ id: ride.id, status: "completed" });
+    const res = await deleteAccount();
+    expect(res.status).toBe(200);
+    expect(db.findDriverById(profile.id).active).toBe(false);
+  });
+
+  it("POST /api/auth/login/2fa should complete a two-factor login", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Driver User",
+      email: "2fa@example.com",
+      password: "password123",
+    });
+    const firstLogin = await request(app).post("/api/auth/login").send({
+      email: "2fa@example.com",
+      password: "password123",
+    });
+    db.findUserById(firstLogin.body.user.id).role = "driver";
+    const authHeader = `Bearer ${firstLogin.body.token}`;
+
+    const enrollRes = await request(app)
+      .post("/api/auth/2fa/enroll")
+      .set("Authorization", authHeader);
+    expect(enrollRes.status).toBe(200);
+    expect(enrollRes.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    const { secret } = enrollRes.body;
+
+    const confirmRes = await request(app)
+      .post("/api/auth/2fa/confirm")
+      .set("Authorization", authHeader)
+      .send({ code: totp.generateTotp(secret) });
+    expect(confirmRes.status).toBe(200);
+    expect(confirmRes.body.recoveryCodes).toHaveLength(10);
+
+    // The password step now only returns a challenge
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "2fa@example.com",
+      password: "password123",
+    });
+    expect(loginRes.status).toBe(200);
+    expect(loginRes.body.twoFactorRequired).toBe(true);
+    expect(loginRes.body.token).toBeUndefined();
+    const { challengeToken } = loginRes.body;
+
+    // The challenge is not an access token
+    const meRes = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${challengeToken}`);
+    expect(meRes.status).toBe(401);
+
+    const wrongRes = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ challengeToken, code: "000000" });
+    expect(wrongRes.status).toBe(401);
+
+    // Use the next time step so the confirmation code is not replayed
+    const res = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ challengeToken, code: totp.generateTotp(secret, Date.now() + 30000) });
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+
+    // Recovery codes work once
+    const secondLogin = await request(app).post("/api/auth/login").send({
+      email: "2fa@example.com",
+      password: "password123",
+    });
+    const recoveryRes = await request(app).post("/api/auth/login/2fa").send({
+      challengeToken: secondLogin.body.challengeToken,
+      recoveryCode: confirmRes.body.recoveryCodes[0],
+    });
+    expect(recoveryRes.status).toBe(200);
+  });
+
+  it("POST /api/auth/2fa/enroll should be limited to drivers and admins", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Rider User",
+      email: "rider-2fa@example.com",
+      password: "password123",
+    });
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "rider-2fa@example.com",
+      password: "password123",
+    });
+
+    const res = await request(app)
+      .post("/api/auth/2fa/enroll")
+      .set("Authorization", `Bearer ${loginRes.body.token}`);
+    expect(res.status).toBe(403);
+  });
+
+  it("GET and DELETE /api/auth/sessions should manage logged-in devices", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Session User",
+      email: "sessions@example.com",
+      password: "password123",
+    });
+    const phone = await request(app)
+      .post("/api/auth/login")
+      .set("User-Agent", "Mozilla/5.0 (Linux; Android 14) Chrome/124.0")
+      .send({ email: "sessions@example.com", password: "password123" });
+    const laptop = await request(app)
+      .post("/api/auth/login")
+      .send({
+        email: "sessions@example.com",
+        password: "password123",
+        deviceLabel: "Work laptop",
+      });
+
+    const listRes = await request(app)
+      .get("/api/auth/sessions")
+      .set("Authorization", `Bearer ${laptop.body.token}`);
+    expect(listRes.status).toBe(200);
+    const labels = listRes.body.map((s) => s.deviceLabel);
+    expect(labels).toContain("Work laptop");
+    expect(labels).toContain("Chrome on Android");
+    const current = listRes.body.find((s) => s.current);
+    expect(current.deviceLabel).toBe("Work laptop");
+    const phoneSession = listRes.body.find((s) => s.deviceLabel === "Chrome on Android");
+
+    const revokeRes = await request(app)
+      .delete(`/api/auth/sessions/${phoneSession.id}`)
+      .set("Authorization", `Bearer ${laptop.body.token}`);
+    expect(revokeRes.status).toBe(200);
+
+    // Both tokens of the signed-out device stop working
+    const meRes = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${phone.body.token}`);
+    expect(meRes.status).toBe(401);
+    expect(meRes.body.message).toBe("Session revoked");
+
+    const refreshRes = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: phone.body.refreshToken });
+    expect(refreshRes.status).toBe(401);
+
+    // The current device is unaffected
+    const laptopRes = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${laptop.body.token}`);
+    expect(laptopRes.status).toBe(200);
+  });
 });
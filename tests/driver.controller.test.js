@@ -0,0 +1,324 @@
+const request = require("supertest");
+const app = require("../test-app");
+const db = require("../utils/db");
+
+describe("Driver Controller", () => {
+  let driverToken;
+  let otherDriverToken;
+  let riderToken;
+  let riderId;
+
+  // Register and log in a user, returning the login response body
+  const signupAndLogin = async (name, email) => {
+    await request(app).post("/api/auth/signup").send({
+      name,
+      email,
+      password: "password123",
+    });
+    const res = await request(app).post("/api/auth/login").send({
+      email,
+      password: "password123",
+    });
+    return res.body;
+  };
+
+  // Link an account to a driver profile
+  const makeDriver = (userId, driverId) => {
+    const user = db.findUserById(userId);
+    user.role = "driver";
+    user.driverId = driverId;
+  };
+
+  // A ride driver 1 is taking to Times Square
+  const addRide = (fields = {}) =>
+    db.addRide({
+      id: Date.now(),
+      userId: riderId,
+      destination: "Times Square",
+      pickup_coordinates: [-74.006, 40.7128],
+      destination_coordinates: [-73.9855, 40.758],
+      status: "Driver on the way",
+      lastUpdated: new Date().toISOString(),
+      driver: { id: 1, name: "John Smith", rating: 4.8, location: "Manhattan, New York" },
+      ...fields,
+    });
+
+  beforeAll(async () => {
+    const driver = await signupAndLogin("John Smith", "john.driver@example.com");
+    makeDriver(driver.user.id, 1);
+    driverToken = driver.token;
+
+    const otherDriver = await signupAndLogin("Maria Garcia", "maria.driver@example.com");
+    makeDriver(otherDriver.user.id, 6);
+    otherDriverToken = otherDriver.token;
+
+    const rider = await signupAndLogin("Rider User", "driver-rider@example.com");
+    db.findUserById(rider.user.id).emailVerified = true;
+    riderToken = rider.token;
+    riderId = rider.user.id;
+  });
+
+  it("should only be available to drivers", async () => {
+    const res = await request(app)
+      .get("/api/driver/rides")
+      .set("Authorization", `Bearer ${riderToken}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toContain("driver");
+  });
+
+  it("POST /api/driver/offline and /online should control who gets new rides", async () => {
+    const offlineRes = await request(app)
+      .post("/api/driver/offline")
+      .set("Authorization", `Bearer ${driverToken}`);
+
+    expect(offlineRes.status).toBe(200);
+    expect(offlineRes.body.active).toBe(false);
+
+    // With driver 1 offline, the next-nearest Economy driver gets the ride
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${riderToken}`)
+      .send({ destination: "Times Square", pickup_coordinates: [-74.006, 40.7128] });
+
+    expect(rideRes.status).toBe(201);
+    expect(rideRes.body.driver.id).toBe(6);
+
+    const onlineRes = await request(app)
+      .post("/api/driver/online")
+      .set("Authorization", `Bearer ${driverToken}`)
+      .send({ coordinates: [-74.0, 40.72], address: "Greenwich Village, New York" });
+
+    expect(onlineRes.status).toBe(200);
+    expect(onlineRes.body.active).toBe(true);
+    expect(onlineRes.body.location).toEqual({
+      coordinates: [-74.0, 40.72],
+      address: "Greenwich Village, New York",
+    });
+  });
+
+  it("PUT /api/driver/location should validate and store the location", async () => {
+    const invalidRes = await request(app)
+      .put("/api/driver/location")
+      .set("Authorization", `Bearer ${driverToken}`)
+      .send({ coordinates: [-74.0, 140] });
+
+    expect(invalidRes.status).toBe(400);
+
+    const res = await request(app)
+      .put("/api/driver/location")
+      .set("Authorization", `Bearer ${driverToken}`)
+      .send({ coordinates: [-74.006, 40.7128] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.location.coordinates).toEqual([-74.006, 40.7128]);
+    expect(res.body.location.address).toBe("Greenwich Village, New York");
+    expect(db.findDriverById(1).location.coordinates).toEqual([-74.006, 40.7128]);
+  });
+
+  it("should walk an assigned ride from arrival to completion", async () => {
+    const ride = addRide();
+
+    const listRes = await request(app)
+      .get("/api/driver/rides")
+      .set("Authorization", `Bearer ${driverToken}`);
+    expect(listRes.body.map((r) => r.id)).toContain(ride.id);
+
+    // Other drivers cannot touch the ride
+    const otherRes = await request(app)
+      .post(`/api/driver/rides/${ride.id}/arrived`)
+      .set("Authorization", `Bearer ${otherDriverToken}`);
+    expect(otherRes.status).toBe(403);
+    expect(otherRes.body.code).toBe("NOT_ASSIGNED_DRIVER");
+
+    // The ride cannot start before the driver arrives
+    const earlyRes = await request(app)
+      .post(`/api/driver/rides/${ride.id}/started`)
+      .set("Authorization", `Bearer ${driverToken}`);
+    expect(earlyRes.status).toBe(400);
+    expect(earlyRes.body.code).toBe("INVALID_STATUS_TRANSITION");
+    expect(earlyRes.body.validStatuses).toContain("Driver arrived");
+
+    // The driver is busy until the ride is completed
+    for (const [action, status, availability] of [
+      ["arrived", "Driver arrived", "en_route"],
+      ["started", "Ride started", "on_trip"],
+      ["completed", "completed", "free"],
+    ]) {
+      const res = await request(app)
+        .post(`/api/driver/rides/${ride.id}/${action}`)
+        .set("Authorization", `Bearer ${driverToken}`);
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe(status);
+      expect(db.findDriverById(1).availability).toBe(availability);
+    }
+
+    const doneRes = await request(app)
+      .get("/api/driver/rides")
+      .set("Authorization", `Bearer ${driverToken}`);
+    expect(doneRes.body.map((r) => r.id)).not.toContain(ride.id);
+  });
+
+  it("POST /api/driver/rides/:id/arrived should reach each stop of a started ride", async () => {
+    const ride = addRide({
+      status: "Ride started",
+      stops: [
+        {
+          number: 1,
+          address: "Union Square",
+          coordinates: [-73.9903, 40.7359],
+          status: "pending",
+          arrivedAt: null,
+          departedAt: null,
+        },
+      ],
+    });
+
+    const arrivedRes = await request(app)
+      .post(`/api/driver/rides/${ride.id}/arrived`)
+      .set("Authorization", `Bearer ${driverToken}`);
+    expect(arrivedRes.body.status).toBe("arrived_at_stop_1");
+
+    const departedRes = await request(app)
+      .post(`/api/driver/rides/${ride.id}/started`)
+      .set("Authorization", `Bearer ${driverToken}`);
+    expect(departedRes.body.status).toBe("Ride started");
+    expect(departedRes.body.stops[0].status).toBe("departed");
+  });
+
+  it("POST /api/driver/rides/:id/rating should rate the rider of a completed ride", async () => {
+    const ride = addRide({ status: "completed" });
+
+    const otherRes = await request(app)
+      .post(`/api/driver/rides/${ride.id}/rating`)
+      .set("Authorization", `Bearer ${otherDriverToken}`)
+      .send({ rating: 5 });
+    expect(otherRes.status).toBe(403);
+
+    const res = await request(app)
+      .post(`/api/driver/rides/${ride.id}/rating`)
+      .set("Authorization", `Bearer ${driverToken}`)
+      .send({ rating: 4, tags: ["polite"] });
+    expect(res.status).toBe(201);
+    expect(res.body.ride.ratings.rider).toMatchObject({ rating: 4, tags: ["polite"] });
+    expect(res.body.rider).toEqual({ rating: 4, ratingCount: 1 });
+
+    // The rider's rating comes with their next bookings
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${riderToken}`)
+      .send({ destination: "Times Square", pickup_coordinates: [-74.006, 40.7128] });
+    expect(rideRes.body.rider).toEqual({ name: "Rider User", rating: 4 });
+  });
+
+  it("POST /api/driver/rides/:id/cancel should hand the ride to another driver", async () => {
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${riderToken}`)
+      .send({ destination: "Times Square", pickup_coordinates: [-74.006, 40.7128] });
+    expect(rideRes.body.driver.id).toBe(1);
+
+    const noReasonRes = await request(app)
+      .post(`/api/driver/rides/${rideRes.body.id}/cancel`)
+      .set("Authorization", `Bearer ${driverToken}`);
+    expect(noReasonRes.status).toBe(400);
+
+    const res = await request(app)
+      .post(`/api/driver/rides/${rideRes.body.id}/cancel`)
+      .set("Authorization", `Bearer ${driverToken}`)
+      .send({ reason: "vehicle_issue" });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("Driver on the way");
+    expect(res.body.driver.id).not.toBe(1);
+    expect(res.body.driverCancellations).toEqual([
+      expect.objectContaining({ driverId: 1, reason: "vehicle_issue" }),
+    ]);
+    expect(db.findDriverById(1).availability).toBe("free");
+    expect(db.findDriverById(res.body.driver.id).availability).toBe("en_route");
+
+    // The rider is not charged and the ride stays theirs
+    expect(res.body.cancellation).toBeUndefined();
+
+    // Once the rider is picked up, the driver can no longer hand the ride back
+    const startedRide = addRide({ status: "Ride started" });
+    const startedRes = await request(app)
+      .post(`/api/driver/rides/${startedRide.id}/cancel`)
+      .set("Authorization", `Bearer ${driverToken}`)
+      .send({ reason: "other" });
+    expect(startedRes.status).toBe(409);
+    expect(startedRes.body.code).toBe("RIDE_NOT_CANCELLABLE");
+  });
+
+  it("POST /api/driver/rides/:id/cancel should release the rider's hold when no other driver is free", async () => {
+    const cardRes = await request(app)
+      .post("/api/payments/methods")
+      .set("Authorization", `Bearer ${riderToken}`)
+      .send({ token: "tok_visa" });
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${riderToken}`)
+      .send({ destination: "Times Square", pickup_coordinates: [-74.006, 40.7128] });
+    expect(rideRes.body.payment.status).toBe("authorized");
+
+    const otherDrivers = db.drivers.filter((driver) => driver.id !== 1 && driver.active);
+    otherDrivers.forEach((driver) => db.updateDriver({ id: driver.id, active: false }));
+    try {
+      const res = await request(app)
+        .post(`/api/driver/rides/${rideRes.body.id}/cancel`)
+        .set("Authorization", `Bearer ${driverToken}`)
+        .send({ reason: "vehicle_issue" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe("cancelled");
+      expect(res.body.cancellation).toMatchObject({ reason: "no_driver_found", fee: 0 });
+      expect(res.body.payment.status).toBe("released");
+    } finally {
+      otherDrivers.forEach((driver) => db.updateDriver({ id: driver.id, active: true }));
+      await request(app)
+        .delete(`/api/payments/methods/${cardRes.body.id}`)
+        .set("Authorization", `Bearer ${riderToken}`);
+    }
+  });
+
+  it("POST /api/driver/online should need a location and a vehicle", async () => {
+    const newDriver = await signupAndLogin("New Driver", "new.driver@example.com");
+    const profile = db.addDriver({ name: "New Driver", location: null });
+    makeDriver(newDriver.user.id, profile.id);
+
+    const noLocationRes = await request(app)
+      .post("/api/driver/online")
+      .set("Authorization", `Bearer ${newDriver.token}`);
+    expect(noLocationRes.status).toBe(400);
+    expect(noLocationRes.body.code).toBe("LOCATION_REQUIRED");
+
+    const noVehicleRes = await request(app)
+      .post("/api/driver/online")
+      .set("Authorization", `Bearer ${newDriver.token}`)
+      .send({ coordinates: [-74.0, 40.72] });
+    expect(noVehicleRes.status).toBe(409);
+    expect(noVehicleRes.body.code).toBe("VEHICLE_REQUIRED");
+    expect(db.findDriverById(profile.id).active).toBe(false);
+  });
+
+  it("PUT /api/driver/vehicle should register the vehicle while the driver is free", async () => {
+    const registerVehicle = (vehicle) =>
+      request(app)
+        .put("/api/driver/vehicle")
+        .set("Authorization", `Bearer ${driverToken}`)
+        .send(vehicle);
+    const vehicle = { model: "Honda Odyssey", color: "Silver", plate: "NYC-7788", class: "xl" };
+
+    const invalidRes = await registerVehicle({ ...vehicle, class: "limousine" });
+    expect(invalidRes.status).toBe(400);
+
+    db.updateDriver({ id: 1, availability: "on_trip" });
+    const busyRes = await registerVehicle(vehicle);
+    expect(busyRes.status).toBe(409);
+    expect(busyRes.body.code).toBe("DRIVER_BUSY");
+
+    db.updateDriver({ id: 1, availability: "free" });
+    const res = await registerVehicle(vehicle);
+    expect(res.status).toBe(200);
+    expect(res.body.vehicle).toEqual({ ...vehicle, capacity: 6 });
+  });
+});
@@ -0,0 +1,406 @@
+const request = require("supertest");
+const app = require("../test-app");
+const db = require("../utils/db");
+const paymentGateway = require("../utils/paymentGateway.utils");
+const quotes = require("../utils/quote.utils");
+const payments = require("../utils/payment.utils");
+const dispatch = require("../utils/dispatch.utils");
+const scheduling = require("../utils/scheduling.utils");
+
+describe("Payment Controller", () => {
+  let token;
+  let otherToken;
+
+  // Register, verify and log in a rider, returning their token
+  const signupAndLogin = async (name, email) => {
+    await request(app).post("/api/auth/signup").send({
+      name,
+      email,
+      password: "password123",
+    });
+    const res = await request(app).post("/api/auth/login").send({
+      email,
+      password: "password123",
+    });
+    db.findUserById(res.body.user.id).emailVerified = true;
+    return res.body.token;
+  };
+
+  const addCard = (cardToken, authToken = token) =>
+    request(app)
+      .post("/api/payments/methods")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ token: cardToken });
+
+  const bookRide = (fields = {}) =>
+    request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ destination: "Times Square", pickup_coordinates: [-74.006, 40.7128], ...fields });
+
+  // The hold as the gateway sees it
+  const getAuthorization = (ride) =>
+    paymentGateway.getGateway().authorizations.get(db.findRideById(ride.id).payment.authorizationId);
+
+  beforeAll(async () => {
+    token = await signupAndLogin("Payment User", "payments@example.com");
+    otherToken = await signupAndLogin("Other Payer", "other-payments@example.com");
+  });
+
+  it("should book rides as cash until a card is saved", async () => {
+    const res = await bookRide();
+
+    expect(res.status).toBe(201);
+    expect(res.body.payment).toEqual({ method: "cash", status: "cash", currency: "USD" });
+  });
+
+  it("POST /api/payments/methods should save cards and make the first one the default", async () => {
+    const invalidRes = await addCard("tok_unknown");
+    expect(invalidRes.status).toBe(400);
+    expect(invalidRes.body.code).toBe("INVALID_CARD_TOKEN");
+
+    const visaRes = await addCard("tok_visa");
+    expect(visaRes.status).toBe(201);
+    expect(visaRes.body).toMatchObject({ brand: "visa", last4: "4242", isDefault: true });
+
+    const mastercardRes = await addCard("tok_mastercard");
+    expect(mastercardRes.body.isDefault).toBe(false);
+
+    const defaultRes = await request(app)
+      .post(`/api/payments/methods/${mastercardRes.body.id}/default`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(defaultRes.status).toBe(200);
+
+    const listRes = await request(app)
+      .get("/api/payments/methods")
+      .set("Authorization", `Bearer ${token}`);
+    expect(listRes.body.map((method) => [method.last4, method.isDefault])).toEqual([
+      ["4242", false],
+      ["4444", true],
+    ]);
+
+    // Other riders cannot see or use these cards
+    const otherRes = await request(app)
+      .post(`/api/payments/methods/${visaRes.body.id}/default`)
+      .set("Authorization", `Bearer ${otherToken}`);
+    expect(otherRes.status).toBe(404);
+  });
+
+  it("should hold the fare on booking and capture it on completion", async () => {
+    const rideRes = await bookRide();
+
+    expect(rideRes.status).toBe(201);
+    expect(rideRes.body.payment).toMatchObject({
+      method: "card",
+      card: { brand: "mastercard", last4: "4444" },
+      status: "authorized",
+      authorizedAmount: rideRes.body.cost,
+      capturedAmount: 0,
+    });
+
+    db.updateRide({ id: rideRes.body.id, status: "Ride started" });
+    const res = await request(app)
+      .put(`/api/rides/${rideRes.body.id}/status`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ status: "completed" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment).toMatchObject({
+      status: "captured",
+      capturedAmount: rideRes.body.cost,
+    });
+    expect(getAuthorization(rideRes.body).status).toBe("captured");
+  });
+
+  it("should capture the fare when the ride completes through GET /api/rides/status", async () => {
+    const rideRes = await bookRide();
+
+    // The status progresses automatically once enough time has passed
+    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    db.updateRide({ id: rideRes.body.id, status: "Ride completed", lastUpdated: tenMinutesAgo });
+    const res = await request(app)
+      .get("/api/rides/status")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("completed");
+    expect(res.body.payment).toMatchObject({ status: "captured", capturedAmount: rideRes.body.cost });
+    expect(getAuthorization(rideRes.body).status).toBe("captured");
+
+    const receiptRes = await request(app)
+      .get(`/api/rides/${rideRes.body.id}/receipt`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(receiptRes.body.payment.amount_charged).toBe(rideRes.body.cost);
+  });
+
+  it("POST /api/rides/:id/tip should charge the tip on its own and show it on the receipt", async () => {
+    const rideRes = await bookRide();
+    const tip = (amount) =>
+      request(app)
+        .post(`/api/rides/${rideRes.body.id}/tip`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ amount });
+
+    const activeRes = await tip(3);
+    expect(activeRes.status).toBe(409);
+    expect(activeRes.body.code).toBe("RIDE_NOT_COMPLETED");
+
+    db.updateRide({ id: rideRes.body.id, status: "Ride started" });
+    await request(app)
+      .put(`/api/rides/${rideRes.body.id}/status`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ status: "completed" });
+
+    // A declined tip can be tried again
+    const card = paymentGateway.getGateway().paymentMethods.get(rideRes.body.payment.paymentMethodId);
+    card.declineCode = "INSUFFICIENT_FUNDS";
+    const declinedRes = await tip(3);
+    delete card.declineCode;
+    expect(declinedRes.status).toBe(402);
+    expect(declinedRes.body.code).toBe("PAYMENT_DECLINED");
+
+    const res = await tip(3);
+    expect(res.status).toBe(201);
+    expect(res.body.tip).toBe(3);
+    expect(res.body.payment).toMatchObject({
+      status: "captured",
+      capturedAmount: rideRes.body.cost,
+      tip: { amount: 3, status: "captured" },
+    });
+    expect(paymentGateway.getGateway().authorizations.get(res.body.payment.tip.authorizationId)).toMatchObject({
+      status: "captured",
+      capturedAmount: 3,
+    });
+
+    const againRes = await tip(2);
+    expect(againRes.status).toBe(409);
+    expect(againRes.body.code).toBe("TIP_ALREADY_ADDED");
+
+    const receiptRes = await request(app)
+      .get(`/api/rides/${rideRes.body.id}/receipt`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(receiptRes.body).toMatchObject({ fare: rideRes.body.cost, tip: 3 });
+    expect(receiptRes.body.total).toBeCloseTo(rideRes.body.cost + 3, 2);
+    expect(receiptRes.body.payment.amount_charged).toBeCloseTo(rideRes.body.cost + 3, 2);
+  });
+
+  it("should release the hold on a free cancellation and capture the fee otherwise", async () => {
+    const freeRide = await bookRide();
+    const freeRes = await request(app)
+      .delete(`/api/rides/${freeRide.body.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ reason: "changed_plans" });
+
+    expect(freeRes.status).toBe(200);
+    expect(freeRes.body.payment.status).toBe("released");
+    expect(getAuthorization(freeRide.body).status).toBe("released");
+
+    // New York charges 5 once the driver has arrived
+    const lateRide = await bookRide();
+    db.updateRide({ id: lateRide.body.id, status: "Driver arrived" });
+    const lateRes = await request(app)
+      .delete(`/api/rides/${lateRide.body.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ reason: "wait_too_long" });
+
+    expect(lateRes.body.payment).toMatchObject({ status: "captured", capturedAmount: 5 });
+    expect(getAuthorization(lateRide.body)).toMatchObject({ status: "captured", capturedAmount: 5 });
+  });
+
+  it("should cancel a scheduled ride nobody takes once its pickup is well past and release the hold", async () => {
+    const rideRes = await bookRide({
+      scheduled_for: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+    });
+    const assignSpy = jest.spyOn(dispatch, "assignNearest").mockReturnValue(null);
+    try {
+      // Still within the grace window after pickup, so keep trying
+      db.updateRide({ id: rideRes.body.id, scheduled_for: new Date(Date.now() - 5 * 60 * 1000).toISOString() });
+      expect(await scheduling.dispatchScheduledRide(db.findRideById(rideRes.body.id))).toBeNull();
+      expect(db.findRideById(rideRes.body.id).status).toBe("scheduled");
+
+      db.updateRide({ id: rideRes.body.id, scheduled_for: new Date(Date.now() - 15 * 60 * 1000).toISOString() });
+      const cancelled = await scheduling.dispatchScheduledRide(db.findRideById(rideRes.body.id));
+
+      expect(cancelled.status).toBe("cancelled");
+      expect(cancelled.cancellation).toMatchObject({ policy: "no_driver", fee: 0 });
+      expect(cancelled.payment.status).toBe("released");
+      expect(getAuthorization(rideRes.body).status).toBe("released");
+    } finally {
+      assignSpy.mockRestore();
+    }
+  });
+
+  it("should move the hold to the new fare when stops change", async () => {
+    const rideRes = await bookRide({ destination_coordinates: [-73.9855, 40.758] });
+    const oldHold = getAuthorization(rideRes.body);
+    const addStop = (address, coordinates) =>
+      request(app)
+        .post(`/api/rides/${rideRes.body.id}/stops`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ address, coordinates });
+
+    const res = await addStop("Brooklyn Bridge Park", [-73.9969, 40.7003]);
+    expect(res.status).toBe(201);
+    expect(res.body.cost).toBeGreaterThan(rideRes.body.cost);
+    expect(res.body.payment).toMatchObject({ status: "authorized", authorizedAmount: res.body.cost });
+    expect(oldHold.status).toBe("released");
+    expect(getAuthorization(res.body)).toMatchObject({ status: "authorized", amount: res.body.cost });
+
+    // A card that declines the new fare leaves the ride and its hold as they were
+    const card = paymentGateway.getGateway().paymentMethods.get(res.body.payment.paymentMethodId);
+    card.declineCode = "INSUFFICIENT_FUNDS";
+    const declinedRes = await addStop("Central Park", [-73.9654, 40.7829]);
+    expect(declinedRes.status).toBe(402);
+    expect(declinedRes.body).toMatchObject({ code: "PAYMENT_DECLINED", declineCode: "INSUFFICIENT_FUNDS" });
+    expect(db.findRideById(rideRes.body.id).stops).toHaveLength(1);
+    expect(getAuthorization(res.body).status).toBe("authorized");
+
+    // When the final fare cannot be held either, the old hold is still released
+    db.updateRide({
+      id: rideRes.body.id,
+      status: "Ride started",
+      stops: res.body.stops.map((stop) => ({ ...stop, status: "departed" })),
+      cost: res.body.cost + 20,
+    });
+    const failedRes = await request(app)
+      .put(`/api/rides/${rideRes.body.id}/status`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ status: "completed" });
+    expect(failedRes.body.payment).toMatchObject({ status: "failed", failureCode: "INSUFFICIENT_FUNDS" });
+    expect(paymentGateway.getGateway().authorizations.get(res.body.payment.authorizationId).status).toBe(
+      "released"
+    );
+    delete card.declineCode;
+  });
+
+  it("should drop the new hold when the ride completes while stops change", async () => {
+    const rideRes = await bookRide({ destination_coordinates: [-73.9855, 40.758] });
+
+    // The server's status loop completes the ride while the new fare is authorized
+    const gateway = paymentGateway.getGateway();
+    const authorize = gateway.authorize;
+    let newHold;
+    jest.spyOn(gateway, "authorize").mockImplementationOnce(async (charge) => {
+      const completedRide = db.updateRide({ id: rideRes.body.id, status: "completed" });
+      await payments.syncWithRide(completedRide);
+      newHold = await authorize(charge);
+      return newHold;
+    });
+
+    const res = await request(app)
+      .post(`/api/rides/${rideRes.body.id}/stops`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ address: "Brooklyn Bridge Park", coordinates: [-73.9969, 40.7003] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("RIDE_ENDED");
+    expect(gateway.authorizations.get(newHold.id).status).toBe("released");
+    expect(db.findRideById(rideRes.body.id).payment).toMatchObject({
+      status: "captured",
+      authorizationId: rideRes.body.payment.authorizationId,
+      capturedAmount: rideRes.body.cost,
+    });
+  });
+
+  it("should capture against the stored hold when settling a stale copy of the ride", async () => {
+    const rideRes = await bookRide({ destination_coordinates: [-73.9855, 40.758] });
+    const stopRes = await request(app)
+      .post(`/api/rides/${rideRes.body.id}/stops`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ address: "Brooklyn Bridge Park", coordinates: [-73.9969, 40.7003] });
+    const currentHold = getAuthorization(stopRes.body);
+
+    // The copy from before the stop still names the released hold
+    const settledRide = await payments.syncWithRide({
+      ...rideRes.body,
+      status: "completed",
+      cost: stopRes.body.cost,
+    });
+
+    expect(settledRide.payment).toMatchObject({
+      status: "captured",
+      authorizationId: stopRes.body.payment.authorizationId,
+      capturedAmount: stopRes.body.cost,
+    });
+    expect(currentHold).toMatchObject({ status: "captured", capturedAmount: stopRes.body.cost });
+  });
+
+  it("POST /api/rides should refuse bookings on a declined card", async () => {
+    const cardRes = await addCard("tok_chargeDeclined");
+
+    const res = await bookRide({ payment_method_id: cardRes.body.id });
+    expect(res.status).toBe(402);
+    expect(res.body).toMatchObject({ code: "PAYMENT_DECLINED", declineCode: "CARD_DECLINED" });
+
+    const unknownRes = await bookRide({ payment_method_id: "pm_missing" });
+    expect(unknownRes.status).toBe(400);
+    expect(unknownRes.body.code).toBe("PAYMENT_METHOD_NOT_FOUND");
+
+    const cashRes = await bookRide({ payment_method_id: "cash" });
+    expect(cashRes.status).toBe(201);
+    expect(cashRes.body.payment.method).toBe("cash");
+  });
+
+  it("POST /api/rides should refuse a quote used up while the card is authorized", async () => {
+    const quoteRes = await request(app)
+      .post("/api/rides/quote")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        destination: "Times Square",
+        pickup_coordinates: [-74.006, 40.7128],
+        destination_coordinates: [-73.9855, 40.758],
+      });
+
+    // Another booking with the same quote goes through while this one waits on the card
+    const gateway = paymentGateway.getGateway();
+    const authorize = gateway.authorize;
+    let authorizationId;
+    jest.spyOn(gateway, "authorize").mockImplementationOnce(async (charge) => {
+      const rider = db.users.find((user) => user.email === "payments@example.com");
+      quotes.redeemQuote(quotes.verifyQuote(quoteRes.body.quote_id, rider));
+      const authorization = await authorize(charge);
+      authorizationId = authorization.id;
+      return authorization;
+    });
+
+    const ridesBefore = db.rides.length;
+    const res = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ quote_id: quoteRes.body.quote_id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("QUOTE_USED");
+    expect(gateway.authorizations.get(authorizationId).status).toBe("released");
+    expect(db.rides.length).toBe(ridesBefore);
+  });
+
+  it("DELETE /api/payments/methods/:id should keep cards that hold an active ride's fare", async () => {
+    const listRes = await request(app)
+      .get("/api/payments/methods")
+      .set("Authorization", `Bearer ${token}`);
+    const card = listRes.body.find((method) => method.isDefault);
+
+    const rideRes = await bookRide();
+    const inUseRes = await request(app)
+      .delete(`/api/payments/methods/${card.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(inUseRes.status).toBe(409);
+    expect(inUseRes.body.code).toBe("PAYMENT_METHOD_IN_USE");
+
+    await request(app)
+      .delete(`/api/rides/${rideRes.body.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    const res = await request(app)
+      .delete(`/api/payments/methods/${card.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.status).toBe(200);
+
+    // The default passes on to the next card
+    const afterRes = await request(app)
+      .get("/api/payments/methods")
+      .set("Authorization", `Bearer ${token}`);
+    expect(afterRes.body.map((method) => method.id)).not.toContain(card.id);
+    expect(afterRes.body[0].isDefault).toBe(true);
+  });
+});
@@ -1,6 +1,9 @@
 const request = require("supertest");
 const app = require("../test-app");
 const db = require("../utils/db");
+const mail = require("../utils/mail.utils");
+const scheduling = require("../utils/scheduling.utils");
+const dispatch = require("../utils/dispatch.utils");
 
 describe("Ride Controller", () => {
   let token;
@@ -12,12 +15,22 @@ describe("Ride Controller", () => {
     db.rides = [];
 
     // Register a user
-    await request(app).post("/api/auth/signup").send({
+    const signupRes = await request(app).post("/api/auth/signup").send({
       name: "Test User",
       email: "test@example.com",
       password: "password123",
     });
 
+    // Verify the email with the link from the in-memory outbox
+    if (signupRes.status === 201) {
+      const verification = mail
+        .getTransport()
+        .outbox.filter((m) => m.to === "test@example.com")
+        .pop();
+      const verifyLink = new URL(verification.text.match(/http\S+/)[0]);
+      await request(app).get(verifyLink.pathname + verifyLink.search);
+    }
+
     // Login to get token
     const res = await request(app).post("/api/auth/login").send({
       email: "test@example.com",
@@ -41,6 +54,26 @@ describe("Ride Controller", () => {
     testRideId = res.body.id;
   });
 
+  it("POST /api/rides should refuse accounts with an unverified email", async () => {
+    await request(app).post("/api/auth/signup").send({
+      name: "Unverified User",
+      email: "unverified@example.com",
+      password: "password123",
+    });
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "unverified@example.com",
+      password: "password123",
+    });
+
+    const res = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${loginRes.body.token}`)
+      .send({ destination: "123 Main St" });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("EMAIL_NOT_VERIFIED");
+  });
+
   it("POST /api/rides should fail with invalid destination", async () => {
     const res = await request(app)
       .post("/api/rides")
@@ -62,6 +95,502 @@ describe("Ride Controller", () => {
     expect(destinationError).toBeDefined();
   });
 
+  it("POST /api/rides should store the fare breakdown for the pickup city", async () => {
+    const res = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        destination: "Central Park",
+        pickup_coordinates: [-74.006, 40.7128],
+        destination_coordinates: [-73.9654, 40.7829],
+      });
+
+    expect(res.status).toBe(201);
+    const fare = res.body.fare_breakdown;
+    expect(fare.city).toBe("new-york");
+    expect(fare.currency).toBe("USD");
+    expect(fare.total).toBe(res.body.cost);
+    expect(fare.subtotal).toBeCloseTo(
+      fare.base_fare + fare.distance_fare + fare.time_fare + fare.booking_fee,
+      2
+    );
+    // New York rounds fares up to the next half dollar
+    expect(fare.total * 2).toBe(Math.round(fare.total * 2));
+    expect(fare.total).toBeGreaterThanOrEqual(fare.subtotal);
+    expect(db.findRideById(res.body.id).fare_breakdown).toEqual(fare);
+  });
+
+  it("POST /api/rides should match the vehicle class and party size and price the class", async () => {
+    const trip = {
+      destination: "Central Park",
+      pickup_coordinates: [-74.006, 40.7128],
+      destination_coordinates: [-73.9654, 40.7829],
+    };
+
+    const economyRes = await request(app)
+      .post("/api/rides/quote")
+      .set("Authorization", `Bearer ${token}`)
+      .send(trip);
+
+    const xlRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ ...trip, vehicle_class: "xl", passengers: 5 });
+
+    expect(xlRes.status).toBe(201);
+    expect(xlRes.body.vehicle_class).toBe("xl");
+    expect(xlRes.body.passengers).toBe(5);
+    expect(xlRes.body.vehicle.class).toBe("xl");
+    expect(xlRes.body.vehicle.capacity).toBeGreaterThanOrEqual(5);
+    expect(xlRes.body.fare_breakdown.class_multiplier).toBe(1.5);
+    expect(xlRes.body.cost).toBeGreaterThan(economyRes.body.cost);
+
+    const premiumRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ ...trip, vehicle_class: "premium", passengers: 5 });
+
+    expect(premiumRes.status).toBe(400);
+    expect(premiumRes.body.message).toContain("No drivers");
+
+    const invalidRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ ...trip, vehicle_class: "limo" });
+
+    expect(invalidRes.status).toBe(400);
+  });
+
+  it("POST /api/rides/quote should quote a trip and POST /api/rides should honor it once", async () => {
+    const trip = {
+      destination: "Central Park",
+      pickup_coordinates: [-74.006, 40.7128],
+      destination_coordinates: [-73.9654, 40.7829],
+    };
+
+    const ridesBefore = db.rides.length;
+    const quoteRes = await request(app)
+      .post("/api/rides/quote")
+      .set("Authorization", `Bearer ${token}`)
+      .send(trip);
+
+    expect(quoteRes.status).toBe(200);
+    expect(quoteRes.body.quote_id).toBeDefined();
+    expect(quoteRes.body.expires_at).toBeDefined();
+    expect(quoteRes.body.cost).toBeGreaterThan(0);
+    expect(quoteRes.body.driver.id).toBeDefined();
+    expect(quoteRes.body.eta).toBeDefined();
+    expect(quoteRes.body.ride_duration).toBeDefined();
+    expect(db.rides.length).toBe(ridesBefore);
+
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ quote_id: quoteRes.body.quote_id });
+
+    expect(rideRes.status).toBe(201);
+    expect(rideRes.body.cost).toBe(quoteRes.body.cost);
+    expect(rideRes.body.destination).toBe("Central Park");
+    expect(rideRes.body.destination_coordinates).toEqual(trip.destination_coordinates);
+
+    const reuseRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ quote_id: quoteRes.body.quote_id });
+
+    expect(reuseRes.status).toBe(400);
+    expect(reuseRes.body.code).toBe("QUOTE_USED");
+  });
+
+  it("POST /api/rides should reject a quote for a different trip", async () => {
+    const quoteRes = await request(app)
+      .post("/api/rides/quote")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        destination: "Central Park",
+        destination_coordinates: [-73.9654, 40.7829],
+      });
+
+    const res = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        destination: "Central Park",
+        destination_coordinates: [-73.5, 40.5],
+        quote_id: quoteRes.body.quote_id,
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("QUOTE_MISMATCH");
+  });
+
+  it("POST /api/rides should require surge prices to be accepted explicitly", async () => {
+    process.env.SURGE_ENABLED = "true";
+    // Half of the way to the raw multiplier per step with the default smoothing
+    const step = 300 * Math.LN2 * 1000;
+    const start = Date.now();
+    const clock = jest.spyOn(Date, "now").mockReturnValue(start);
+    try {
+      // Simulate a burst of requests around Sydney, which has a single driver,
+      // enough for the raw multiplier to reach the 3x cap
+      const pickup = [151.2093, -33.8688];
+      for (let i = 0; i < 6; i++) {
+        db.addRide({
+          id: start + i,
+          userId: -1,
+          destination: "Bondi Beach",
+          status: "cancelled",
+          pickup_coordinates: pickup,
+          date: new Date().toISOString(),
+        });
+      }
+      const trip = {
+        destination: "Bondi Beach",
+        pickup_coordinates: pickup,
+        destination_coordinates: [151.2743, -33.8915],
+      };
+      const getQuote = () =>
+        request(app).post("/api/rides/quote").set("Authorization", `Bearer ${token}`).send(trip);
+
+      // New areas start without surge, and quotes do not take a reading
+      expect((await getQuote()).body.surge_multiplier).toBe(1);
+      clock.mockReturnValue(start + step);
+      expect((await getQuote()).body.surge_multiplier).toBe(1);
+
+      const firstRes = await request(app)
+        .post("/api/rides")
+        .set("Authorization", `Bearer ${token}`)
+        .send(trip);
+      expect(firstRes.status).toBe(201);
+      expect(firstRes.body.fare_breakdown.surge_multiplier).toBe(1);
+
+      // Halfway from 1x to 3x since the booking's reading
+      clock.mockReturnValue(start + 2 * step);
+      const quoteRes = await getQuote();
+
+      expect(quoteRes.status).toBe(200);
+      expect(quoteRes.body.surge_multiplier).toBe(2);
+      expect(quoteRes.body.fare_breakdown.surge_amount).toBeGreaterThan(0);
+
+      const refusedRes = await request(app)
+        .post("/api/rides")
+        .set("Authorization", `Bearer ${token}`)
+        .send(trip);
+
+      expect(refusedRes.status).toBe(409);
+      expect(refusedRes.body.code).toBe("SURGE_NOT_ACCEPTED");
+      expect(refusedRes.body.surge_multiplier).toBe(2);
+
+      const acceptedRes = await request(app)
+        .post("/api/rides")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ ...trip, accept_surge: 2 });
+
+      expect(acceptedRes.status).toBe(201);
+      expect(acceptedRes.body.fare_breakdown.surge_multiplier).toBe(2);
+    } finally {
+      clock.mockRestore();
+      process.env.SURGE_ENABLED = "false";
+    }
+  });
+
+  it("POST /api/rides should search for a driver until one accepts the offer", async () => {
+    process.env.DISPATCH_MODE = "offer";
+    try {
+      const res = await request(app)
+        .post("/api/rides")
+        .set("Authorization", `Bearer ${token}`)
+        .send({
+          destination: "Times Square",
+          pickup_coordinates: [-74.006, 40.7128],
+          destination_coordinates: [-73.9855, 40.758],
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.status).toBe("searching");
+      expect(res.body.driver).toBeNull();
+      expect(res.body.dispatch.offer.driverId).toBe(1);
+
+      // Polling the status does not invent a driver while the offer is open
+      const statusRes = await request(app)
+        .get("/api/rides/status")
+        .set("Authorization", `Bearer ${token}`);
+      expect(statusRes.body.status).toBe("searching");
+
+      const accepted = dispatch.acceptOffer(null, res.body.id, 1);
+      expect(accepted.ok).toBe(true);
+      expect(accepted.ride.status).toBe("Driver on the way");
+      expect(accepted.ride.driver.id).toBe(1);
+      expect(accepted.ride.eta).toBeDefined();
+    } finally {
+      process.env.DISPATCH_MODE = "instant";
+    }
+  });
+
+  it("POST /api/rides should not give a busy driver a second ride", async () => {
+    const trip = {
+      destination: "Central Park",
+      pickup_coordinates: [-74.006, 40.7128],
+      destination_coordinates: [-73.9654, 40.7829],
+    };
+
+    // A second rider in the same street
+    await request(app).post("/api/auth/signup").send({
+      name: "Other Rider",
+      email: "other-rider@example.com",
+      password: "password123",
+    });
+    const otherLogin = await request(app).post("/api/auth/login").send({
+      email: "other-rider@example.com",
+      password: "password123",
+    });
+    db.findUserById(otherLogin.body.user.id).emailVerified = true;
+
+    const firstRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send(trip);
+    expect(firstRes.body.driver.id).toBe(1);
+    expect(db.findDriverById(1).availability).toBe("en_route");
+
+    const secondRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${otherLogin.body.token}`)
+      .send(trip);
+    expect(secondRes.status).toBe(201);
+    expect(secondRes.body.driver.id).not.toBe(1);
+
+    // Cancelling frees the driver again
+    await request(app)
+      .delete(`/api/rides/${firstRes.body.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(db.findDriverById(1).availability).toBe("free");
+
+    await request(app)
+      .delete(`/api/rides/${secondRes.body.id}`)
+      .set("Authorization", `Bearer ${otherLogin.body.token}`);
+  });
+
+  it("should book, list, edit, dispatch and cancel scheduled rides", async () => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const trip = {
+      destination: "JFK Airport",
+      destination_coordinates: [-73.7781, 40.6413],
+      scheduled_for: tomorrow.toISOString(),
+    };
+
+    const tooSoonRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ ...trip, scheduled_for: new Date(Date.now() + 60 * 1000).toISOString() });
+
+    expect(tooSoonRes.status).toBe(400);
+    expect(tooSoonRes.body.code).toBe("INVALID_SCHEDULE_TIME");
+
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send(trip);
+
+    expect(rideRes.status).toBe(201);
+    expect(rideRes.body.status).toBe("scheduled");
+    expect(rideRes.body.scheduled_for).toBe(tomorrow.toISOString());
+    expect(rideRes.body.driver).toBeNull();
+    expect(rideRes.body.cost).toBeGreaterThan(0);
+
+    const listRes = await request(app)
+      .get("/api/rides/scheduled")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(listRes.status).toBe(200);
+    expect(listRes.body.map((r) => r.id)).toContain(rideRes.body.id);
+
+    const later = new Date(tomorrow.getTime() + 60 * 60 * 1000);
+    const editRes = await request(app)
+      .patch(`/api/rides/scheduled/${rideRes.body.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ scheduled_for: later.toISOString() });
+
+    expect(editRes.status).toBe(200);
+    expect(editRes.body.scheduled_for).toBe(later.toISOString());
+    expect(editRes.body.cost).toBe(rideRes.body.cost);
+
+    // Not due until the dispatch lead time before pickup
+    const ride = db.findRideById(rideRes.body.id);
+    expect(scheduling.isDueForDispatch(ride)).toBe(false);
+    expect(scheduling.isDueForDispatch(ride, later.getTime() - 10 * 60 * 1000)).toBe(true);
+
+    const cancelRes = await request(app)
+      .delete(`/api/rides/${rideRes.body.id}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(cancelRes.status).toBe(200);
+    expect(db.findRideById(rideRes.body.id).status).toBe("cancelled");
+  });
+
+  it("should dispatch a driver to a scheduled ride that is due", async () => {
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        destination: "JFK Airport",
+        destination_coordinates: [-73.7781, 40.6413],
+        scheduled_for: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+      });
+
+    const dispatched = await scheduling.dispatchScheduledRide(db.findRideById(rideRes.body.id));
+
+    expect(dispatched.status).toBe("Driver on the way");
+    expect(dispatched.driver.id).toBeDefined();
+    expect(dispatched.eta).toBeDefined();
+
+    const editRes = await request(app)
+      .patch(`/api/rides/scheduled/${rideRes.body.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ destination: "LaGuardia Airport" });
+
+    expect(editRes.status).toBe(409);
+    expect(editRes.body.code).toBe("RIDE_NOT_SCHEDULED");
+  });
+
+  it("should price multi-stop rides over every leg and walk through each stop", async () => {
+    const pickup = [-74.006, 40.7128];
+    const destination = [-73.9654, 40.7829];
+    const stop = { address: "Union Square", coordinates: [-73.9903, 40.7359] };
+
+    const directRes = await request(app)
+      .post("/api/rides/quote")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ destination: "Central Park", pickup_coordinates: pickup, destination_coordinates: destination });
+
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        destination: "Central Park",
+        pickup_coordinates: pickup,
+        destination_coordinates: destination,
+        stops: [stop],
+      });
+
+    expect(rideRes.status).toBe(201);
+    expect(rideRes.body.stops).toEqual([
+      expect.objectContaining({ number: 1, address: "Union Square", status: "pending" }),
+    ]);
+    expect(rideRes.body.distance).toBeGreaterThan(directRes.body.distance);
+
+    const rideId = rideRes.body.id;
+    const setStatus = (status) =>
+      request(app)
+        .put(`/api/rides/${rideId}/status`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ status });
+
+    await setStatus("Driver arrived");
+    await setStatus("Ride started");
+
+    // The destination cannot be reached before the pending stop
+    const skipRes = await setStatus("Ride completed");
+    expect(skipRes.status).toBe(400);
+    expect(skipRes.body.validStatuses).toContain("arrived_at_stop_1");
+
+    const stopRes = await setStatus("arrived_at_stop_1");
+    expect(stopRes.status).toBe(200);
+    expect(stopRes.body.stops[0].status).toBe("arrived");
+
+    // A stop added mid-trip goes after the one already reached and re-prices the ride
+    const addRes = await request(app)
+      .post(`/api/rides/${rideId}/stops`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ address: "Times Square", coordinates: [-73.9855, 40.758] });
+
+    expect(addRes.status).toBe(201);
+    expect(addRes.body.stops.map((s) => s.number)).toEqual([1, 2]);
+    expect(addRes.body.cost).toBe(addRes.body.fare_breakdown.total);
+    expect(addRes.body.fare_breakdown.distance_km).toBeCloseTo(addRes.body.distance, 1);
+
+    const removeReachedRes = await request(app)
+      .delete(`/api/rides/${rideId}/stops/1`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(removeReachedRes.status).toBe(409);
+    expect(removeReachedRes.body.code).toBe("STOP_ALREADY_REACHED");
+
+    const removeRes = await request(app)
+      .delete(`/api/rides/${rideId}/stops/2`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(removeRes.status).toBe(200);
+    expect(removeRes.body.stops).toHaveLength(1);
+    expect(removeRes.body.distance).toBe(rideRes.body.distance);
+
+    const leaveRes = await setStatus("Ride started");
+    expect(leaveRes.body.stops[0].status).toBe("departed");
+    expect((await setStatus("Ride completed")).status).toBe(200);
+  });
+
+  it("POST /api/rides/:id/rating should rate the driver once the ride is completed", async () => {
+    const user = db.users.find((u) => u.email === "test@example.com");
+
+    // Completed Premium rides with driver 7
+    const addCompletedRide = (offset, status = "completed") =>
+      db.addRide({
+        id: Date.now() + offset,
+        userId: user.id,
+        destination: "Central Park",
+        status,
+        driver: { id: 7, name: "David Chen", rating: 4.9, location: "Upper West Side, New York" },
+      });
+
+    const activeRide = addCompletedRide(0, "Ride started");
+    const activeRes = await request(app)
+      .post(`/api/rides/${activeRide.id}/rating`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ rating: 5 });
+    expect(activeRes.status).toBe(409);
+    expect(activeRes.body.code).toBe("RIDE_NOT_COMPLETED");
+
+    const rides = [addCompletedRide(1), addCompletedRide(2), addCompletedRide(3)];
+
+    const invalidRes = await request(app)
+      .post(`/api/rides/${rides[0].id}/rating`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ rating: 6, tags: ["fast"] });
+    expect(invalidRes.status).toBe(400);
+
+    const firstRes = await request(app)
+      .post(`/api/rides/${rides[0].id}/rating`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ rating: 1, tags: ["late", "rude"], comment: "Took the long way" });
+    expect(firstRes.status).toBe(201);
+    expect(firstRes.body.ride.ratings.driver).toMatchObject({
+      rating: 1,
+      tags: ["late", "rude"],
+      comment: "Took the long way",
+    });
+    expect(firstRes.body.driver).toEqual({ id: 7, rating: 1, ratingCount: 1 });
+
+    const againRes = await request(app)
+      .post(`/api/rides/${rides[0].id}/rating`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ rating: 5 });
+    expect(againRes.status).toBe(409);
+    expect(againRes.body.code).toBe("ALREADY_RATED");
+
+    // Only the most recent RATING_WINDOW ratings count
+    process.env.RATING_WINDOW = "2";
+    try {
+      for (const ride of rides.slice(1)) {
+        await request(app)
+          .post(`/api/rides/${ride.id}/rating`)
+          .set("Authorization", `Bearer ${token}`)
+          .send({ rating: 4 });
+      }
+      expect(db.findDriverById(7).rating).toBe(4);
+      expect(db.findDriverById(7).ratingCount).toBe(2);
+    } finally {
+      delete process.env.RATING_WINDOW;
+    }
+  });
+
   it("GET /api/rides/status should return current ride status without updating if not enough time passed", async () => {
     // Create a ride first
     const rideRes = await request(app)
@@ -107,9 +636,109 @@ describe("Ride Controller", () => {
       .get("/api/rides/history")
       .set("Authorization", `Bearer ${token}`);
 
+    // Newest first, with every ride of the user counted
+    const userId = db.users.find((u) => u.email === "test@example.com").id;
     expect(res.status).toBe(200);
-    expect(res.body).toHaveLength(1);
-    expect(res.body[0].destination).toBe("123 Main St");
+    expect(res.body.rides[0].destination).toBe("123 Main St");
+    expect(res.body.total).toBe(db.rides.filter((r) => r.userId === userId).length);
+    expect(res.body.limit).toBe(20);
+  });
+
+  it("GET /api/rides/history should filter, sort and page through rides", async () => {
+    const userId = db.users.find((u) => u.email === "test@example.com").id;
+    db.rides.splice(0, db.rides.length);
+    const day = 24 * 60 * 60 * 1000;
+    const start = Date.parse("2024-03-01T12:00:00.000Z");
+    // Ten rides on consecutive days, alternately completed and cancelled
+    for (let i = 0; i < 10; i++) {
+      db.addRide({
+        id: start + i,
+        userId,
+        destination: `Stop ${i}`,
+        status: i % 2 ? "cancelled" : "completed",
+        date: new Date(start + i * day).toISOString(),
+        lastUpdated: new Date(start + i * day).toISOString(),
+        cost: 10 + i,
+        distance: 10 - i,
+      });
+    }
+    const getHistory = (query) =>
+      request(app)
+        .get("/api/rides/history")
+        .query(query)
+        .set("Authorization", `Bearer ${token}`);
+
+    // Newest first, four at a time
+    const pages = [];
+    let cursor;
+    do {
+      const res = await getHistory({ limit: 4, ...(cursor && { cursor }) });
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(10);
+      pages.push(res.body.rides.map((r) => r.destination));
+      cursor = res.body.next_cursor;
+    } while (cursor);
+    expect(pages).toEqual([
+      ["Stop 9", "Stop 8", "Stop 7", "Stop 6"],
+      ["Stop 5", "Stop 4", "Stop 3", "Stop 2"],
+      ["Stop 1", "Stop 0"],
+    ]);
+
+    const filteredRes = await getHistory({
+      status: "completed",
+      from: "2024-03-03T00:00:00.000Z",
+      to: "2024-03-09T00:00:00.000Z",
+      min_cost: 13,
+      sort: "distance",
+      order: "asc",
+    });
+    expect(filteredRes.body.total).toBe(2);
+    expect(filteredRes.body.rides.map((r) => r.destination)).toEqual(["Stop 6", "Stop 4"]);
+
+    // "all" is the same as no status filter
+    const allRes = await getHistory({ status: "all", limit: 4 });
+    expect(allRes.status).toBe(200);
+    expect(allRes.body.total).toBe(10);
+
+    const invalidRes = await getHistory({ status: "finished" });
+    expect(invalidRes.status).toBe(400);
+
+    // Cursors only continue the sort order they were made for
+    const firstPage = await getHistory({ limit: 2 });
+    const mismatchRes = await getHistory({ cursor: firstPage.body.next_cursor, sort: "cost" });
+    expect(mismatchRes.status).toBe(400);
+    expect(mismatchRes.body.code).toBe("INVALID_CURSOR");
+  });
+
+  it("GET /api/rides/history/export should download the filtered rides", async () => {
+    const userId = db.users.find((u) => u.email === "test@example.com").id;
+    db.rides.splice(0, db.rides.length);
+    db.addRide({ id: 1, userId, destination: "Home", status: "completed", date: "2024-03-01T12:00:00.000Z", cost: 12.5, distance: 4 });
+    db.addRide({ id: 2, userId, destination: '=HYPERLINK("x"), Office', status: "completed", date: "2024-03-02T12:00:00.000Z", cost: 20, distance: 8 });
+    db.addRide({ id: 3, userId, destination: "Gym", status: "cancelled", date: "2024-03-03T12:00:00.000Z", cost: 9, distance: 3 });
+
+    const csvRes = await request(app)
+      .get("/api/rides/history/export")
+      .query({ status: "completed", order: "asc" })
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(csvRes.status).toBe(200);
+    expect(csvRes.headers["content-type"]).toContain("text/csv");
+    expect(csvRes.headers["content-disposition"]).toMatch(/attachment; filename="ride-history-.*\.csv"/);
+    const lines = csvRes.text.trim().split("\r\n");
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^id,date,status,pickup,destination,/);
+    expect(lines[1]).toMatch(/^1,2024-03-01T12:00:00.000Z,completed,Current Location,Home,/);
+    // Quoted, and kept from running as a spreadsheet formula
+    expect(lines[2]).toContain(`"'=HYPERLINK(""x""), Office"`);
+
+    const jsonRes = await request(app)
+      .get("/api/rides/history/export")
+      .query({ format: "json", min_distance: 4 })
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(jsonRes.headers["content-disposition"]).toContain(".json");
+    expect(jsonRes.body.map((r) => r.id)).toEqual([2, 1]);
   });
 
   it("GET /api/rides/history should return 404 if no rides exist", async () => {
@@ -173,6 +802,30 @@ describe("Ride Controller", () => {
     expect(res.body.validStatuses).toBeDefined();
   });
 
+  it("PUT /api/rides/:id/status should not cancel rides around the cancellation policy", async () => {
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ destination: "123 Main St" });
+    db.updateRide({ id: rideRes.body.id, status: "Driver arrived" });
+
+    const res = await request(app)
+      .put(`/api/rides/${rideRes.body.id}/status`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ status: "cancelled" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("USE_CANCEL_ENDPOINT");
+    expect(db.findRideById(rideRes.body.id).status).toBe("Driver arrived");
+
+    // Cancelling through DELETE charges the late fee
+    const cancelRes = await request(app)
+      .delete(`/api/rides/${rideRes.body.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ reason: "wait_too_long" });
+    expect(cancelRes.body.cancellation).toMatchObject({ reason: "wait_too_long", fee: 5 });
+  });
+
   it("DELETE /api/rides/:id should cancel a ride", async () => {
     // Create a ride first
     const rideRes = await request(app)
@@ -194,4 +847,146 @@ describe("Ride Controller", () => {
     const cancelledRide = db.findRideById(rideId);
     expect(cancelledRide.status).toBe("cancelled");
   });
+
+  it("DELETE /api/rides/:id should charge the cancellation fee for how far the ride has got", async () => {
+    const bookAndCancel = async (fields, body) => {
+      const rideRes = await request(app)
+        .post("/api/rides")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ destination: "Times Square", pickup_coordinates: [-74.006, 40.7128] });
+      db.updateRide({ id: rideRes.body.id, ...fields });
+
+      const res = await request(app)
+        .delete(`/api/rides/${rideRes.body.id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send(body);
+      return { res, rideId: rideRes.body.id };
+    };
+
+    const { res: invalidRes } = await bookAndCancel({}, { reason: "bored" });
+    expect(invalidRes.status).toBe(400);
+
+    // Free straight after booking
+    const { res: freeRes } = await bookAndCancel({}, { reason: "changed_plans" });
+    expect(freeRes.status).toBe(200);
+    expect(freeRes.body.cancellation).toMatchObject({
+      cancelledBy: "rider",
+      reason: "changed_plans",
+      policy: "free_window",
+      fee: 0,
+      currency: "USD",
+    });
+
+    // New York fees: late 3, driver arrived 5, ride started 10
+    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    for (const [fields, policy, fee] of [
+      [{ date: tenMinutesAgo }, "late_cancellation", 3],
+      [{ status: "Driver arrived" }, "driver_arrived", 5],
+      [{ status: "Ride started" }, "ride_started", 10],
+    ]) {
+      const { res, rideId } = await bookAndCancel(fields, { reason: "wait_too_long" });
+      expect(res.body.cancellation).toMatchObject({ policy, fee, currency: "USD" });
+      expect(db.findRideById(rideId).cancellation.reason).toBe("wait_too_long");
+    }
+
+    // Tokyo's ride started fee (1500) is more than a minimum fare ride costs
+    const tokyoRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        destination: "Shibuya Crossing",
+        pickup_coordinates: [139.6917, 35.6895],
+        destination_coordinates: [139.692, 35.69],
+      });
+    expect(tokyoRes.body.cost).toBe(800);
+    db.updateRide({ id: tokyoRes.body.id, status: "Ride started" });
+
+    const cappedRes = await request(app)
+      .delete(`/api/rides/${tokyoRes.body.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ reason: "other" });
+    expect(cappedRes.body.cancellation).toMatchObject({ policy: "ride_started", fee: 800, currency: "JPY" });
+  });
+
+  it("POST /api/rides should keep the current ride when the new booking fails", async () => {
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ destination: "Times Square", pickup_coordinates: [-74.006, 40.7128] });
+    const driverId = rideRes.body.driver.id;
+
+    const failedRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ destination: "Times Square", promo_code: "NOSUCHCODE" });
+    expect(failedRes.status).toBe(400);
+
+    expect(db.findRideById(rideRes.body.id).status).toBe("Driver on the way");
+    expect(db.findDriverById(driverId).availability).toBe("en_route");
+
+    // A successful booking replaces it, and may reuse its driver
+    const newRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ destination: "Times Square", pickup_coordinates: [-74.006, 40.7128] });
+    expect(newRes.status).toBe(201);
+    expect(newRes.body.driver.id).toBe(driverId);
+    expect(db.findRideById(rideRes.body.id)).toBeUndefined();
+  });
+
+  it("GET /api/rides/:id/receipt should return the receipt of a completed ride", async () => {
+    const rideRes = await request(app)
+      .post("/api/rides")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ destination: "Times Square", pickup_coordinates: [-74.006, 40.7128] });
+    const rideId = rideRes.body.id;
+    const getReceipt = (query = "", accept = "application/json") =>
+      request(app)
+        .get(`/api/rides/${rideId}/receipt${query}`)
+        .set("Authorization", `Bearer ${token}`)
+        .set("Accept", accept);
+
+    const activeRes = await getReceipt();
+    expect(activeRes.status).toBe(409);
+    expect(activeRes.body.code).toBe("RIDE_NOT_COMPLETED");
+
+    db.updateRide({ id: rideId, status: "completed" });
+
+    const res = await getReceipt();
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      receipt_number: `RCPT-${rideId}`,
+      dropoff: { address: "Times Square" },
+      driver: { name: rideRes.body.driver.name },
+      currency: "USD",
+      fare: rideRes.body.cost,
+      tip: 0,
+      total: rideRes.body.cost,
+      payment: { method: "cash", amount_charged: rideRes.body.cost },
+    });
+    // The fare lines add up to the fare
+    const linesTotal = res.body.fare_lines.reduce((sum, line) => sum + line.amount, 0);
+    expect(linesTotal).toBeCloseTo(rideRes.body.cost, 2);
+
+    const htmlRes = await getReceipt("", "text/html");
+    expect(htmlRes.headers["content-type"]).toContain("text/html");
+    expect(htmlRes.text).toContain("Times Square");
+
+    const pdfRes = await getReceipt("?format=pdf", "text/html");
+    expect(pdfRes.headers["content-type"]).toContain("application/pdf");
+    expect(pdfRes.headers["content-disposition"]).toContain(`RCPT-${rideId}.pdf`);
+
+    const invalidRes = await getReceipt("?format=docx");
+    expect(invalidRes.status).toBe(400);
+
+    const unsupportedRes = await getReceipt("", "image/png");
+    expect(unsupportedRes.status).toBe(406);
+
+    // Only the rider gets the receipt
+    const otherRide = db.addRide({ ...db.findRideById(rideId), id: rideId + 1, userId: 0 });
+    const otherRes = await request(app)
+      .get(`/api/rides/${otherRide.id}/receipt`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(otherRes.status).toBe(403);
+  });
 });
@@ -1,7 +1,13 @@
 const ioClient = require("socket.io-client");
 const http = require("http");
+const request = require("supertest");
 const { app, setupWebsockets } = require("../app");
 const db = require("../utils/db");
+const rideStatus = require("../utils/rideStatus.utils");
+const rideEvents = require("../utils/rideEvents.utils");
+const dispatch = require("../utils/dispatch.utils");
+const driverAvailability = require("../utils/driverAvailability.utils");
+const payments = require("../utils/payment.utils");
 
 // Set testing environment
 process.env.NODE_ENV = "test";
@@ -11,6 +17,52 @@ describe("WebSocket", () => {
   let io;
   let socket;
   let testPort;
+  let user;
+  let token;
+  let driverTokens = {};
+
+  // Connect a new client to the test server
+  const connect = (auth) =>
+    ioClient(`http://localhost:${testPort}`, {
+      reconnectionDelay: 0,
+      reconnection: false,
+      forceNew: true,
+      transports: ["websocket"],
+      auth,
+    });
+
+  beforeAll(async () => {
+    // Register and log in the user the socket connects as
+    await request(app).post("/api/auth/signup").send({
+      name: "Socket User",
+      email: "socket@example.com",
+      password: "password123",
+    });
+    const loginRes = await request(app).post("/api/auth/login").send({
+      email: "socket@example.com",
+      password: "password123",
+    });
+    user = loginRes.body.user;
+    token = loginRes.body.token;
+
+    // Accounts for the two New York drivers that can take Economy rides
+    for (const driverId of [1, 6]) {
+      const email = `driver${driverId}@example.com`;
+      await request(app).post("/api/auth/signup").send({
+        name: `Driver ${driverId}`,
+        email,
+        password: "password123",
+      });
+      const driverLogin = await request(app).post("/api/auth/login").send({
+        email,
+        password: "password123",
+      });
+      const driverUser = db.findUserById(driverLogin.body.user.id);
+      driverUser.role = "driver";
+      driverUser.driverId = driverId;
+      driverTokens[driverId] = driverLogin.body.token;
+    }
+  });
 
   beforeAll((done) => {
     // Create a new HTTP server for testing
@@ -25,11 +77,7 @@ describe("WebSocket", () => {
       io = setupWebsockets(server);
 
       // Connect the client to the server
-      socket = ioClient(`http://localhost:${testPort}`, {
-        reconnectionDelay: 0,
-        forceNew: true,
-        transports: ["websocket"],
-      });
+      socket = connect({ token });
 
       socket.on("connect", () => {
         console.log("Socket connected with ID:", socket.id);
@@ -63,6 +111,8 @@ describe("WebSocket", () => {
     // Remove all previous event listeners before each test
     if (socket) {
       socket.removeAllListeners("statusUpdate");
+      socket.removeAllListeners("stopReached");
+      socket.removeAllListeners("dispatchUpdate");
       socket.removeAllListeners("error");
     }
   });
@@ -71,7 +121,7 @@ describe("WebSocket", () => {
     // Create a test ride with status already set
     const ride = {
       id: Date.now(),
-      userId: 1,
+      userId: user.id,
       destination: "123 Main St",
       status: "Driver arrived", // Pre-set status
       lastUpdated: new Date().toISOString(),
@@ -115,4 +165,203 @@ describe("WebSocket", () => {
     // Then emit the event with a non-existent ID
     socket.emit("joinRide", 9999);
   }, 10000);
+
+  it("should reject connections without a valid token", (done) => {
+    const anonymous = connect({});
+
+    anonymous.on("connect_error", (err) => {
+      expect(err.message).toBe("Unauthorized - No token");
+      expect(err.data.code).toBe("UNAUTHORIZED");
+      anonymous.close();
+      done();
+    });
+  }, 10000);
+
+  it("should refuse to join a ride booked by someone else", (done) => {
+    const ride = {
+      id: Date.now(),
+      userId: user.id + 1,
+      destination: "456 Other St",
+      status: "Driver on the way",
+      lastUpdated: new Date().toISOString(),
+    };
+    db.addRide(ride);
+
+    socket.on("statusUpdate", () => {
+      done(new Error("Should not receive another rider's ride"));
+    });
+
+    socket.emit("joinRide", ride.id, (response) => {
+      expect(response.ok).toBe(false);
+      expect(response.error.code).toBe("FORBIDDEN");
+      expect(response.error.rideId).toBe(ride.id);
+      done();
+    });
+  }, 10000);
+
+  it("should announce when a multi-stop ride reaches a stop", (done) => {
+    const ride = {
+      id: Date.now(),
+      userId: user.id,
+      destination: "123 Main St",
+      status: "Ride started",
+      lastUpdated: new Date().toISOString(),
+      stops: [
+        {
+          number: 1,
+          address: "Coffee Shop",
+          coordinates: [-74.0, 40.72],
+          status: "pending",
+          arrivedAt: null,
+          departedAt: null,
+        },
+      ],
+    };
+    db.addRide(ride);
+
+    socket.on("stopReached", (event) => {
+      expect(event.rideId).toBe(ride.id);
+      expect(event.stop.number).toBe(1);
+      expect(event.stop.status).toBe("arrived");
+      done();
+    });
+
+    socket.emit("joinRide", ride.id, (response) => {
+      expect(response.ok).toBe(true);
+      const updatedRide = db.updateRide(
+        rideStatus.applyStatusChange(ride, rideStatus.getNextAutomaticStatus(ride.status, ride))
+      );
+      expect(updatedRide.status).toBe("arrived_at_stop_1");
+      rideEvents.emitRideUpdate(io, updatedRide);
+    });
+  }, 10000);
+
+  describe("driver offers", () => {
+    let drivers = [];
+
+    // Connect a driver's app and wait until it is ready for offers
+    const connectDriver = (driverId) =>
+      new Promise((resolve, reject) => {
+        const driverSocket = connect({ token: driverTokens[driverId] });
+        drivers.push(driverSocket);
+        driverSocket.on("connect", () => resolve(driverSocket));
+        driverSocket.on("connect_error", reject);
+      });
+
+    // A ride waiting for a driver, picked up where driver 1 is parked
+    const addRide = () =>
+      db.addRide({
+        id: Date.now(),
+        userId: user.id,
+        destination: "Times Square",
+        pickup_location: "Battery Park",
+        pickup_coordinates: [-74.006, 40.7128],
+        destination_coordinates: [-73.9855, 40.758],
+        vehicle_class: "economy",
+        passengers: 1,
+        cost: 15,
+        status: "Driver on the way",
+        lastUpdated: new Date().toISOString(),
+      });
+
+    afterEach(() => {
+      drivers.forEach((driverSocket) => driverSocket.close());
+      drivers = [];
+      db.rides.forEach((ride) => dispatch.cancelDispatch(null, ride));
+      [1, 6].forEach((driverId) => driverAvailability.release(driverId));
+      delete process.env.DISPATCH_OFFER_TIMEOUT_SECONDS;
+    });
+
+    it("should cascade a declined offer to the next-nearest driver", async () => {
+      const [nearest, next] = await Promise.all([connectDriver(1), connectDriver(6)]);
+      const ride = addRide();
+
+      const progress = [];
+      socket.on("dispatchUpdate", (event) => progress.push(event.status));
+      await socket.emitWithAck("joinRide", ride.id);
+
+      // The nearest driver declines
+      const firstOffer = new Promise((resolve) => nearest.once("rideOffer", resolve));
+      const searching = dispatch.startDispatch(io, ride.id);
+      expect(searching.status).toBe("searching");
+      expect(searching.driver).toBeNull();
+
+      const offer = await firstOffer;
+      expect(offer.rideId).toBe(ride.id);
+      expect(db.findDriverById(1).availability).toBe("offered");
+      expect(offer.destination).toBe("Times Square");
+      expect(new Date(offer.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+      const secondOffer = new Promise((resolve) => next.once("rideOffer", resolve));
+      expect(await nearest.emitWithAck("declineRide", ride.id)).toEqual({ ok: true });
+      expect(db.findDriverById(1).availability).toBe("free");
+
+      // The next driver accepts and the rider sees the assignment
+      await secondOffer;
+      const assigned = new Promise((resolve) => socket.once("statusUpdate", resolve));
+      expect(await next.emitWithAck("acceptRide", ride.id)).toEqual({ ok: true });
+
+      const updatedRide = await assigned;
+      expect(updatedRide.status).toBe("Driver on the way");
+      expect(updatedRide.driver.id).toBe(6);
+      expect(updatedRide.vehicle.class).toBe("xl");
+      expect(db.findDriverById(6).availability).toBe("en_route");
+      expect(updatedRide.dispatch.attempts.map((attempt) => attempt.outcome)).toEqual([
+        "declined",
+        "accepted",
+      ]);
+      expect(progress).toEqual(["offered", "declined", "offered", "accepted"]);
+
+      // The offer is gone once the ride is taken
+      const late = await nearest.emitWithAck("acceptRide", ride.id);
+      expect(late.ok).toBe(false);
+      expect(late.error.code).toBe("NO_OFFER");
+    }, 10000);
+
+    it("should pass an unanswered offer on when it expires", async () => {
+      process.env.DISPATCH_OFFER_TIMEOUT_SECONDS = "0.2";
+      const [nearest, next] = await Promise.all([connectDriver(1), connectDriver(6)]);
+      const ride = addRide();
+
+      const revoked = new Promise((resolve) => nearest.once("offerRevoked", resolve));
+      const secondOffer = new Promise((resolve) => next.once("rideOffer", resolve));
+      dispatch.startDispatch(io, ride.id);
+
+      expect(await revoked).toEqual({ rideId: ride.id, reason: "expired" });
+      expect((await secondOffer).rideId).toBe(ride.id);
+
+      const attempts = db.findRideById(ride.id).dispatch.attempts;
+      expect(attempts[0]).toMatchObject({ driverId: 1, outcome: "expired" });
+      expect(attempts[1]).toMatchObject({ driverId: 6, outcome: null });
+    }, 10000);
+
+    it("should log a failure to end a timed-out search instead of crashing", async () => {
+      process.env.DISPATCH_SEARCH_TIMEOUT_SECONDS = "0";
+      const syncSpy = jest
+        .spyOn(payments, "syncWithRide")
+        .mockRejectedValueOnce(new Error("Gateway unavailable"));
+      const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+      try {
+        const ride = addRide();
+        dispatch.startDispatch(io, ride.id);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        expect(db.findRideById(ride.id).status).toBe("cancelled");
+        expect(errorSpy).toHaveBeenCalledWith(expect.objectContaining({ message: "Gateway unavailable" }));
+      } finally {
+        syncSpy.mockRestore();
+        errorSpy.mockRestore();
+        delete process.env.DISPATCH_SEARCH_TIMEOUT_SECONDS;
+      }
+    });
+
+    it("should only let drivers answer offers", async () => {
+      const ride = addRide();
+      dispatch.startDispatch(io, ride.id);
+
+      const response = await socket.emitWithAck("acceptRide", ride.id);
+      expect(response.ok).toBe(false);
+      expect(response.error.code).toBe("FORBIDDEN");
+    }, 10000);
+  });
 });
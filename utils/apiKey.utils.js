@@ -0,0 +1,95 @@
+/**
+ * API key utility
+ * Generates, looks up and meters API keys used by partner integrations
+ */
+
+// import dependencies
+const crypto = require("crypto");
+
+// import the in-memory database and token helpers
+const db = require("./db");
+const { hashToken } = require("./token.utils");
+
+// Permissions an API key can be granted
+const SCOPES = {
+  RIDES_CREATE: "rides:create",
+  RIDES_READ: "rides:read",
+  RIDES_CANCEL: "rides:cancel",
+  PLACES_READ: "places:read",
+};
+
+/**
+ * Create a new API key acting on behalf of a user account
+ * @param {Object} options - Key options
+ * @param {string} options.name - Human readable label (e.g. the partner name)
+ * @param {number} options.userId - Account the key books rides as
+ * @param {string[]} options.scopes - Permissions granted to the key
+ * @param {number} options.createdBy - ID of the admin creating the key
+ * @returns {{key: string, record: Object}} The raw key (only returned once) and its record
+ */
+const createApiKey = ({ name, userId, scopes, createdBy }) => {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const key = `rbk_${prefix}_${crypto.randomBytes(24).toString("hex")}`;
+
+  const record = db.addApiKey({
+    id: crypto.randomUUID(),
+    name,
+    prefix,
+    keyHash: hashToken(key),
+    userId,
+    scopes: [...new Set(scopes)],
+    createdBy,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    usage: {
+      totalRequests: 0,
+      requestsByScope: {},
+      lastUsedAt: null,
+      lastUsedIp: null,
+    },
+  });
+
+  return { key, record };
+};
+
+/**
+ * Find the stored record for a raw API key
+ * @param {string} key - The raw API key
+ * @returns {Object|undefined} The stored key record
+ */
+const findApiKey = (key) => {
+  return db.findApiKeyByHash(hashToken(key));
+};
+
+/**
+ * Record one request made with an API key
+ * @param {Object} record - The stored key record
+ * @param {string} scope - The scope the request was authorized with
+ * @param {string} ip - The client IP address
+ * @returns {void}
+ */
+const recordUsage = (record, scope, ip) => {
+  record.usage.totalRequests += 1;
+  record.usage.requestsByScope[scope] =
+    (record.usage.requestsByScope[scope] || 0) + 1;
+  record.usage.lastUsedAt = new Date().toISOString();
+  record.usage.lastUsedIp = ip;
+};
+
+/**
+ * Strip the key hash from a record before returning it
+ * @param {Object} record - The stored key record
+ * @returns {Object} The key as exposed by the API
+ */
+const toPublicApiKey = (record) => {
+  const { keyHash, ...publicKey } = record;
+  return publicKey;
+};
+
+module.exports = {
+  SCOPES,
+  createApiKey,
+  findApiKey,
+  recordUsage,
+  toPublicApiKey,
+};
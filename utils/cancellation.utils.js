@@ -0,0 +1,133 @@
+/**
+ * Cancellation utility
+ * Decides what a rider pays to cancel a ride: nothing before a driver is
+ * on the way or shortly after booking, then a fee that grows once the
+ * driver is late to be let go, has arrived, or the ride has started.
+ */
+
+// import utilities
+const rideStatus = require("./rideStatus.utils");
+const pricing = require("./pricing.utils");
+
+// Reason codes riders and drivers pick when cancelling
+const RIDER_REASONS = [
+  "changed_plans",
+  "driver_too_far",
+  "wait_too_long",
+  "wrong_pickup",
+  "found_other_transport",
+  "driver_asked_to_cancel",
+  "other",
+];
+const DRIVER_REASONS = [
+  "rider_no_show",
+  "rider_unreachable",
+  "vehicle_issue",
+  "unsafe_pickup",
+  "too_many_passengers",
+  "other",
+];
+
+// Which fee applies at each point of a ride
+const POLICIES = {
+  NO_DRIVER: "no_driver",
+  FREE_WINDOW: "free_window",
+  LATE: "late_cancellation",
+  DRIVER_ARRIVED: "driver_arrived",
+  RIDE_STARTED: "ride_started",
+};
+
+/**
+ * Read the cancellation settings from the environment
+ * @returns {Object} Cancellation settings
+ */
+const getConfig = () => ({
+  freeMinutes: parseFloat(process.env.CANCELLATION_FREE_MINUTES || 5),
+});
+
+/**
+ * Work out which part of the policy applies to cancelling a ride now
+ * @param {Object} ride - The ride being cancelled
+ * @param {number} [now=Date.now()] - Time of cancellation in milliseconds
+ * @returns {string} One of POLICIES
+ */
+const getPolicy = (ride, now = Date.now()) => {
+  const { STATUSES } = rideStatus;
+
+  // Nobody is on the way yet
+  if (!ride.driver || rideStatus.isScheduledRide(ride) || rideStatus.isSearchingRide(ride)) {
+    return POLICIES.NO_DRIVER;
+  }
+
+  if (ride.status === STATUSES.DRIVER_ON_WAY || ride.status === STATUSES.PENDING) {
+    const bookedAt = new Date(ride.dispatchedAt || ride.date || now).getTime();
+    return now - bookedAt <= getConfig().freeMinutes * 60 * 1000
+      ? POLICIES.FREE_WINDOW
+      : POLICIES.LATE;
+  }
+
+  if (ride.status === STATUSES.DRIVER_ARRIVED) return POLICIES.DRIVER_ARRIVED;
+
+  // Any later status means the rider is already in the car
+  return POLICIES.RIDE_STARTED;
+};
+
+/**
+ * Get the fee for cancelling a ride now, in the pickup city's currency
+ * @param {Object} ride - The ride being cancelled
+ * @param {number} [now=Date.now()] - Time of cancellation in milliseconds
+ * @returns {{policy: string, fee: number, currency: string}} The applicable policy and fee, capped at the fare
+ */
+const getCancellationFee = (ride, now = Date.now()) => {
+  const policy = getPolicy(ride, now);
+  const { rules } = pricing.getCityPricing(ride.pickup_coordinates);
+  const fees = rules.cancellationFee || {};
+
+  const feeByPolicy = {
+    [POLICIES.LATE]: fees.late,
+    [POLICIES.DRIVER_ARRIVED]: fees.arrived,
+    [POLICIES.RIDE_STARTED]: fees.started,
+  };
+
+  // Never charge more to cancel than the ride itself costs
+  const fee = feeByPolicy[policy] || 0;
+
+  return {
+    policy,
+    fee: typeof ride.cost === "number" ? Math.min(fee, ride.cost) : fee,
+    currency: ride.fare_breakdown?.currency || rules.currency,
+  };
+};
+
+/**
+ * Build the cancellation record stored on a cancelled ride
+ * @param {Object} ride - The ride being cancelled
+ * @param {string} cancelledBy - "rider" or "system"
+ * @param {string} reason - Reason code
+ * @param {Object} [options] - Extra details
+ * @param {string} [options.comment] - Free-text explanation
+ * @param {boolean} [options.charge=true] - Whether the policy fee applies
+ * @returns {Object} Cancellation record
+ */
+const buildCancellation = (ride, cancelledBy, reason, { comment, charge = true } = {}) => {
+  const { policy, fee, currency } = getCancellationFee(ride);
+
+  return {
+    cancelledBy,
+    reason,
+    comment: comment || null,
+    policy,
+    fee: charge ? fee : 0,
+    currency,
+    cancelledAt: new Date().toISOString(),
+  };
+};
+
+module.exports = {
+  RIDER_REASONS,
+  DRIVER_REASONS,
+  POLICIES,
+  getPolicy,
+  getCancellationFee,
+  buildCancellation,
+};
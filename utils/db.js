@@ -6,6 +6,18 @@
 const db = {
   users: [],
   rides: [],
+  refreshTokens: [],
+  // Single-use tokens (password reset, email verification, ...)
+  oneTimeTokens: [],
+  apiKeys: [],
+  sessions: [],
+  promoCodes: [],
+  // Saved cards (only the gateway's reference, never the card number)
+  paymentMethods: [],
+  // Uses of promo codes on rides (reversed when the ride is cancelled)
+  promoRedemptions: [],
+  // Revoked access token IDs (jti) mapped to their original expiry
+  revokedAccessTokens: new Map(),
   // Add default drivers distributed across continents
   drivers: [
     // North America
@@ -14,6 +26,7 @@ const db = {
       name: "John Smith",
       rating: 4.8,
       active: true,
+      availability: "free",
       location: {
         coordinates: [-74.006, 40.7128], // New York
         address: "Manhattan, New York",
@@ -22,6 +35,62 @@ const db = {
         model: "Toyota Camry",
         color: "Black",
         plate: "NYC-1234",
+        class: "economy",
+        capacity: 4,
+      },
+    },
+    {
+      id: 6,
+      name: "Maria Garcia",
+      rating: 4.8,
+      active: true,
+      availability: "free",
+      location: {
+        coordinates: [-73.9855, 40.758], // New York
+        address: "Midtown, New York",
+      },
+      vehicle: {
+        model: "Chevrolet Suburban",
+        color: "Gray",
+        plate: "NYC-5678",
+        class: "xl",
+        capacity: 6,
+      },
+    },
+    {
+      id: 7,
+      name: "David Chen",
+      rating: 4.9,
+      active: true,
+      availability: "free",
+      location: {
+        coordinates: [-73.9712, 40.7831], // New York
+        address: "Upper West Side, New York",
+      },
+      vehicle: {
+        model: "Mercedes-Benz E-Class",
+        color: "Black",
+        plate: "NYC-9012",
+        class: "premium",
+        capacity: 4,
+      },
+    },
+    {
+      id: 8,
+      name: "Samuel Okafor",
+      rating: 4.7,
+      active: true,
+      availability: "free",
+      location: {
+        coordinates: [-73.9442, 40.6782], // New York
+        address: "Brooklyn, New York",
+      },
+      vehicle: {
+        model: "Toyota Sienna (ramp)",
+        color: "White",
+        plate: "NYC-3456",
+        class: "accessible",
+        capacity: 4,
       },
     },
     // Europe
@@ -30,6 +99,7 @@ const db = {
       name: "Marie Dubois",
       rating: 4.9,
       active: true,
+      availability: "free",
       location: {
         coordinates: [2.3522, 48.8566], // Paris
         address: "Central Paris",
@@ -38,6 +108,8 @@ const db = {
         model: "Renault Clio",
         color: "Silver",
         plate: "FR-7890",
+        class: "economy",
+        capacity: 4,
       },
     },
     // Asia
@@ -46,6 +118,7 @@ const db = {
       name: "Hiroshi Tanaka",
       rating: 4.7,
       active: true,
+      availability: "free",
       location: {
         coordinates: [139.6917, 35.6895], // Tokyo
         address: "Shibuya, Tokyo",
@@ -54,6 +127,8 @@ const db = {
         model: "Honda Civic",
         color: "White",
         plate: "TK-5678",
+        class: "economy",
+        capacity: 4,
       },
     },
     // Africa
@@ -62,6 +137,7 @@ const db = {
       name: "Aisha Mensah",
       rating: 4.6,
       active: true,
+      availability: "free",
       location: {
         coordinates: [-0.187, 5.6037], // Accra
         address: "Central Accra",
@@ -70,6 +146,8 @@ const db = {
         model: "Hyundai Sonata",
         color: "Blue",
         plate: "GH-3456",
+        class: "economy",
+        capacity: 4,
       },
     },
     // Australia/Oceania
@@ -78,6 +156,7 @@ const db = {
       name: "James Wilson",
       rating: 4.9,
       active: true,
+      availability: "free",
       location: {
         coordinates: [151.2093, -33.8688], // Sydney
         address: "Sydney CBD",
@@ -86,6 +165,8 @@ const db = {
         model: "Ford Falcon",
         color: "Red",
         plate: "AU-2345",
+        class: "economy",
+        capacity: 4,
       },
     },
   ],
@@ -164,6 +245,148 @@ module.exports = {
     db.users.push(user);
     return user;
   },
+  findUserById(userId) {
+    return db.users.find((user) => user.id === userId);
+  },
+  removeUser(userId) {
+    const index = db.users.findIndex((user) => user.id === userId);
+    if (index === -1) return null;
+    return db.users.splice(index, 1)[0];
+  },
+
+  // Refresh tokens
+  addRefreshToken(refreshToken) {
+    db.refreshTokens.push(refreshToken);
+    return refreshToken;
+  },
+  findRefreshTokenByHash(tokenHash) {
+    return db.refreshTokens.find((token) => token.tokenHash === tokenHash);
+  },
+  revokeRefreshToken(id, reason = "revoked") {
+    const token = db.refreshTokens.find((t) => t.id === id);
+    if (token && !token.revokedAt) {
+      token.revokedAt = new Date().toISOString();
+      token.revokedReason = reason;
+    }
+    return token;
+  },
+  revokeRefreshTokensForSession(sessionId) {
+    const now = new Date().toISOString();
+    db.refreshTokens
+      .filter((token) => token.sessionId === sessionId && !token.revokedAt)
+      .forEach((token) => {
+        token.revokedAt = now;
+      });
+  },
+
+  // Login sessions
+  addSession(session) {
+    db.sessions.push(session);
+    return session;
+  },
+  findSessionById(sessionId) {
+    return db.sessions.find((session) => session.id === sessionId);
+  },
+  getSessionsForUser(userId) {
+    return db.sessions.filter((session) => session.userId === userId);
+  },
+
+  // Single-use tokens
+  addOneTimeToken(oneTimeToken) {
+    db.oneTimeTokens.push(oneTimeToken);
+    return oneTimeToken;
+  },
+  findOneTimeToken(purpose, tokenHash) {
+    return db.oneTimeTokens.find(
+      (token) => token.purpose === purpose && token.tokenHash === tokenHash
+    );
+  },
+  invalidateOneTimeTokens(userId, purpose) {
+    const now = new Date().toISOString();
+    db.oneTimeTokens
+      .filter(
+        (token) =>
+          token.userId === userId && token.purpose === purpose && !token.usedAt
+      )
+      .forEach((token) => {
+        token.usedAt = now;
+      });
+  },
+
+  // API keys
+  get apiKeys() {
+    return db.apiKeys;
+  },
+  addApiKey(apiKey) {
+    db.apiKeys.push(apiKey);
+    return apiKey;
+  },
+  findApiKeyById(id) {
+    return db.apiKeys.find((apiKey) => apiKey.id === id);
+  },
+  findApiKeyByHash(keyHash) {
+    return db.apiKeys.find((apiKey) => apiKey.keyHash === keyHash);
+  },
+
+  // Saved payment methods
+  addPaymentMethod(paymentMethod) {
+    db.paymentMethods.push(paymentMethod);
+    return paymentMethod;
+  },
+  getPaymentMethodsForUser(userId) {
+    return db.paymentMethods.filter((paymentMethod) => paymentMethod.userId === userId);
+  },
+  removePaymentMethod(id) {
+    const index = db.paymentMethods.findIndex((paymentMethod) => paymentMethod.id === id);
+    if (index === -1) return null;
+    return db.paymentMethods.splice(index, 1)[0];
+  },
+  removePaymentMethodsForUser(userId) {
+    db.paymentMethods = db.paymentMethods.filter((paymentMethod) => paymentMethod.userId !== userId);
+  },
+
+  // Promo codes
+  get promoCodes() {
+    return db.promoCodes;
+  },
+  addPromoCode(promoCode) {
+    db.promoCodes.push(promoCode);
+    return promoCode;
+  },
+  findPromoCodeById(id) {
+    return db.promoCodes.find((promoCode) => promoCode.id === id);
+  },
+  findPromoCodeByCode(code) {
+    return db.promoCodes.find((promoCode) => promoCode.code === code.toUpperCase());
+  },
+
+  // Promo code redemptions
+  get promoRedemptions() {
+    return db.promoRedemptions;
+  },
+  addPromoRedemption(redemption) {
+    db.promoRedemptions.push(redemption);
+    return redemption;
+  },
+  findPromoRedemptionById(id) {
+    return db.promoRedemptions.find((redemption) => redemption.id === id);
+  },
+
+  // Revoked access tokens
+  revokeAccessToken(jti, expiresAt) {
+    db.revokedAccessTokens.set(jti, expiresAt);
+  },
+  isAccessTokenRevoked(jti) {
+    const expiresAt = db.revokedAccessTokens.get(jti);
+    if (!expiresAt) return false;
+
+    // Forget entries once the token would have expired anyway
+    if (new Date(expiresAt).getTime() <= Date.now()) {
+      db.revokedAccessTokens.delete(jti);
+      return false;
+    }
+    return true;
+  },
 
   // Rides
   get rides() {
@@ -174,7 +397,6 @@ module.exports = {
     const newRide = {
       ...ride,
       date: ride.date || new Date().toISOString(),
-      cost: ride.cost || Math.floor(Math.random() * 30) + 10, // Random cost between 10-40
       distance: ride.distance || Math.floor(Math.random() * 10) + 1, // Random distance between 1-10
       pickup_location: ride.pickup_location || "Current Location",
       dropoff_location: ride.dropoff_location || ride.destination,
@@ -192,6 +414,17 @@ module.exports = {
     db.rides[index] = { ...db.rides[index], ...updatedRide };
     return db.rides[index];
   },
+  anonymiseRidesForUser(userId) {
+    const userRides = db.rides.filter((ride) => ride.userId === userId);
+    userRides.forEach((ride) => {
+      ride.userId = null;
+      ride.riderDeleted = true;
+      // Drivers saw the rider's name and guests' details on the ride
+      if (ride.rider) ride.rider = { ...ride.rider, name: null };
+      delete ride.guest;
+    });
+    return userRides.length;
+  },
   findRideById(rideId) {
     return db.rides.find((ride) => ride.id === parseInt(rideId));
   },
@@ -225,14 +458,38 @@ module.exports = {
   getActiveDrivers() {
     return db.drivers.filter((driver) => driver.active);
   },
+  findDriverById(driverId) {
+    return db.drivers.find((driver) => driver.id === parseInt(driverId));
+  },
+  updateDriver(updatedDriver) {
+    const index = db.drivers.findIndex((driver) => driver.id === updatedDriver.id);
+    if (index === -1) {
+      throw new Error("Driver not found");
+    }
+    db.drivers[index] = { ...db.drivers[index], ...updatedDriver };
+    return db.drivers[index];
+  },
+  addDriver(driver) {
+    const newDriver = {
+      ...driver,
+      id: driver.id || Math.max(0, ...db.drivers.map((d) => d.id)) + 1,
+      rating: driver.rating || 5,
+      active: driver.active || false,
+      availability: driver.availability || "free",
+    };
+
+    db.drivers.push(newDriver);
+    return newDriver;
+  },
 
   // Geographic utilities
   calculateDistance,
   calculateETA,
 
-  // Find the nearest driver to given coordinates
-  findNearestDriver(coordinates) {
-    const activeDrivers = this.getActiveDrivers();
+  // Find the nearest driver to given coordinates, optionally only among
+  // drivers matching a filter (e.g. a vehicle class)
+  findNearestDriver(coordinates, filter = () => true) {
+    const activeDrivers = this.getActiveDrivers().filter(filter);
 
     if (activeDrivers.length === 0) {
       return null;
@@ -0,0 +1,407 @@
+/**
+ * Dispatch utility
+ * Offers a ride to the nearest eligible driver over Socket.IO. The driver
+ * has a limited time to accept; declined or expired offers cascade to the
+ * next-nearest driver until someone accepts or the search times out.
+ */
+
+// import the in-memory database
+const db = require("./db");
+
+// import utilities
+const rideStatus = require("./rideStatus.utils");
+const rideEvents = require("./rideEvents.utils");
+const trip = require("./trip.utils");
+const vehicleClasses = require("./vehicleClass.utils");
+const driverAvailability = require("./driverAvailability.utils");
+const cancellation = require("./cancellation.utils");
+const promos = require("./promo.utils");
+const payments = require("./payment.utils");
+
+// Pending offer/retry timers keyed by ride ID
+const timers = new Map();
+
+/**
+ * Read the dispatch settings from the environment
+ * @returns {Object} Dispatch settings
+ */
+const getConfig = () => ({
+  mode: process.env.DISPATCH_MODE || "offer",
+  offerTimeoutSeconds: parseFloat(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || 15),
+  searchTimeoutSeconds: parseFloat(process.env.DISPATCH_SEARCH_TIMEOUT_SECONDS || 120),
+  retrySeconds: parseFloat(process.env.DISPATCH_RETRY_SECONDS || 10),
+});
+
+/**
+ * Check whether rides are offered to drivers (rather than assigned instantly)
+ * @returns {boolean} True in offer mode
+ */
+const isOfferMode = () => getConfig().mode !== "instant";
+
+/**
+ * Get the Socket.IO room a driver's devices join
+ * @param {number} driverId - Driver profile ID
+ * @returns {string} Room name
+ */
+const driverRoom = (driverId) => `driver:${driverId}`;
+
+/**
+ * Run a callback later, replacing any timer already pending for the ride
+ * @param {number} rideId - Ride ID
+ * @param {number} seconds - Delay in seconds
+ * @param {Function} callback - Function to run
+ * @returns {void}
+ */
+const schedule = (rideId, seconds, callback) => {
+  clearTimeout(timers.get(rideId));
+  const timer = setTimeout(() => {
+    timers.delete(rideId);
+    callback();
+  }, seconds * 1000);
+
+  // Never keep the process alive just for a pending offer
+  if (timer.unref) timer.unref();
+  timers.set(rideId, timer);
+};
+
+/**
+ * Tell the rider how the search for a driver is going
+ * @param {Object} io - Socket.IO server (may be missing, e.g. in tests)
+ * @param {Object} ride - The ride
+ * @param {string} status - "offered", "declined", "expired", "waiting", "accepted" or "timed_out"
+ * @returns {void}
+ */
+const emitProgress = (io, ride, status) => {
+  if (!io) return;
+  io.to(ride.id.toString()).emit("dispatchUpdate", {
+    rideId: ride.id,
+    status,
+    attempt: ride.dispatch.attempts.length,
+    expiresAt: ride.dispatch.offer?.expiresAt || null,
+  });
+};
+
+/**
+ * Cancel a ride nobody can drive, free of charge, and release its hold
+ * @param {Object} ride - The ride
+ * @param {Object} [changes] - Other fields to update at the same time
+ * @returns {Promise<Object>} The cancelled ride, with its payment settled
+ */
+const cancelForNoDriver = async (ride, changes = {}) => {
+  const updatedRide = db.updateRide({
+    ...rideStatus.applyStatusChange(ride, rideStatus.STATUSES.CANCELLED),
+    cancellation: cancellation.buildCancellation(ride, "system", "no_driver_found", { charge: false }),
+    ...changes,
+  });
+  promos.reverseRedemption(updatedRide);
+
+  // Failures to release the hold are recorded on the ride
+  return payments.syncWithRide(updatedRide);
+};
+
+/**
+ * End the search without a driver and cancel the ride
+ * @param {Object} io - Socket.IO server
+ * @param {Object} ride - The ride
+ * @returns {Promise<void>}
+ */
+const timeOut = async (io, ride) => {
+  const updatedRide = await cancelForNoDriver(ride, {
+    dispatch: { ...ride.dispatch, offer: null, endedAt: new Date().toISOString() },
+  });
+
+  emitProgress(io, updatedRide, "timed_out");
+  rideEvents.emitRideUpdate(io, updatedRide);
+};
+
+/**
+ * Offer a searching ride to the nearest free, eligible driver not asked yet
+ * @param {Object} io - Socket.IO server
+ * @param {number} rideId - Ride ID
+ * @returns {Promise<void>}
+ */
+const offerNext = async (io, rideId) => {
+  const ride = db.findRideById(rideId);
+  if (!ride || !rideStatus.isSearchingRide(ride)) return;
+
+  const config = getConfig();
+  const searchEndsAt =
+    new Date(ride.dispatch.startedAt).getTime() + config.searchTimeoutSeconds * 1000;
+  if (Date.now() >= searchEndsAt) {
+    await timeOut(io, ride);
+    return;
+  }
+
+  const asked = [
+    ...(ride.dispatch.excludedDriverIds || []),
+    ...ride.dispatch.attempts.map((attempt) => attempt.driverId),
+  ];
+  const canServe = vehicleClasses.canServe(ride.vehicle_class, ride.passengers);
+  const driver = db.findNearestDriver(
+    ride.pickup_coordinates,
+    (candidate) =>
+      canServe(candidate) && driverAvailability.isFree(candidate) && !asked.includes(candidate.id)
+  );
+
+  // Everyone nearby was asked; look again for newly available drivers later
+  if (!driver) {
+    db.updateRide({ id: ride.id, dispatch: { ...ride.dispatch, offer: null } });
+    emitProgress(io, db.findRideById(ride.id), "waiting");
+    const wait = Math.min(config.retrySeconds, (searchEndsAt - Date.now()) / 1000);
+    return schedule(ride.id, wait, () => offerNext(io, ride.id).catch(console.error));
+  }
+
+  const offeredAt = new Date();
+  const offer = {
+    driverId: driver.id,
+    offeredAt: offeredAt.toISOString(),
+    expiresAt: new Date(offeredAt.getTime() + config.offerTimeoutSeconds * 1000).toISOString(),
+  };
+  const updatedRide = db.updateRide({
+    id: ride.id,
+    dispatch: {
+      ...ride.dispatch,
+      offer,
+      attempts: [...ride.dispatch.attempts, { driverId: driver.id, offeredAt: offer.offeredAt, outcome: null }],
+    },
+  });
+
+  // Hold the driver while they decide, so no other ride is offered to them
+  driverAvailability.setAvailability(driver.id, driverAvailability.AVAILABILITY.OFFERED);
+
+  if (io) {
+    io.to(driverRoom(driver.id)).emit("rideOffer", {
+      rideId: ride.id,
+      pickup_location: ride.pickup_location,
+      pickup_coordinates: ride.pickup_coordinates,
+      destination: ride.destination,
+      destination_coordinates: ride.destination_coordinates,
+      stops: ride.stops || [],
+      vehicle_class: ride.vehicle_class,
+      passengers: ride.passengers,
+      rider: ride.rider || null,
+      cost: ride.cost,
+      distance_to_pickup: driver.distance,
+      expiresAt: offer.expiresAt,
+    });
+  }
+  emitProgress(io, updatedRide, "offered");
+
+  schedule(ride.id, config.offerTimeoutSeconds, () =>
+    closeOffer(io, ride.id, driver.id, "expired").catch(console.error)
+  );
+};
+
+/**
+ * Record how the current offer ended and move on to the next driver
+ * @param {Object} io - Socket.IO server
+ * @param {number} rideId - Ride ID
+ * @param {number} driverId - Driver the offer was made to
+ * @param {string} outcome - "declined" or "expired"
+ * @returns {Promise<void>}
+ */
+const closeOffer = async (io, rideId, driverId, outcome) => {
+  const ride = db.findRideById(rideId);
+  if (!ride || !rideStatus.isSearchingRide(ride)) return;
+  if (ride.dispatch.offer?.driverId !== driverId) return;
+
+  const updatedRide = db.updateRide({
+    id: ride.id,
+    dispatch: {
+      ...ride.dispatch,
+      offer: null,
+      attempts: ride.dispatch.attempts.map((attempt) =>
+        attempt.driverId === driverId && !attempt.outcome
+          ? { ...attempt, outcome, respondedAt: new Date().toISOString() }
+          : attempt
+      ),
+    },
+  });
+
+  driverAvailability.release(driverId);
+
+  if (io && outcome === "expired") {
+    io.to(driverRoom(driverId)).emit("offerRevoked", { rideId, reason: "expired" });
+  }
+  emitProgress(io, updatedRide, outcome);
+
+  await offerNext(io, rideId);
+};
+
+/**
+ * Put a ride into the searching status and make the first offer
+ * @param {Object} io - Socket.IO server (may be missing, e.g. in tests)
+ * @param {number} rideId - Ride ID
+ * @param {Object} [options] - Search options
+ * @param {number[]} [options.excludedDriverIds=[]] - Drivers never to offer the ride to
+ * @returns {Object} The searching ride
+ */
+const startDispatch = (io, rideId, { excludedDriverIds = [] } = {}) => {
+  const ride = db.findRideById(rideId);
+
+  db.updateRide({
+    ...rideStatus.applyStatusChange(ride, rideStatus.STATUSES.SEARCHING),
+    driver: null,
+    vehicle: null,
+    estimated_arrival: null,
+    dispatch: { startedAt: new Date().toISOString(), offer: null, attempts: [], excludedDriverIds },
+  });
+
+  offerNext(io, rideId).catch(console.error);
+  return db.findRideById(rideId);
+};
+
+/**
+ * Assign the nearest free, eligible driver to a ride straight away
+ * (instant dispatch mode)
+ * @param {number} rideId - Ride ID
+ * @returns {Object|null} The updated ride, or null if no driver is available
+ */
+const assignNearest = (rideId) => {
+  const ride = db.findRideById(rideId);
+  const assignment = trip.assignDriver(ride.pickup_coordinates, {
+    vehicleClass: ride.vehicle_class,
+    passengers: ride.passengers,
+  });
+  if (!assignment) return null;
+
+  const updatedRide = db.updateRide({
+    ...rideStatus.applyStatusChange(ride, rideStatus.STATUSES.DRIVER_ON_WAY),
+    driver: assignment.driver,
+    vehicle: assignment.vehicle,
+    eta: assignment.eta,
+    estimated_arrival: assignment.estimated_arrival,
+  });
+  driverAvailability.syncWithRide(updatedRide);
+
+  return updatedRide;
+};
+
+/**
+ * Find another driver for a ride its driver has pulled out of. The
+ * driver who cancelled is never given the ride again.
+ * @param {Object} io - Socket.IO server (may be missing, e.g. in tests)
+ * @param {number} rideId - Ride ID
+ * @param {number} driverId - Driver who cancelled
+ * @returns {Promise<Object>} The ride, searching or reassigned (cancelled if nobody is available)
+ */
+const redispatch = async (io, rideId, driverId) => {
+  let updatedRide;
+
+  if (isOfferMode()) {
+    const excludedDriverIds = [...(db.findRideById(rideId).dispatch?.excludedDriverIds || []), driverId];
+    updatedRide = startDispatch(io, rideId, { excludedDriverIds });
+  } else {
+    // The cancelling driver is still busy here, so they cannot be picked again
+    updatedRide = assignNearest(rideId) || (await cancelForNoDriver(db.findRideById(rideId)));
+  }
+
+  driverAvailability.release(driverId);
+  rideEvents.emitRideUpdate(io, updatedRide);
+  return updatedRide;
+};
+
+/**
+ * Check that a driver holds the current offer for a ride
+ * @param {Object} ride - The ride
+ * @param {number} driverId - Driver responding to the offer
+ * @returns {Object|null} Error ({code, message}), or null if the offer is theirs
+ */
+const checkOffer = (ride, driverId) => {
+  if (!ride) {
+    return { code: "RIDE_NOT_FOUND", message: "Ride not found" };
+  }
+  if (!rideStatus.isSearchingRide(ride) || ride.dispatch?.offer?.driverId !== driverId) {
+    return { code: "NO_OFFER", message: "You do not have an open offer for this ride" };
+  }
+  if (new Date(ride.dispatch.offer.expiresAt).getTime() <= Date.now()) {
+    return { code: "OFFER_EXPIRED", message: "The offer has expired" };
+  }
+  return null;
+};
+
+/**
+ * Accept a ride offer and assign the driver
+ * @param {Object} io - Socket.IO server
+ * @param {number} rideId - Ride ID
+ * @param {number} driverId - Driver accepting the offer
+ * @returns {{ok: boolean, ride?: Object, error?: Object}} The outcome
+ */
+const acceptOffer = (io, rideId, driverId) => {
+  const ride = db.findRideById(rideId);
+  const error = checkOffer(ride, driverId);
+  if (error) return { ok: false, error };
+
+  clearTimeout(timers.get(rideId));
+  timers.delete(rideId);
+
+  const driver = db.findDriverById(driverId);
+  const assignment = trip.describeAssignment(driver, ride.pickup_coordinates);
+  const updatedRide = db.updateRide({
+    ...rideStatus.applyStatusChange(ride, rideStatus.STATUSES.DRIVER_ON_WAY),
+    driver: assignment.driver,
+    vehicle: assignment.vehicle,
+    eta: assignment.eta,
+    estimated_arrival: assignment.estimated_arrival,
+    dispatch: {
+      ...ride.dispatch,
+      offer: null,
+      endedAt: new Date().toISOString(),
+      attempts: ride.dispatch.attempts.map((attempt) =>
+        attempt.driverId === driverId && !attempt.outcome
+          ? { ...attempt, outcome: "accepted", respondedAt: new Date().toISOString() }
+          : attempt
+      ),
+    },
+  });
+
+  driverAvailability.syncWithRide(updatedRide);
+
+  emitProgress(io, updatedRide, "accepted");
+  rideEvents.emitRideUpdate(io, updatedRide);
+  return { ok: true, ride: updatedRide };
+};
+
+/**
+ * Decline a ride offer, passing it to the next driver
+ * @param {Object} io - Socket.IO server
+ * @param {number} rideId - Ride ID
+ * @param {number} driverId - Driver declining the offer
+ * @returns {{ok: boolean, error?: Object}} The outcome
+ */
+const declineOffer = (io, rideId, driverId) => {
+  const error = checkOffer(db.findRideById(rideId), driverId);
+  if (error) return { ok: false, error };
+
+  closeOffer(io, rideId, driverId, "declined").catch(console.error);
+  return { ok: true };
+};
+
+/**
+ * Stop searching for a driver (e.g. when the rider cancels)
+ * @param {Object} io - Socket.IO server
+ * @param {Object} ride - The ride, as it was before it was cancelled
+ * @returns {void}
+ */
+const cancelDispatch = (io, ride) => {
+  clearTimeout(timers.get(ride.id));
+  timers.delete(ride.id);
+
+  const driverId = ride.dispatch?.offer?.driverId;
+  driverAvailability.release(driverId);
+  if (io && driverId) {
+    io.to(driverRoom(driverId)).emit("offerRevoked", { rideId: ride.id, reason: "cancelled" });
+  }
+};
+
+module.exports = {
+  isOfferMode,
+  driverRoom,
+  startDispatch,
+  assignNearest,
+  redispatch,
+  cancelForNoDriver,
+  acceptOffer,
+  declineOffer,
+  cancelDispatch,
+};
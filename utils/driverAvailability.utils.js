@@ -0,0 +1,108 @@
+/**
+ * Driver availability utility
+ * Tracks whether each driver is free, holding a ride offer, on the way to a
+ * pickup or on a trip, so dispatch never gives one driver two rides at once.
+ * Availability follows the status of the driver's current ride.
+ */
+
+// import the in-memory database
+const db = require("./db");
+
+// import utilities
+const rideStatus = require("./rideStatus.utils");
+
+// Availability constants
+const AVAILABILITY = {
+  FREE: "free",
+  OFFERED: "offered",
+  EN_ROUTE: "en_route",
+  ON_TRIP: "on_trip",
+};
+
+/**
+ * Check whether a driver can be given a new ride
+ * @param {Object} driver - The driver
+ * @returns {boolean} True if the driver is free (drivers never tracked count as free)
+ */
+const isFree = (driver) => {
+  return (driver.availability || AVAILABILITY.FREE) === AVAILABILITY.FREE;
+};
+
+/**
+ * Get the availability of a driver assigned to a ride in a given status
+ * @param {string} status - The ride status
+ * @returns {string} Driver availability
+ */
+const getAvailabilityForStatus = (status) => {
+  const { STATUSES } = rideStatus;
+
+  if (rideStatus.getStopNumber(status)) return AVAILABILITY.ON_TRIP;
+
+  switch (status) {
+    case STATUSES.SEARCHING:
+      return AVAILABILITY.OFFERED;
+    case STATUSES.DRIVER_ON_WAY:
+    case STATUSES.DRIVER_ARRIVED:
+    case STATUSES.PENDING:
+    case STATUSES.EN_ROUTE:
+      return AVAILABILITY.EN_ROUTE;
+    case STATUSES.RIDE_STARTED:
+    case STATUSES.IN_PROGRESS:
+      return AVAILABILITY.ON_TRIP;
+    default:
+      // Completed (including "Ride completed") and cancelled rides free the driver
+      return AVAILABILITY.FREE;
+  }
+};
+
+/**
+ * Set a driver's availability
+ * @param {number} driverId - Driver profile ID
+ * @param {string} availability - One of AVAILABILITY
+ * @returns {Object|null} The updated driver, or null if there is no such driver
+ */
+const setAvailability = (driverId, availability) => {
+  if (!driverId || !db.findDriverById(driverId)) return null;
+  return db.updateDriver({ id: driverId, availability });
+};
+
+/**
+ * Make a driver free for new rides again
+ * @param {number} driverId - Driver profile ID
+ * @returns {Object|null} The updated driver, or null if there is no such driver
+ */
+const release = (driverId) => setAvailability(driverId, AVAILABILITY.FREE);
+
+/**
+ * Bring the assigned driver's availability in line with a ride's status.
+ * Call this after every status change of a ride.
+ * @param {Object} ride - The ride, with its new status
+ * @returns {void}
+ */
+const syncWithRide = (ride) => {
+  if (!ride.driver) return;
+  setAvailability(ride.driver.id, getAvailabilityForStatus(ride.status));
+};
+
+/**
+ * Check whether a driver has a ride they are driving or have been offered
+ * @param {number} driverId - Driver profile ID
+ * @returns {boolean} True if any ride that has not ended is assigned or offered to the driver
+ */
+const hasAssignedRide = (driverId) => {
+  return db.rides.some(
+    (ride) =>
+      rideStatus.isActiveRide(ride) &&
+      (ride.driver?.id === driverId || ride.dispatch?.offer?.driverId === driverId)
+  );
+};
+
+module.exports = {
+  AVAILABILITY,
+  isFree,
+  getAvailabilityForStatus,
+  setAvailability,
+  release,
+  syncWithRide,
+  hasAssignedRide,
+};
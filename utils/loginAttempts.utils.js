@@ -0,0 +1,165 @@
+/**
+ * Login attempt tracking utility
+ * Counts failed logins per account and per IP address, applies an
+ * exponential backoff and decides when an account must be locked
+ */
+
+// Failed attempt counters keyed by "account:<email>" or "ip:<address>"
+const attempts = new Map();
+
+/**
+ * Read the throttling settings from the environment
+ * @returns {Object} Throttling settings
+ */
+const getConfig = () => ({
+  accountFreeAttempts: parseInt(process.env.LOGIN_BACKOFF_FREE_ATTEMPTS || 3),
+  ipFreeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS || 20),
+  backoffBaseSeconds: parseFloat(process.env.LOGIN_BACKOFF_BASE_SECONDS || 1),
+  backoffMaxSeconds: parseFloat(process.env.LOGIN_BACKOFF_MAX_SECONDS || 300),
+  lockThreshold: parseInt(process.env.LOGIN_LOCK_THRESHOLD || 10),
+  lockMinutes: parseFloat(process.env.LOGIN_LOCK_MINUTES || 15),
+  windowMinutes: parseFloat(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15),
+});
+
+/**
+ * Build the counter key for an account
+ * @param {string} email - The email used to log in
+ * @returns {string} Counter key
+ */
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+
+/**
+ * Build the counter key for an IP address
+ * @param {string} ip - The client IP address
+ * @returns {string} Counter key
+ */
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Get the live counter for a key, forgetting it once the window has passed
+ * @param {string} key - Counter key
+ * @returns {Object|undefined} The counter
+ */
+const getEntry = (key) => {
+  const entry = attempts.get(key);
+  if (!entry) return undefined;
+
+  const windowMs = getConfig().windowMinutes * 60 * 1000;
+  const blocked = entry.blockedUntil && entry.blockedUntil > Date.now();
+  if (!blocked && Date.now() - entry.lastFailureAt > windowMs) {
+    attempts.delete(key);
+    return undefined;
+  }
+  return entry;
+};
+
+/**
+ * Record a failed attempt and apply the exponential backoff
+ * @param {string} key - Counter key
+ * @param {number} freeAttempts - Failures allowed before backoff starts
+ * @returns {Object} The updated counter
+ */
+const recordFailure = (key, freeAttempts) => {
+  const { backoffBaseSeconds, backoffMaxSeconds } = getConfig();
+  const entry = getEntry(key) || { failures: 0, blockedUntil: null };
+
+  entry.failures += 1;
+  entry.lastFailureAt = Date.now();
+
+  // Double the wait for every failure past the free attempts
+  if (entry.failures > freeAttempts) {
+    const delaySeconds = Math.min(
+      backoffMaxSeconds,
+      backoffBaseSeconds * Math.pow(2, entry.failures - freeAttempts - 1)
+    );
+    entry.blockedUntil = Date.now() + delaySeconds * 1000;
+  }
+
+  attempts.set(key, entry);
+  return entry;
+};
+
+/**
+ * Get the number of seconds until a timestamp, rounded up
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {number} Seconds to wait (at least 1)
+ */
+const secondsUntil = (timestamp) => {
+  return Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+};
+
+/**
+ * Check whether a login attempt must wait because of earlier failures
+ * @param {string} email - The email used to log in
+ * @param {string} ip - The client IP address
+ * @returns {number} Seconds to wait, or 0 if the attempt may proceed
+ */
+const getRetryAfter = (email, ip) => {
+  const waits = [getEntry(ipKey(ip)), getEntry(accountKey(email))]
+    .filter((entry) => entry && entry.blockedUntil > Date.now())
+    .map((entry) => secondsUntil(entry.blockedUntil));
+
+  return waits.length ? Math.max(...waits) : 0;
+};
+
+/**
+ * Get the number of seconds an account remains locked
+ * @param {Object} user - The stored user
+ * @returns {number} Seconds until the lock expires, or 0 if not locked
+ */
+const getLockRemaining = (user) => {
+  if (!user || !user.lockedUntil) return 0;
+
+  const lockedUntil = new Date(user.lockedUntil).getTime();
+  return lockedUntil > Date.now() ? secondsUntil(lockedUntil) : 0;
+};
+
+/**
+ * Record a failed login and lock the account once the threshold is reached
+ * @param {string} email - The email used to log in
+ * @param {string} ip - The client IP address
+ * @param {Object} [user] - The matching user, if the email exists
+ * @returns {{locked: boolean, retryAfter: number}} Outcome of the failure
+ */
+const registerFailure = (email, ip, user) => {
+  const config = getConfig();
+
+  recordFailure(ipKey(ip), config.ipFreeAttempts);
+  const entry = recordFailure(accountKey(email), config.accountFreeAttempts);
+
+  if (user && entry.failures >= config.lockThreshold) {
+    const lockedUntil = Date.now() + config.lockMinutes * 60 * 1000;
+    user.lockedUntil = new Date(lockedUntil).toISOString();
+    attempts.delete(accountKey(email));
+    return { locked: true, retryAfter: secondsUntil(lockedUntil) };
+  }
+
+  return { locked: false, retryAfter: getRetryAfter(email, ip) };
+};
+
+/**
+ * Forget the failed attempts of an account after a successful login
+ * @param {string} email - The email used to log in
+ * @returns {void}
+ */
+const registerSuccess = (email) => {
+  attempts.delete(accountKey(email));
+};
+
+/**
+ * Lift the lock and clear the failure counter of an account
+ * @param {Object} user - The stored user
+ * @returns {void}
+ */
+const unlockAccount = (user) => {
+  user.lockedUntil = null;
+  attempts.delete(accountKey(user.email));
+};
+
+module.exports = {
+  getRetryAfter,
+  getLockRemaining,
+  registerFailure,
+  registerSuccess,
+  unlockAccount,
+};
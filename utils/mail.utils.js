@@ -0,0 +1,162 @@
+/**
+ * Mail utility
+ * Sends emails through a pluggable transport
+ *
+ * A transport is any object with an async `send(message)` method. The
+ * transport is picked from MAIL_TRANSPORT ("console", "file" or "memory")
+ * and can be replaced at runtime with setTransport().
+ */
+
+// import dependencies
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Transport that prints every message to the console
+ * @returns {Object} Console transport
+ */
+const createConsoleTransport = () => ({
+  name: "console",
+  async send(message) {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+});
+
+/**
+ * Transport that writes every message as a JSON file in a directory
+ * @param {string} [dir] - Directory to write to (defaults to MAIL_FILE_DIR or ./mail)
+ * @returns {Object} File transport
+ */
+const createFileTransport = (dir = process.env.MAIL_FILE_DIR || "mail") => ({
+  name: "file",
+  dir,
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify(message, null, 2)
+    );
+  },
+});
+
+/**
+ * Transport that keeps every message in memory, for tests
+ * @returns {Object} Memory transport with an `outbox` array
+ */
+const createMemoryTransport = () => {
+  const outbox = [];
+  return {
+    name: "memory",
+    outbox,
+    async send(message) {
+      outbox.push(message);
+    },
+  };
+};
+
+/**
+ * Build the transport named by the MAIL_TRANSPORT environment variable
+ * @returns {Object} The configured transport
+ */
+const createDefaultTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case "file":
+      return createFileTransport();
+    case "memory":
+      return createMemoryTransport();
+    default:
+      return createConsoleTransport();
+  }
+};
+
+let transport = null;
+
+/**
+ * Get the active transport, creating the default one on first use
+ * @returns {Object} The active transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport
+ * @param {Object} newTransport - Object with an async `send(message)` method
+ * @returns {Object} The new transport
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+  return transport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - The message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<Object>} The message that was sent
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: process.env.MAIL_FROM || "no-reply@ridebooking.local",
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString(),
+  };
+
+  await getTransport().send(message);
+  return message;
+};
+
+/**
+ * Build an absolute link from a base URL, a path and query parameters
+ * @param {string} base - Base URL
+ * @param {string} pathname - Path of the page
+ * @param {Object} query - Query string parameters
+ * @returns {string} The absolute link
+ */
+const buildLink = (base, pathname, query = {}) => {
+  const url = new URL(pathname, base);
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Build a link into the client application
+ * @param {string} pathname - Path of the client page
+ * @param {Object} query - Query string parameters
+ * @returns {string} The absolute link
+ */
+const buildAppLink = (pathname, query = {}) => {
+  return buildLink(process.env.FRONTEND_URL || "http://localhost:3000", pathname, query);
+};
+
+/**
+ * Build a link to an endpoint of this API
+ * @param {string} pathname - Path of the endpoint
+ * @param {Object} query - Query string parameters
+ * @returns {string} The absolute link
+ */
+const buildApiLink = (pathname, query = {}) => {
+  const base = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return buildLink(base, pathname, query);
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createMemoryTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  buildAppLink,
+  buildApiLink,
+};
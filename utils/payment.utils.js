@@ -0,0 +1,368 @@
+/**
+ * Payment utility
+ * Manages riders' saved cards and the payment of each ride: the fare is
+ * authorized (held) when the ride is booked, captured when the ride is
+ * completed, and released or partly captured (the cancellation fee) when
+ * it is cancelled. Rides paid in cash are never sent to the gateway.
+ */
+
+// import the in-memory database
+const db = require("./db");
+
+// import utilities
+const rideStatus = require("./rideStatus.utils");
+const paymentGateway = require("./paymentGateway.utils");
+
+// Where a ride's payment stands
+const PAYMENT_STATUSES = {
+  AUTHORIZED: "authorized",
+  CAPTURED: "captured",
+  RELEASED: "released",
+  FAILED: "failed",
+  CASH: "cash",
+};
+
+// Pseudo payment method for riders who pay the driver directly
+const CASH = "cash";
+
+// Rides whose payment is being settled, so a hold is never settled twice
+const settling = new Set();
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - The amount
+ * @returns {number} The amount rounded to two decimals
+ */
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Create an error with a machine readable `code`, like the gateway's
+ * @param {string} code - Machine readable failure code
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code`
+ */
+const paymentError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Save a card for a user from a token the client got from the gateway
+ * @param {number} userId - The card owner
+ * @param {string} token - Card token
+ * @returns {Promise<Object>} The saved payment method (the first one becomes the default)
+ * @throws {Error} With `code` from the gateway (e.g. INVALID_CARD_TOKEN)
+ */
+const addPaymentMethod = async (userId, token) => {
+  const card = await paymentGateway.getGateway().createPaymentMethod(token);
+
+  return db.addPaymentMethod({
+    id: card.id,
+    userId,
+    brand: card.brand,
+    last4: card.last4,
+    expMonth: card.expMonth,
+    expYear: card.expYear,
+    isDefault: db.getPaymentMethodsForUser(userId).length === 0,
+    createdAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Make one of a user's cards the one rides are charged to by default
+ * @param {number} userId - The card owner
+ * @param {string} paymentMethodId - The card
+ * @returns {Object|null} The new default, or null if the user has no such card
+ */
+const setDefaultPaymentMethod = (userId, paymentMethodId) => {
+  const paymentMethods = db.getPaymentMethodsForUser(userId);
+  const paymentMethod = paymentMethods.find((method) => method.id === paymentMethodId);
+  if (!paymentMethod) return null;
+
+  paymentMethods.forEach((method) => {
+    method.isDefault = method.id === paymentMethodId;
+  });
+  return paymentMethod;
+};
+
+/**
+ * Remove a saved card, passing the default on to the next card
+ * @param {number} userId - The card owner
+ * @param {string} paymentMethodId - The card
+ * @returns {Object|null} The removed card, or null if the user has no such card
+ */
+const removePaymentMethod = (userId, paymentMethodId) => {
+  const paymentMethod = db
+    .getPaymentMethodsForUser(userId)
+    .find((method) => method.id === paymentMethodId);
+  if (!paymentMethod) return null;
+
+  db.removePaymentMethod(paymentMethodId);
+  const [next] = db.getPaymentMethodsForUser(userId);
+  if (paymentMethod.isDefault && next) next.isDefault = true;
+  return paymentMethod;
+};
+
+/**
+ * Check whether a card holds money for a ride that is not finished
+ * @param {string} paymentMethodId - The card
+ * @returns {boolean} True if an active ride has an open authorization on it
+ */
+const isPaymentMethodInUse = (paymentMethodId) => {
+  return db.rides.some(
+    (ride) =>
+      ride.payment?.paymentMethodId === paymentMethodId &&
+      ride.payment.status === PAYMENT_STATUSES.AUTHORIZED &&
+      rideStatus.isActiveRide(ride)
+  );
+};
+
+/**
+ * Pick the payment method for a booking
+ * @param {number} userId - The rider
+ * @param {string} [paymentMethodId] - "cash", a saved card, or nothing for the default
+ * @returns {string|Object|null} CASH, the card, or null if the card was not found
+ */
+const resolvePaymentMethod = (userId, paymentMethodId) => {
+  if (paymentMethodId === CASH) return CASH;
+
+  const paymentMethods = db.getPaymentMethodsForUser(userId);
+  if (paymentMethodId) {
+    return paymentMethods.find((method) => method.id === paymentMethodId) || null;
+  }
+
+  // Riders without a saved card pay cash
+  return paymentMethods.find((method) => method.isDefault) || CASH;
+};
+
+/**
+ * Hold the fare of a new ride on the rider's card
+ * @param {string|Object} paymentMethod - CASH or a saved card (see resolvePaymentMethod)
+ * @param {Object} fareBreakdown - The ride's fare; `total` is held in its `currency`
+ * @param {number} rideId - The ride, as the gateway reference
+ * @returns {Promise<Object>} The ride's `payment` record
+ * @throws {Error} With `code` from the gateway when the card is declined
+ */
+const authorizeRide = async (paymentMethod, fareBreakdown, rideId) => {
+  if (paymentMethod === CASH) {
+    return {
+      method: CASH,
+      status: PAYMENT_STATUSES.CASH,
+      currency: fareBreakdown.currency,
+    };
+  }
+
+  const authorization = await paymentGateway.getGateway().authorize({
+    paymentMethodId: paymentMethod.id,
+    amount: fareBreakdown.total,
+    currency: fareBreakdown.currency,
+    reference: `ride_${rideId}`,
+  });
+
+  return {
+    method: "card",
+    paymentMethodId: paymentMethod.id,
+    card: { brand: paymentMethod.brand, last4: paymentMethod.last4 },
+    status: PAYMENT_STATUSES.AUTHORIZED,
+    authorizationId: authorization.id,
+    authorizedAmount: authorization.amount,
+    capturedAmount: 0,
+    currency: fareBreakdown.currency,
+    authorizedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Move a ride's hold to its new fare (e.g. after stops were added or the
+ * route of a scheduled ride changed): the new amount is authorized first,
+ * then the old hold is released. If the card declines the new amount, the
+ * old hold stays in place and the error is thrown. The ride is locked
+ * against settling meanwhile; should it end anyway, the new hold is dropped
+ * and the ride is settled on its old one.
+ * @param {Object} ride - The ride
+ * @param {number} amount - The new fare
+ * @returns {Promise<Object|undefined>} The ride's updated `payment`
+ * @throws {Error} With `code` from the gateway when the card is declined,
+ *   RIDE_SETTLING when the hold is being settled or RIDE_ENDED when the ride ended
+ */
+const adjustAuthorization = async (ride, amount) => {
+  const payment = db.findRideById(ride.id)?.payment || ride.payment;
+  if (payment?.status !== PAYMENT_STATUSES.AUTHORIZED || amount === payment.authorizedAmount) {
+    return payment;
+  }
+  if (settling.has(ride.id)) {
+    throw paymentError("RIDE_SETTLING", "The ride's payment is being settled");
+  }
+
+  const gateway = paymentGateway.getGateway();
+  settling.add(ride.id);
+  let authorization;
+  let declined = null;
+  try {
+    authorization = await gateway.authorize({
+      paymentMethodId: payment.paymentMethodId,
+      amount,
+      currency: payment.currency,
+      reference: `ride_${ride.id}`,
+    });
+  } catch (error) {
+    declined = error;
+  } finally {
+    settling.delete(ride.id);
+  }
+
+  // Settling was skipped while the lock was held, so catch up on it
+  const storedRide = db.findRideById(ride.id);
+  if (!storedRide || !rideStatus.isActiveRide(storedRide)) {
+    if (authorization) await gateway.release(authorization.id).catch(() => {});
+    if (storedRide) await syncWithRide(storedRide);
+    throw paymentError("RIDE_ENDED", "The ride ended before its fare could change");
+  }
+  if (declined) throw declined;
+
+  try {
+    await gateway.release(payment.authorizationId);
+  } catch (error) {
+    console.error(`Releasing the old hold of ride ${ride.id} failed:`, error.message);
+  }
+
+  return {
+    ...payment,
+    authorizationId: authorization.id,
+    authorizedAmount: authorization.amount,
+    authorizedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Charge an amount against a ride's hold. When the fare grew beyond the
+ * hold (e.g. stops were added), the full amount is authorized and charged
+ * afresh and the old hold is dropped.
+ * @param {number} rideId - Ride ID, the reference of a new authorization
+ * @param {Object} payment - The ride's stored payment, holding the current authorization
+ * @param {number} amount - Amount to charge
+ * @returns {Promise<Object>} Payment fields to update
+ */
+const captureAmount = async (rideId, payment, amount) => {
+  const gateway = paymentGateway.getGateway();
+  let { authorizationId } = payment;
+
+  if (amount > payment.authorizedAmount) {
+    let authorization;
+    try {
+      authorization = await gateway.authorize({
+        paymentMethodId: payment.paymentMethodId,
+        amount,
+        currency: payment.currency,
+        reference: `ride_${rideId}`,
+      });
+    } catch (error) {
+      // Nothing can be charged, so do not leave the rider's money held
+      await gateway.release(authorizationId).catch(() => {});
+      throw error;
+    }
+    await gateway.release(authorizationId);
+    authorizationId = authorization.id;
+  }
+
+  await gateway.capture(authorizationId, amount);
+  return {
+    authorizationId,
+    status: PAYMENT_STATUSES.CAPTURED,
+    capturedAmount: amount,
+    capturedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Charge a tip on a completed ride to the card the ride was paid with, as a
+ * charge of its own so the fare's capture is left as it is. Tips on cash
+ * rides are paid to the driver directly and only recorded.
+ * @param {Object} ride - The completed ride
+ * @param {number} amount - The tip
+ * @returns {Promise<Object>} The tip's payment: `{ amount, status, ... }`
+ * @throws {Error} With `code` from the gateway when the card is declined
+ */
+const chargeTip = async (ride, amount) => {
+  const { payment } = ride;
+  if (!payment || payment.method === CASH) {
+    return { amount, status: PAYMENT_STATUSES.CASH };
+  }
+
+  const gateway = paymentGateway.getGateway();
+  const authorization = await gateway.authorize({
+    paymentMethodId: payment.paymentMethodId,
+    amount,
+    currency: payment.currency,
+    reference: `ride_${ride.id}_tip`,
+  });
+  await gateway.capture(authorization.id, amount);
+  return {
+    amount,
+    status: PAYMENT_STATUSES.CAPTURED,
+    authorizationId: authorization.id,
+    capturedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Settle a ride's hold once the ride has ended: capture the final fare of
+ * a completed ride, or the cancellation fee (releasing the rest) of a
+ * cancelled one. Failures are recorded on the ride instead of thrown.
+ * Call this after every status change of a ride.
+ * @param {Object} ride - The ride, with its new status
+ * @returns {Promise<Object>} The ride with its updated `payment`
+ */
+const syncWithRide = async (ride) => {
+  // The stored payment is the latest, should the ride passed in be older
+  const storedRide = db.findRideById(ride.id);
+  const payment = storedRide?.payment || ride.payment;
+  const { STATUSES } = rideStatus;
+  if (payment?.status !== PAYMENT_STATUSES.AUTHORIZED || settling.has(ride.id)) return ride;
+  if (ride.status !== STATUSES.COMPLETED && ride.status !== STATUSES.CANCELLED) return ride;
+
+  settling.add(ride.id);
+  let changes;
+  try {
+    if (ride.status === STATUSES.COMPLETED) {
+      changes = await captureAmount(ride.id, payment, ride.cost);
+    } else if (ride.status === STATUSES.CANCELLED) {
+      const fee = toMoney(ride.cancellation?.fee || 0);
+      if (fee > 0) {
+        changes = await captureAmount(ride.id, payment, fee);
+      } else {
+        await paymentGateway.getGateway().release(payment.authorizationId);
+        changes = { status: PAYMENT_STATUSES.RELEASED, releasedAt: new Date().toISOString() };
+      }
+    }
+  } catch (error) {
+    console.error(`Payment for ride ${ride.id} failed:`, error.message);
+    changes = {
+      status: PAYMENT_STATUSES.FAILED,
+      failureCode: error.code || "PAYMENT_FAILED",
+      failedAt: new Date().toISOString(),
+    };
+  } finally {
+    settling.delete(ride.id);
+  }
+
+  const updatedPayment = { ...payment, ...changes };
+  return storedRide
+    ? db.updateRide({ id: ride.id, payment: updatedPayment })
+    : { ...ride, payment: updatedPayment };
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  CASH,
+  addPaymentMethod,
+  setDefaultPaymentMethod,
+  removePaymentMethod,
+  isPaymentMethodInUse,
+  resolvePaymentMethod,
+  authorizeRide,
+  adjustAuthorization,
+  chargeTip,
+  syncWithRide,
+};
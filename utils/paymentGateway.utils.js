@@ -0,0 +1,160 @@
+/**
+ * Payment gateway utility
+ * Talks to the card processor through a pluggable gateway
+ *
+ * A gateway is any object with these async methods:
+ * - `createPaymentMethod(token)` turns a card token from the client into
+ *   `{ id, brand, last4, expMonth, expYear }`
+ * - `authorize({ paymentMethodId, amount, currency, reference })` places a
+ *   hold and resolves to `{ id, amount, currency }`
+ * - `capture(authorizationId, amount)` charges up to the held amount
+ * - `release(authorizationId)` drops the hold
+ * Failures reject with an Error carrying a `code`. The gateway is picked
+ * from PAYMENT_GATEWAY (only "fake" is built in) and can be replaced at
+ * runtime with setGateway().
+ */
+
+// import dependencies
+const crypto = require("crypto");
+
+// Test card tokens understood by the fake gateway
+const TEST_CARDS = {
+  tok_visa: { brand: "visa", last4: "4242" },
+  tok_mastercard: { brand: "mastercard", last4: "4444" },
+  tok_amex: { brand: "amex", last4: "8431" },
+  tok_chargeDeclined: { brand: "visa", last4: "0002", declineCode: "CARD_DECLINED" },
+  tok_insufficientFunds: { brand: "visa", last4: "9995", declineCode: "INSUFFICIENT_FUNDS" },
+};
+
+/**
+ * Create an error the way gateways report failures
+ * @param {string} code - Machine readable failure code
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code`
+ */
+const gatewayError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Gateway that keeps payment methods and holds in memory, for development
+ * and tests. Card tokens are the keys of TEST_CARDS.
+ * @returns {Object} Fake gateway with `paymentMethods` and `authorizations` maps
+ */
+const createFakeGateway = () => {
+  const paymentMethods = new Map();
+  const authorizations = new Map();
+
+  return {
+    name: "fake",
+    paymentMethods,
+    authorizations,
+
+    async createPaymentMethod(token) {
+      const card = TEST_CARDS[token];
+      if (!card) {
+        throw gatewayError("INVALID_CARD_TOKEN", "Card token is not valid");
+      }
+
+      const paymentMethod = {
+        id: `pm_${crypto.randomBytes(8).toString("hex")}`,
+        brand: card.brand,
+        last4: card.last4,
+        expMonth: 12,
+        expYear: new Date().getFullYear() + 3,
+      };
+      paymentMethods.set(paymentMethod.id, { ...paymentMethod, declineCode: card.declineCode });
+      return paymentMethod;
+    },
+
+    async authorize({ paymentMethodId, amount, currency, reference }) {
+      const paymentMethod = paymentMethods.get(paymentMethodId);
+      if (!paymentMethod) {
+        throw gatewayError("PAYMENT_METHOD_NOT_FOUND", "Unknown payment method");
+      }
+      if (paymentMethod.declineCode) {
+        throw gatewayError(paymentMethod.declineCode, "The card was declined");
+      }
+
+      const authorization = {
+        id: `auth_${crypto.randomBytes(8).toString("hex")}`,
+        paymentMethodId,
+        amount,
+        currency,
+        reference,
+        status: "authorized",
+        capturedAmount: 0,
+      };
+      authorizations.set(authorization.id, authorization);
+      return { id: authorization.id, amount, currency };
+    },
+
+    async capture(authorizationId, amount) {
+      const authorization = authorizations.get(authorizationId);
+      if (!authorization || authorization.status !== "authorized") {
+        throw gatewayError("AUTHORIZATION_NOT_FOUND", "No open authorization to capture");
+      }
+      if (amount > authorization.amount) {
+        throw gatewayError("AMOUNT_EXCEEDS_AUTHORIZATION", "Cannot capture more than was authorized");
+      }
+
+      authorization.status = "captured";
+      authorization.capturedAmount = amount;
+      return { id: authorizationId, amount };
+    },
+
+    async release(authorizationId) {
+      const authorization = authorizations.get(authorizationId);
+      if (!authorization || authorization.status !== "authorized") {
+        throw gatewayError("AUTHORIZATION_NOT_FOUND", "No open authorization to release");
+      }
+
+      authorization.status = "released";
+      return { id: authorizationId };
+    },
+  };
+};
+
+/**
+ * Build the gateway named by the PAYMENT_GATEWAY environment variable
+ * @returns {Object} The configured gateway
+ */
+const createDefaultGateway = () => {
+  const name = process.env.PAYMENT_GATEWAY || "fake";
+  if (name !== "fake") {
+    throw new Error(`Unknown PAYMENT_GATEWAY "${name}"; register other gateways with setGateway()`);
+  }
+  return createFakeGateway();
+};
+
+let gateway = null;
+
+/**
+ * Get the active gateway, creating the default one on first use
+ * @returns {Object} The active gateway
+ */
+const getGateway = () => {
+  if (!gateway) {
+    gateway = createDefaultGateway();
+  }
+  return gateway;
+};
+
+/**
+ * Replace the active gateway
+ * @param {Object} newGateway - Object implementing the gateway methods
+ * @returns {Object} The new gateway
+ */
+const setGateway = (newGateway) => {
+  gateway = newGateway;
+  return gateway;
+};
+
+module.exports = {
+  TEST_CARDS,
+  createFakeGateway,
+  getGateway,
+  setGateway,
+};
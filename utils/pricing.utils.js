@@ -0,0 +1,240 @@
+/**
+ * Pricing utility
+ * Computes ride fares from per-city pricing rules and explains every fare
+ * with a breakdown that is stored on the ride.
+ */
+
+// import the in-memory database (for distance calculations)
+const db = require("./db");
+const vehicleClasses = require("./vehicleClass.utils");
+
+// Average city speed used for duration estimates, matching calculateETA
+const AVERAGE_SPEED_KMH = 30;
+
+// Pickups further than this from every city center use the default pricing
+const CITY_RADIUS_KM = 50;
+
+/**
+ * Pricing rules per city. Amounts are in the city's currency; rounding
+ * snaps the total to a multiple of `increment` in the given direction.
+ * `cancellationFee` is charged for late cancellations (see cancellation.utils).
+ */
+const CITY_PRICING = {
+  default: {
+    name: "Default",
+    currency: "USD",
+    baseFare: 2.5,
+    perKm: 1.5,
+    perMinute: 0.3,
+    bookingFee: 1,
+    minimumFare: 7,
+    rounding: { increment: 0.5, mode: "nearest" },
+    cancellationFee: { late: 3, arrived: 5, started: 10 },
+  },
+  "new-york": {
+    name: "New York",
+    center: [-74.006, 40.7128],
+    currency: "USD",
+    baseFare: 3,
+    perKm: 1.75,
+    perMinute: 0.35,
+    bookingFee: 2.5,
+    minimumFare: 10,
+    rounding: { increment: 0.5, mode: "up" },
+    cancellationFee: { late: 3, arrived: 5, started: 10 },
+  },
+  paris: {
+    name: "Paris",
+    center: [2.3522, 48.8566],
+    currency: "EUR",
+    baseFare: 2.5,
+    perKm: 1.3,
+    perMinute: 0.3,
+    bookingFee: 1.5,
+    minimumFare: 8,
+    rounding: { increment: 0.1, mode: "nearest" },
+    cancellationFee: { late: 3, arrived: 5, started: 10 },
+  },
+  tokyo: {
+    name: "Tokyo",
+    center: [139.6917, 35.6895],
+    currency: "JPY",
+    baseFare: 500,
+    perKm: 300,
+    perMinute: 40,
+    bookingFee: 100,
+    minimumFare: 800,
+    rounding: { increment: 10, mode: "up" },
+    cancellationFee: { late: 400, arrived: 700, started: 1500 },
+  },
+  accra: {
+    name: "Accra",
+    center: [-0.187, 5.6037],
+    currency: "GHS",
+    baseFare: 8,
+    perKm: 4,
+    perMinute: 0.8,
+    bookingFee: 2,
+    minimumFare: 20,
+    rounding: { increment: 1, mode: "nearest" },
+    cancellationFee: { late: 10, arrived: 15, started: 30 },
+  },
+  sydney: {
+    name: "Sydney",
+    center: [151.2093, -33.8688],
+    currency: "AUD",
+    baseFare: 3.5,
+    perKm: 1.6,
+    perMinute: 0.45,
+    bookingFee: 1.5,
+    minimumFare: 12,
+    rounding: { increment: 0.5, mode: "nearest" },
+    cancellationFee: { late: 4, arrived: 7, started: 14 },
+  },
+};
+
+/**
+ * Get the pricing table, with any overrides from the PRICING_CONFIG
+ * environment variable (JSON keyed by city) merged in
+ * @returns {Object} Pricing rules keyed by city
+ */
+const getPricingTable = () => {
+  if (!process.env.PRICING_CONFIG) return CITY_PRICING;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.PRICING_CONFIG);
+  } catch (error) {
+    console.error("Invalid PRICING_CONFIG, using default pricing:", error.message);
+    return CITY_PRICING;
+  }
+
+  const table = { ...CITY_PRICING };
+  Object.entries(overrides).forEach(([city, rules]) => {
+    table[city] = { ...(table[city] || table.default), ...rules };
+  });
+  return table;
+};
+
+/**
+ * Find the pricing rules for a pickup location
+ * @param {number[]} [coordinates] - Pickup coordinates [longitude, latitude]
+ * @returns {{city: string, rules: Object}} The city key and its pricing rules (default without coordinates)
+ */
+const getCityPricing = (coordinates) => {
+  const table = getPricingTable();
+  if (!Array.isArray(coordinates)) return { city: "default", rules: table.default };
+
+  let match = { city: "default", rules: table.default };
+  let shortestDistance = CITY_RADIUS_KM;
+
+  Object.entries(table).forEach(([city, rules]) => {
+    if (!rules.center) return;
+    const distance = db.calculateDistance(coordinates, rules.center);
+    if (distance <= shortestDistance) {
+      shortestDistance = distance;
+      match = { city, rules };
+    }
+  });
+
+  return match;
+};
+
+/**
+ * Estimate how long a trip takes
+ * @param {number} distance - Trip distance in kilometers
+ * @returns {number} Duration in whole minutes (at least 1)
+ */
+const estimateDurationMinutes = (distance) => {
+  return Math.max(1, Math.round((distance / AVERAGE_SPEED_KMH) * 60));
+};
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - The amount
+ * @returns {number} The amount rounded to two decimals
+ */
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Apply a city's rounding rule to a fare
+ * @param {number} amount - The unrounded fare
+ * @param {Object} rounding - Rounding rule
+ * @param {number} rounding.increment - Multiple to round to
+ * @param {string} rounding.mode - "nearest", "up" or "down"
+ * @returns {number} The rounded fare
+ */
+const applyRounding = (amount, rounding) => {
+  if (!rounding || !rounding.increment) return toMoney(amount);
+
+  const steps = amount / rounding.increment;
+  const roundSteps = { up: Math.ceil, down: Math.floor }[rounding.mode] || Math.round;
+
+  // Absorb floating point noise (e.g. 20.000000001 steps) before rounding up
+  return toMoney(roundSteps(Math.round(steps * 1e6) / 1e6) * rounding.increment);
+};
+
+/**
+ * Calculate the fare for a trip
+ * @param {Object} trip - The trip to price
+ * @param {number[]} trip.pickupCoordinates - Pickup coordinates [longitude, latitude]
+ * @param {number} trip.distance - Trip distance in kilometers
+ * @param {number} [trip.durationMinutes] - Trip duration (estimated from distance if omitted)
+ * @param {number} [trip.surgeMultiplier=1] - Demand multiplier for the trip fare (not the booking fee)
+ * @param {string} [trip.vehicleClass] - Vehicle class, whose multiplier also applies to the trip fare
+ * @returns {Object} The fare breakdown; `total` is the price charged
+ */
+const calculateFare = ({
+  pickupCoordinates,
+  distance,
+  durationMinutes,
+  surgeMultiplier = 1,
+  vehicleClass = vehicleClasses.DEFAULT_VEHICLE_CLASS,
+}) => {
+  const { city, rules } = getCityPricing(pickupCoordinates);
+  const duration = durationMinutes ?? estimateDurationMinutes(distance);
+  const classMultiplier = vehicleClasses.getVehicleClass(vehicleClass).priceMultiplier;
+
+  const distanceFare = toMoney(distance * rules.perKm);
+  const timeFare = toMoney(duration * rules.perMinute);
+  const tripFare = rules.baseFare + distanceFare + timeFare;
+  const classAmount = toMoney(tripFare * (classMultiplier - 1));
+  const surgeAmount = toMoney((tripFare + classAmount) * (surgeMultiplier - 1));
+  const subtotal = toMoney(tripFare + classAmount + surgeAmount + rules.bookingFee);
+
+  // Short trips are charged at least the minimum fare
+  const minimumFareApplied = subtotal < rules.minimumFare;
+  const beforeRounding = minimumFareApplied ? rules.minimumFare : subtotal;
+  const total = applyRounding(beforeRounding, rules.rounding);
+
+  return {
+    city,
+    currency: rules.currency,
+    base_fare: rules.baseFare,
+    distance_km: toMoney(distance),
+    per_km: rules.perKm,
+    distance_fare: distanceFare,
+    duration_min: duration,
+    per_minute: rules.perMinute,
+    time_fare: timeFare,
+    vehicle_class: vehicleClass,
+    class_multiplier: classMultiplier,
+    class_amount: classAmount,
+    surge_multiplier: surgeMultiplier,
+    surge_amount: surgeAmount,
+    booking_fee: rules.bookingFee,
+    subtotal,
+    minimum_fare: rules.minimumFare,
+    minimum_fare_applied: minimumFareApplied,
+    rounding_adjustment: toMoney(total - beforeRounding),
+    total,
+  };
+};
+
+module.exports = {
+  CITY_PRICING,
+  getCityPricing,
+  estimateDurationMinutes,
+  applyRounding,
+  calculateFare,
+};
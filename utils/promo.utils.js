@@ -0,0 +1,250 @@
+/**
+ * Promo code utility
+ * Manages admin-created promo codes, checks whether a rider may use one
+ * on a fare, and records each use as a redemption that is reversed when
+ * the ride is cancelled (so it no longer counts towards any limit).
+ */
+
+// import dependencies
+const crypto = require("crypto");
+
+// import the in-memory database
+const db = require("./db");
+
+// Kinds of discount a promo code can give
+const DISCOUNT_TYPES = {
+  PERCENT: "percent",
+  FLAT: "flat",
+};
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - The amount
+ * @returns {number} The amount rounded to two decimals
+ */
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Create a promo code
+ * @param {Object} options - Promo code settings (see the admin API)
+ * @param {number} createdBy - ID of the admin creating the code
+ * @returns {Object} The stored promo code
+ */
+const createPromoCode = (options, createdBy) => {
+  return db.addPromoCode({
+    id: crypto.randomUUID(),
+    code: options.code.toUpperCase(),
+    description: options.description || null,
+    discountType: options.discountType,
+    amount: options.amount,
+    maxDiscount: options.maxDiscount ?? null,
+    currency: options.currency ? options.currency.toUpperCase() : null,
+    validFrom: options.validFrom ? new Date(options.validFrom).toISOString() : null,
+    validUntil: options.validUntil ? new Date(options.validUntil).toISOString() : null,
+    maxRedemptions: options.maxRedemptions ?? null,
+    maxRedemptionsPerUser: options.maxRedemptionsPerUser ?? 1,
+    firstRideOnly: options.firstRideOnly || false,
+    active: true,
+    createdBy,
+    createdAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get the redemptions of a promo code that still count (not reversed)
+ * @param {Object} promoCode - The promo code
+ * @param {number} [userId] - Only count this rider's redemptions
+ * @returns {Object[]} Applied redemptions
+ */
+const getAppliedRedemptions = (promoCode, userId) => {
+  return db.promoRedemptions.filter(
+    (redemption) =>
+      redemption.promoCodeId === promoCode.id &&
+      redemption.status === "applied" &&
+      (userId === undefined || redemption.userId === userId)
+  );
+};
+
+/**
+ * Add redemption counts to a promo code for API responses
+ * @param {Object} promoCode - The promo code
+ * @returns {Object} The promo code with `redemptionCount`
+ */
+const toPublicPromoCode = (promoCode) => ({
+  ...promoCode,
+  redemptionCount: getAppliedRedemptions(promoCode).length,
+});
+
+/**
+ * Work out the discount a promo code gives on a fare
+ * @param {Object} promoCode - The promo code
+ * @param {number} total - Fare total before the discount
+ * @returns {number} The discount, capped at `maxDiscount` and the fare itself
+ */
+const calculateDiscount = (promoCode, total) => {
+  let discount =
+    promoCode.discountType === DISCOUNT_TYPES.PERCENT
+      ? (total * promoCode.amount) / 100
+      : promoCode.amount;
+
+  if (promoCode.maxDiscount !== null) {
+    discount = Math.min(discount, promoCode.maxDiscount);
+  }
+  return toMoney(Math.min(discount, total));
+};
+
+/**
+ * Check whether a rider can use a promo code on a fare
+ * @param {string} code - The code the rider entered
+ * @param {Object} user - The rider
+ * @param {Object} fareBreakdown - Fare breakdown of the ride being booked
+ * @param {Object} [options] - Check options
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @param {number} [options.replacedRideId] - Ride the booking replaces, whose redemption is about to be reversed
+ * @returns {{promoCode?: Object, discount?: number, error?: Object}} The code and its discount, or an error ({code, message})
+ */
+const checkPromoCode = (code, user, fareBreakdown, { now = Date.now(), replacedRideId } = {}) => {
+  const promoCode = db.findPromoCodeByCode(code);
+  const countRedemptions = (userId) =>
+    getAppliedRedemptions(promoCode, userId).filter(
+      (redemption) => redemption.rideId !== replacedRideId
+    ).length;
+
+  if (!promoCode || !promoCode.active) {
+    return { error: { code: "INVALID_PROMO_CODE", message: "Promo code is not valid" } };
+  }
+  if (promoCode.validFrom && now < new Date(promoCode.validFrom).getTime()) {
+    return { error: { code: "PROMO_NOT_STARTED", message: "Promo code is not valid yet" } };
+  }
+  if (promoCode.validUntil && now > new Date(promoCode.validUntil).getTime()) {
+    return { error: { code: "PROMO_EXPIRED", message: "Promo code has expired" } };
+  }
+  if (promoCode.currency && promoCode.currency !== fareBreakdown.currency) {
+    return {
+      error: {
+        code: "PROMO_NOT_APPLICABLE",
+        message: `Promo code only applies to fares in ${promoCode.currency}`,
+      },
+    };
+  }
+  if (
+    promoCode.maxRedemptions !== null &&
+    countRedemptions() >= promoCode.maxRedemptions
+  ) {
+    return { error: { code: "PROMO_LIMIT_REACHED", message: "Promo code has been used up" } };
+  }
+  if (countRedemptions(user.id) >= promoCode.maxRedemptionsPerUser) {
+    return {
+      error: { code: "PROMO_ALREADY_USED", message: "You have already used this promo code" },
+    };
+  }
+  if (
+    promoCode.firstRideOnly &&
+    db.rides.some((ride) => ride.userId === user.id && ride.status === "completed")
+  ) {
+    return {
+      error: { code: "PROMO_FIRST_RIDE_ONLY", message: "Promo code is only valid on your first ride" },
+    };
+  }
+
+  return { promoCode, discount: calculateDiscount(promoCode, fareBreakdown.total) };
+};
+
+/**
+ * Take a discount off a fare breakdown
+ * @param {Object} fareBreakdown - Fare breakdown without a discount
+ * @param {string} code - The promo code
+ * @param {number} discount - The discount
+ * @returns {Object} Fare breakdown whose `total` is the discounted price
+ */
+const applyDiscount = (fareBreakdown, code, discount) => ({
+  ...fareBreakdown,
+  promo_code: code,
+  promo_discount: discount,
+  total_before_discount: fareBreakdown.total,
+  total: toMoney(fareBreakdown.total - discount),
+});
+
+/**
+ * Record the use of a promo code on a ride
+ * @param {Object} promoCode - The promo code
+ * @param {number} userId - The rider
+ * @param {number} rideId - The ride it was used on
+ * @param {Object} fareBreakdown - The discounted fare breakdown
+ * @returns {Object} The redemption
+ */
+const redeemPromoCode = (promoCode, userId, rideId, fareBreakdown) => {
+  return db.addPromoRedemption({
+    id: crypto.randomUUID(),
+    promoCodeId: promoCode.id,
+    code: promoCode.code,
+    userId,
+    rideId,
+    discount: fareBreakdown.promo_discount,
+    currency: fareBreakdown.currency,
+    status: "applied",
+    redeemedAt: new Date().toISOString(),
+    reversedAt: null,
+  });
+};
+
+/**
+ * Re-apply a ride's promo code to its new price (e.g. after its stops
+ * changed), without checking the code's limits again. The redemption keeps
+ * its discount until recordRedemptionDiscount is called with the saved ride.
+ * @param {Object} ride - The ride, with its current `promo`
+ * @param {Object} fareBreakdown - The new fare breakdown without a discount
+ * @returns {Object} Fare breakdown with the discount applied
+ */
+const repriceRedemption = (ride, fareBreakdown) => {
+  const redemption = ride.promo && db.findPromoRedemptionById(ride.promo.redemptionId);
+  const promoCode = redemption && db.findPromoCodeById(redemption.promoCodeId);
+  if (!promoCode || redemption.status !== "applied") return fareBreakdown;
+
+  return applyDiscount(
+    fareBreakdown,
+    promoCode.code,
+    calculateDiscount(promoCode, fareBreakdown.total)
+  );
+};
+
+/**
+ * Update the discount recorded on a ride's redemption after it was re-priced
+ * @param {Object} ride - The saved ride
+ * @returns {Object|null} The redemption, or null if none is applied
+ */
+const recordRedemptionDiscount = (ride) => {
+  const redemption = ride.promo && db.findPromoRedemptionById(ride.promo.redemptionId);
+  if (!redemption || redemption.status !== "applied") return null;
+
+  redemption.discount = ride.fare_breakdown?.promo_discount || 0;
+  return redemption;
+};
+
+/**
+ * Give back the promo code used on a cancelled ride
+ * @param {Object} ride - The cancelled ride
+ * @returns {Object|null} The reversed redemption, or null if none was applied
+ */
+const reverseRedemption = (ride) => {
+  const redemption = ride.promo && db.findPromoRedemptionById(ride.promo.redemptionId);
+  if (!redemption || redemption.status !== "applied") return null;
+
+  redemption.status = "reversed";
+  redemption.reversedAt = new Date().toISOString();
+  return redemption;
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  createPromoCode,
+  getAppliedRedemptions,
+  toPublicPromoCode,
+  calculateDiscount,
+  checkPromoCode,
+  applyDiscount,
+  redeemPromoCode,
+  repriceRedemption,
+  recordRedemptionDiscount,
+  reverseRedemption,
+};
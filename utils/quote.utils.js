@@ -0,0 +1,96 @@
+/**
+ * Fare quote utility
+ * A quote ID is a signed, expiring token carrying the trip and the price it
+ * was quoted at, so a booking can honor the price without storing anything.
+ */
+
+// import the token helpers
+const tokens = require("./token.utils");
+
+const QUOTE_PURPOSE = "ride_quote";
+
+/**
+ * Sign a quote for a trip
+ * @param {Object} user - The user the quote is for
+ * @param {Object} trip - The quoted trip
+ * @param {string} trip.destination - Destination name
+ * @param {string} trip.pickup_location - Pickup name
+ * @param {number[]} trip.pickup_coordinates - Pickup coordinates [longitude, latitude]
+ * @param {number[]} trip.destination_coordinates - Destination coordinates [longitude, latitude]
+ * @param {Object[]} trip.stops - Intermediate stops ({address, coordinates}) in order
+ * @param {string} trip.vehicle_class - Requested vehicle class
+ * @param {number} trip.passengers - Number of passengers
+ * @param {number} trip.cost - Quoted fare
+ * @param {Object} trip.fare_breakdown - How the quoted fare was computed
+ * @returns {{quote_id: string, expires_at: string}} The quote ID and when it expires
+ */
+const createQuote = (user, trip) => {
+  const quoteId = tokens.signPurposeToken(
+    {
+      uid: user.id,
+      destination: trip.destination,
+      pickup_location: trip.pickup_location,
+      pickup_coordinates: trip.pickup_coordinates,
+      destination_coordinates: trip.destination_coordinates,
+      stops: trip.stops,
+      vehicle_class: trip.vehicle_class,
+      passengers: trip.passengers,
+      cost: trip.cost,
+      fare_breakdown: trip.fare_breakdown,
+    },
+    QUOTE_PURPOSE,
+    process.env.QUOTE_TTL || "5m"
+  );
+
+  const { exp } = tokens.verifyPurposeToken(quoteId, QUOTE_PURPOSE);
+  return { quote_id: quoteId, expires_at: new Date(exp * 1000).toISOString() };
+};
+
+/**
+ * Verify a quote ID presented by a user
+ * @param {string} quoteId - The quote ID
+ * @param {Object} user - The user booking the ride
+ * @returns {Object} The decoded quote
+ * @throws {Error} With `code` QUOTE_EXPIRED, QUOTE_USED or INVALID_QUOTE
+ */
+const verifyQuote = (quoteId, user) => {
+  let decoded;
+  try {
+    decoded = tokens.verifyPurposeToken(quoteId, QUOTE_PURPOSE);
+  } catch (error) {
+    const quoteError = new Error("Invalid quote");
+    quoteError.code = "INVALID_QUOTE";
+    if (error.name === "TokenExpiredError") {
+      quoteError.message = "Quote expired";
+      quoteError.code = "QUOTE_EXPIRED";
+    } else if (error.name === "TokenRevokedError") {
+      quoteError.message = "Quote already used";
+      quoteError.code = "QUOTE_USED";
+    }
+    throw quoteError;
+  }
+
+  // Quotes cannot be shared between accounts
+  if (decoded.uid !== user.id) {
+    const quoteError = new Error("Invalid quote");
+    quoteError.code = "INVALID_QUOTE";
+    throw quoteError;
+  }
+
+  return decoded;
+};
+
+/**
+ * Mark a quote as used so it cannot book a second ride
+ * @param {Object} decoded - The decoded quote
+ * @returns {void}
+ */
+const redeemQuote = (decoded) => {
+  tokens.revokeAccessToken(decoded);
+};
+
+module.exports = {
+  createQuote,
+  verifyQuote,
+  redeemQuote,
+};
@@ -0,0 +1,141 @@
+/**
+ * Rating utility
+ * Stores the ratings riders and drivers give each other after a ride and
+ * keeps everyone's rating as a rolling average over their most recent
+ * rated rides.
+ */
+
+// import the in-memory database
+const db = require("./db");
+
+// Tags a rider can attach when rating a driver, and vice versa
+const DRIVER_TAGS = [
+  "friendly",
+  "clean_car",
+  "safe_driving",
+  "good_navigation",
+  "on_time",
+  "late",
+  "rude",
+  "unsafe_driving",
+  "dirty_car",
+];
+const RIDER_TAGS = ["polite", "on_time", "respectful", "late", "rude", "messy", "no_show"];
+
+/**
+ * Read the rating settings from the environment
+ * @returns {Object} Rating settings
+ */
+const getConfig = () => ({
+  windowSize: parseInt(process.env.RATING_WINDOW || 100),
+});
+
+/**
+ * Average the most recent ratings
+ * @param {Object[]} ratings - Ratings with `rating` (1-5) and `createdAt`
+ * @returns {{rating: number, ratingCount: number}|null} Rolling average, or null without ratings
+ */
+const rollingAverage = (ratings) => {
+  if (ratings.length === 0) return null;
+
+  // Newest first; ratings given in the same instant keep the later ride first
+  const recent = [...ratings]
+    .reverse()
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, getConfig().windowSize);
+  const total = recent.reduce((sum, entry) => sum + entry.rating, 0);
+
+  return {
+    rating: Math.round((total / recent.length) * 100) / 100,
+    ratingCount: recent.length,
+  };
+};
+
+/**
+ * Recompute a driver's rating from the ratings riders gave them
+ * @param {number} driverId - Driver profile ID
+ * @returns {Object|null} The updated driver, or null if they have no ratings
+ */
+const updateDriverRating = (driverId) => {
+  const average = rollingAverage(
+    db.rides
+      .filter((ride) => ride.driver?.id === driverId && ride.ratings?.driver)
+      .map((ride) => ride.ratings.driver)
+  );
+  if (!average || !db.findDriverById(driverId)) return null;
+
+  return db.updateDriver({ id: driverId, ...average });
+};
+
+/**
+ * Recompute a rider's rating from the ratings drivers gave them
+ * @param {number} userId - Rider's user ID
+ * @returns {Object|null} The updated user, or null if they have no ratings
+ */
+const updateRiderRating = (userId) => {
+  const user = db.findUserById(userId);
+  const average = rollingAverage(
+    db.rides
+      .filter((ride) => ride.userId === userId && ride.ratings?.rider)
+      .map((ride) => ride.ratings.rider)
+  );
+  if (!average || !user) return null;
+
+  user.rating = average.rating;
+  user.ratingCount = average.ratingCount;
+  return user;
+};
+
+/**
+ * Check whether a ride can be rated by one side
+ * @param {Object} ride - The ride
+ * @param {string} side - "driver" (rated by the rider) or "rider" (rated by the driver)
+ * @returns {Object|null} Error ({status, code, message}), or null if the rating can be given
+ */
+const checkCanRate = (ride, side) => {
+  if (ride.status !== "completed") {
+    return { status: 409, code: "RIDE_NOT_COMPLETED", message: "Rides can only be rated once completed" };
+  }
+  if (ride.ratings?.[side]) {
+    return { status: 409, code: "ALREADY_RATED", message: "This ride has already been rated" };
+  }
+  return null;
+};
+
+/**
+ * Record a rating on a ride and refresh the rated person's average
+ * @param {Object} ride - The completed ride
+ * @param {string} side - "driver" (rated by the rider) or "rider" (rated by the driver)
+ * @param {Object} rating - The rating
+ * @param {number} rating.rating - Stars from 1 to 5
+ * @param {string[]} [rating.tags=[]] - Tags from DRIVER_TAGS or RIDER_TAGS
+ * @param {string} [rating.comment] - Free-text review
+ * @returns {Object} The updated ride
+ */
+const rateRide = (ride, side, { rating, tags = [], comment }) => {
+  const updatedRide = db.updateRide({
+    id: ride.id,
+    ratings: {
+      ...ride.ratings,
+      [side]: { rating, tags, comment: comment || null, createdAt: new Date().toISOString() },
+    },
+  });
+
+  if (side === "driver") {
+    updateDriverRating(ride.driver.id);
+  } else {
+    updateRiderRating(ride.userId);
+  }
+
+  return updatedRide;
+};
+
+module.exports = {
+  DRIVER_TAGS,
+  RIDER_TAGS,
+  rollingAverage,
+  updateDriverRating,
+  updateRiderRating,
+  checkCanRate,
+  rateRide,
+};
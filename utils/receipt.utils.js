@@ -0,0 +1,337 @@
+/**
+ * Receipt utility
+ * Builds the receipt of a completed ride and renders it as JSON, as a
+ * printable HTML page or as a single-page PDF. The PDF is written by hand
+ * with the standard Helvetica fonts, so no PDF library is needed.
+ */
+
+// Formats a receipt can be rendered in, with their content types
+const FORMATS = {
+  json: "application/json",
+  html: "text/html",
+  pdf: "application/pdf",
+};
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - The amount
+ * @returns {number} The amount rounded to two decimals
+ */
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Format a money amount for display
+ * @param {number} amount - The amount
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} E.g. "$11.00" or "¥1,500"
+ */
+const formatMoney = (amount, currency) => {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(amount);
+};
+
+/**
+ * Format a timestamp for display
+ * @param {string} date - ISO 8601 timestamp
+ * @returns {string} E.g. "May 2, 2023, 3:33 PM UTC"
+ */
+const formatDate = (date) => {
+  return new Date(date).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: "UTC",
+    timeZoneName: "short",
+  });
+};
+
+/**
+ * List the fare of a ride line by line, so the lines add up to the total
+ * @param {Object} ride - The ride
+ * @returns {Object[]} Lines of `{ label, amount }`
+ */
+const getFareLines = (ride) => {
+  const fare = ride.fare_breakdown;
+  if (!fare) return [{ label: "Fare", amount: ride.cost }];
+
+  const lines = [
+    { label: "Base fare", amount: fare.base_fare },
+    { label: `Distance (${fare.distance_km} km)`, amount: fare.distance_fare },
+    { label: `Time (${fare.duration_min} min)`, amount: fare.time_fare },
+  ];
+  if (fare.class_amount) {
+    lines.push({ label: `Vehicle class (${fare.class_multiplier}x)`, amount: fare.class_amount });
+  }
+  if (fare.surge_amount) {
+    lines.push({ label: `Surge (${fare.surge_multiplier}x)`, amount: fare.surge_amount });
+  }
+  lines.push({ label: "Booking fee", amount: fare.booking_fee });
+  if (fare.minimum_fare_applied) {
+    lines.push({ label: "Minimum fare adjustment", amount: toMoney(fare.minimum_fare - fare.subtotal) });
+  }
+  if (fare.rounding_adjustment) {
+    lines.push({ label: "Rounding", amount: fare.rounding_adjustment });
+  }
+  if (fare.promo_discount) {
+    lines.push({ label: `Promo ${fare.promo_code}`, amount: -fare.promo_discount });
+  }
+  return lines;
+};
+
+/**
+ * Describe how a ride was paid. A card tip is charged on its own, so it is
+ * added to what was captured for the fare.
+ * @param {Object} ride - The ride
+ * @param {number} total - Amount due for the ride, tip included
+ * @returns {Object} `{ method, card, status, amount_charged }`
+ */
+const getPaymentSummary = (ride, total) => {
+  const { payment } = ride;
+  if (!payment || payment.method === "cash") {
+    return { method: "cash", card: null, status: "cash", amount_charged: total };
+  }
+
+  return {
+    method: payment.method,
+    card: payment.card,
+    status: payment.status,
+    amount_charged: toMoney(payment.capturedAmount + (payment.tip?.amount || 0)),
+  };
+};
+
+/**
+ * Build the receipt of a completed ride
+ * @param {Object} ride - The completed ride
+ * @param {Object} rider - The account the ride belongs to
+ * @returns {Object} The receipt
+ */
+const buildReceipt = (ride, rider) => {
+  const currency = ride.fare_breakdown?.currency || "USD";
+  const discount = ride.fare_breakdown?.promo_discount || 0;
+  const tip = toMoney(ride.tip || 0);
+  const total = toMoney(ride.cost + tip);
+
+  return {
+    receipt_number: `RCPT-${ride.id}`,
+    ride_id: ride.id,
+    issued_at: new Date().toISOString(),
+    rider: { name: ride.guest?.name || rider.name, email: rider.email },
+    pickup: { address: ride.pickup_location || null, coordinates: ride.pickup_coordinates },
+    dropoff: { address: ride.destination, coordinates: ride.destination_coordinates },
+    stops: (ride.stops || []).map((stop) => ({ number: stop.number, address: stop.address })),
+    booked_at: ride.date || null,
+    completed_at: ride.lastUpdated,
+    distance_km: ride.distance ?? null,
+    duration_min: ride.fare_breakdown?.duration_min ?? null,
+    driver: ride.driver ? { name: ride.driver.name } : null,
+    vehicle: ride.vehicle
+      ? {
+          model: ride.vehicle.model,
+          color: ride.vehicle.color,
+          plate: ride.vehicle.plate,
+          class: ride.vehicle.class,
+        }
+      : null,
+    currency,
+    fare_lines: getFareLines(ride),
+    fare_breakdown: ride.fare_breakdown || null,
+    discounts: discount ? [{ code: ride.fare_breakdown.promo_code, amount: discount }] : [],
+    fare: ride.cost,
+    tip,
+    total,
+    payment: getPaymentSummary(ride, total),
+  };
+};
+
+/**
+ * Describe the payment method for display
+ * @param {Object} payment - The receipt's payment summary
+ * @returns {string} E.g. "Visa ending in 4242" or "Cash"
+ */
+const describePayment = (payment) => {
+  if (payment.method === "cash") return "Cash";
+  const brand = payment.card.brand.charAt(0).toUpperCase() + payment.card.brand.slice(1);
+  return `${brand} ending in ${payment.card.last4}`;
+};
+
+/**
+ * Lay the receipt out as titled sections of label/value rows, shared by
+ * the HTML and PDF renderings
+ * @param {Object} receipt - The receipt
+ * @returns {Object[]} Sections of `{ title, rows: [[label, value]] }`
+ */
+const getReceiptSections = (receipt) => {
+  const money = (amount) => formatMoney(amount, receipt.currency);
+
+  const trip = [
+    ["Date", formatDate(receipt.completed_at)],
+    ["Pickup", receipt.pickup.address || receipt.pickup.coordinates.join(", ")],
+    ...receipt.stops.map((stop) => [`Stop ${stop.number}`, stop.address]),
+    ["Dropoff", receipt.dropoff.address],
+  ];
+  if (receipt.distance_km !== null) trip.push(["Distance", `${receipt.distance_km} km`]);
+  if (receipt.duration_min !== null) trip.push(["Duration", `${receipt.duration_min} min`]);
+  if (receipt.driver) trip.push(["Driver", receipt.driver.name]);
+  if (receipt.vehicle) {
+    const { color, model, plate } = receipt.vehicle;
+    trip.push(["Vehicle", `${color} ${model} (${plate})`]);
+  }
+
+  const fare = receipt.fare_lines.map((line) => [line.label, money(line.amount)]);
+  fare.push(["Fare", money(receipt.fare)]);
+  fare.push(["Tip", money(receipt.tip)]);
+  fare.push(["Total", money(receipt.total)]);
+
+  return [
+    { title: "Trip", rows: trip },
+    { title: "Fare", rows: fare },
+    {
+      title: "Payment",
+      rows: [
+        ["Paid with", describePayment(receipt.payment)],
+        ["Amount charged", money(receipt.payment.amount_charged)],
+      ],
+    },
+  ];
+};
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - The text
+ * @returns {string} The escaped text
+ */
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Render a receipt as a printable HTML page
+ * @param {Object} receipt - The receipt
+ * @returns {string} The HTML document
+ */
+const renderHtml = (receipt) => {
+  const sections = getReceiptSections(receipt)
+    .map(
+      (section) => `
+    <h2>${escapeHtml(section.title)}</h2>
+    <table>
+${section.rows
+  .map(([label, value]) => `      <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+  .join("\n")}
+    </table>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Receipt ${escapeHtml(receipt.receipt_number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 640px; margin: 2em auto; }
+    h1 { margin-bottom: 0; }
+    h2 { border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; font-weight: normal; color: #555; padding: 4px 0; }
+    td { text-align: right; padding: 4px 0; }
+    tr:last-child th, tr:last-child td { font-weight: bold; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Ride receipt</h1>
+  <p>Receipt ${escapeHtml(receipt.receipt_number)} for ${escapeHtml(receipt.rider.name)}</p>
+${sections}
+</body>
+</html>
+`;
+};
+
+/**
+ * Encode text as a PDF string literal in WinAnsiEncoding. Characters the
+ * standard fonts cannot show are replaced with "?".
+ * @param {*} value - The text
+ * @returns {string} The literal, e.g. "(Total)"
+ */
+const pdfString = (value) => {
+  const encoded = Array.from(String(value))
+    .map((char) => {
+      if (char === "€") return "\\200";
+      if (char === "\\" || char === "(" || char === ")") return `\\${char}`;
+      const code = char.charCodeAt(0);
+      return code >= 32 && code < 256 && (code < 127 || code > 159) ? char : "?";
+    })
+    .join("");
+  return `(${encoded})`;
+};
+
+/**
+ * Render a receipt as a single-page A4 PDF
+ * @param {Object} receipt - The receipt
+ * @returns {Buffer} The PDF document
+ */
+const renderPdf = (receipt) => {
+  // Page content: one text operation per line, top to bottom
+  const commands = [];
+  let y = 790;
+  const text = (font, size, x, value) => {
+    commands.push(`BT /${font} ${size} Tf ${x} ${y} Td ${pdfString(value)} Tj ET`);
+  };
+
+  text("F2", 20, 50, "Ride receipt");
+  y -= 20;
+  text("F1", 10, 50, `Receipt ${receipt.receipt_number} for ${receipt.rider.name}`);
+  y -= 16;
+
+  getReceiptSections(receipt).forEach((section) => {
+    y -= 14;
+    text("F2", 13, 50, section.title);
+    y -= 6;
+    commands.push(`50 ${y} m 545 ${y} l S`);
+    y -= 14;
+    section.rows.forEach(([label, value], index) => {
+      const font = index === section.rows.length - 1 ? "F2" : "F1";
+      text(font, 10, 50, label);
+      text(font, 10, 250, value);
+      y -= 15;
+    });
+  });
+
+  const content = Buffer.from(commands.join("\n"), "latin1");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R " +
+      "/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> >>",
+    `<< /Length ${content.length} >>\nstream\n${content.toString("latin1")}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+
+  // Write the objects, noting the byte offset of each for the xref table
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+};
+
+module.exports = {
+  FORMATS,
+  buildReceipt,
+  renderHtml,
+  renderPdf,
+};
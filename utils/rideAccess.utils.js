@@ -0,0 +1,53 @@
+/**
+ * Ride access utility
+ * Decides which accounts may see or follow a ride
+ */
+
+// import role helpers
+const { ROLES } = require("./roles.utils");
+
+/**
+ * Check whether a user is the rider who booked a ride
+ * @param {Object} user - The authenticated user
+ * @param {Object} ride - The ride
+ * @returns {boolean} True if the user booked the ride
+ */
+const isRideRider = (user, ride) => {
+  return !!user && !!ride && ride.userId === user.id;
+};
+
+/**
+ * Check whether a user is the driver assigned to a ride
+ * @param {Object} user - The authenticated user
+ * @param {Object} ride - The ride
+ * @returns {boolean} True if the user drives the ride
+ */
+const isRideDriver = (user, ride) => {
+  return (
+    !!user &&
+    !!ride &&
+    user.role === ROLES.DRIVER &&
+    !!user.driverId &&
+    !!ride.driver &&
+    ride.driver.id === user.driverId
+  );
+};
+
+/**
+ * Check whether a user may view a ride: its rider, its driver or an admin
+ * @param {Object} user - The authenticated user
+ * @param {Object} ride - The ride
+ * @returns {boolean} True if the user may view the ride
+ */
+const canViewRide = (user, ride) => {
+  if (!user || !ride) return false;
+  return (
+    user.role === ROLES.ADMIN || isRideRider(user, ride) || isRideDriver(user, ride)
+  );
+};
+
+module.exports = {
+  isRideRider,
+  isRideDriver,
+  canViewRide,
+};
@@ -0,0 +1,33 @@
+/**
+ * Ride event utility
+ * Broadcasts ride changes to the Socket.IO room of the ride
+ */
+
+// import utilities
+const rideStatus = require("./rideStatus.utils");
+
+/**
+ * Send a ride's latest state to everyone watching it, and announce when a
+ * multi-stop ride reaches one of its stops
+ * @param {Object} io - Socket.IO server (may be missing, e.g. in tests)
+ * @param {Object} ride - The updated ride
+ * @returns {void}
+ */
+const emitRideUpdate = (io, ride) => {
+  if (!io) return;
+
+  const room = ride.id.toString();
+  io.to(room).emit("statusUpdate", ride);
+
+  const stopNumber = rideStatus.getStopNumber(ride.status);
+  if (stopNumber) {
+    io.to(room).emit("stopReached", {
+      rideId: ride.id,
+      stop: (ride.stops || []).find((stop) => stop.number === stopNumber),
+    });
+  }
+};
+
+module.exports = {
+  emitRideUpdate,
+};
@@ -0,0 +1,210 @@
+/**
+ * Ride history utility
+ * Filters, sorts and pages through a rider's past and current rides, and
+ * exports them as CSV. Pages are addressed with an opaque cursor (the sort
+ * value and ID of the last ride on the previous page), so rides booked
+ * while paging never shift or repeat the results.
+ */
+
+// import utilities
+const rideStatus = require("./rideStatus.utils");
+
+// Status filters a rider can pick from, each matching a group of statuses.
+// "all" matches every ride, as it did before status groups existed.
+const STATUS_FILTERS = {
+  all: () => true,
+  scheduled: (ride) => ride.status === rideStatus.STATUSES.SCHEDULED,
+  in_progress: (ride) => rideStatus.isActiveRide(ride) && !rideStatus.isScheduledRide(ride),
+  completed: (ride) => ride.status === rideStatus.STATUSES.COMPLETED,
+  cancelled: (ride) => ride.status === rideStatus.STATUSES.CANCELLED,
+};
+
+// Fields rides can be sorted by, and how to read each from a ride
+const SORT_FIELDS = {
+  date: (ride) => new Date(ride.date || ride.lastUpdated).getTime(),
+  cost: (ride) => ride.cost ?? 0,
+  distance: (ride) => ride.distance ?? 0,
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  ["id", (ride) => ride.id],
+  ["date", (ride) => ride.date || ride.lastUpdated],
+  ["status", (ride) => ride.status],
+  ["pickup", (ride) => ride.pickup_location || (ride.pickup_coordinates || []).join(" ")],
+  ["destination", (ride) => ride.destination],
+  ["stops", (ride) => (ride.stops || []).length],
+  ["distance_km", (ride) => ride.distance],
+  ["vehicle_class", (ride) => ride.vehicle_class],
+  ["driver", (ride) => ride.driver?.name],
+  ["currency", (ride) => ride.fare_breakdown?.currency],
+  ["cost", (ride) => ride.cost],
+  ["promo_code", (ride) => ride.fare_breakdown?.promo_code],
+  ["discount", (ride) => ride.fare_breakdown?.promo_discount],
+  ["cancellation_fee", (ride) => ride.cancellation?.fee],
+  ["payment_method", (ride) => ride.payment?.method],
+  ["payment_status", (ride) => ride.payment?.status],
+];
+
+/**
+ * Filter rides by status, date, cost and distance
+ * @param {Object[]} rides - The rides
+ * @param {Object} filters - Validated history query
+ * @param {string[]} [filters.status] - Keys of STATUS_FILTERS; a ride matches any of them
+ * @param {Date} [filters.from] - Earliest ride date
+ * @param {Date} [filters.to] - Latest ride date
+ * @param {number} [filters.min_cost] - Lowest cost
+ * @param {number} [filters.max_cost] - Highest cost
+ * @param {number} [filters.min_distance] - Shortest distance in kilometers
+ * @param {number} [filters.max_distance] - Longest distance in kilometers
+ * @returns {Object[]} The matching rides
+ */
+const filterRides = (rides, filters) => {
+  const date = SORT_FIELDS.date;
+
+  return rides.filter(
+    (ride) =>
+      (!filters.status || filters.status.some((status) => STATUS_FILTERS[status](ride))) &&
+      (!filters.from || date(ride) >= filters.from.getTime()) &&
+      (!filters.to || date(ride) <= filters.to.getTime()) &&
+      (filters.min_cost === undefined || ride.cost >= filters.min_cost) &&
+      (filters.max_cost === undefined || ride.cost <= filters.max_cost) &&
+      (filters.min_distance === undefined || ride.distance >= filters.min_distance) &&
+      (filters.max_distance === undefined || ride.distance <= filters.max_distance)
+  );
+};
+
+/**
+ * Build a comparator for a sort field and order, with the ride ID as the
+ * tie-breaker so the order is stable across pages
+ * @param {string} sort - Key of SORT_FIELDS
+ * @param {string} order - "asc" or "desc"
+ * @returns {Function} Comparator of `{ value, id }` positions
+ */
+const comparePositions = (sort, order) => {
+  const direction = order === "asc" ? 1 : -1;
+  return (a, b) => direction * (a.value - b.value || a.id - b.id);
+};
+
+/**
+ * Get where a ride sits in a sort order
+ * @param {Object} ride - The ride
+ * @param {string} sort - Key of SORT_FIELDS
+ * @returns {{value: number, id: number}} The ride's position
+ */
+const getPosition = (ride, sort) => ({ value: SORT_FIELDS[sort](ride), id: ride.id });
+
+/**
+ * Sort rides
+ * @param {Object[]} rides - The rides
+ * @param {string} sort - Key of SORT_FIELDS
+ * @param {string} order - "asc" or "desc"
+ * @returns {Object[]} A sorted copy of the rides
+ */
+const sortRides = (rides, sort, order) => {
+  const compare = comparePositions(sort, order);
+  return [...rides].sort((a, b) => compare(getPosition(a, sort), getPosition(b, sort)));
+};
+
+/**
+ * Encode the position of the last ride on a page as a cursor
+ * @param {Object} ride - The last ride on the page
+ * @param {string} sort - Key of SORT_FIELDS
+ * @param {string} order - "asc" or "desc"
+ * @returns {string} Opaque cursor for the next page
+ */
+const encodeCursor = (ride, sort, order) => {
+  const { value, id } = getPosition(ride, sort);
+  return Buffer.from(JSON.stringify({ sort, order, value, id })).toString("base64url");
+};
+
+/**
+ * Decode a cursor made by encodeCursor for the same sort
+ * @param {string} cursor - The cursor
+ * @param {string} sort - Key of SORT_FIELDS the page is sorted by
+ * @param {string} order - "asc" or "desc"
+ * @returns {{value: number, id: number}|null} The position, or null if the cursor is invalid or for another sort
+ */
+const decodeCursor = (cursor, sort, order) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      position.sort !== sort ||
+      position.order !== order ||
+      typeof position.value !== "number" ||
+      typeof position.id !== "number"
+    ) {
+      return null;
+    }
+    return { value: position.value, id: position.id };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get one page of sorted rides
+ * @param {Object[]} rides - Rides sorted by sortRides with the same sort and order
+ * @param {Object} options - Paging options
+ * @param {string} options.sort - Key of SORT_FIELDS
+ * @param {string} options.order - "asc" or "desc"
+ * @param {number} options.limit - Page size
+ * @param {Object} [options.after] - Position from decodeCursor; the page starts after it
+ * @returns {{rides: Object[], nextCursor: string|null}} The page and the cursor of the next one
+ */
+const paginate = (rides, { sort, order, limit, after }) => {
+  const compare = comparePositions(sort, order);
+  const start = after
+    ? rides.filter((ride) => compare(getPosition(ride, sort), after) > 0)
+    : rides;
+  const page = start.slice(0, limit);
+  const hasMore = start.length > limit;
+
+  return {
+    rides: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort, order) : null,
+  };
+};
+
+/**
+ * Format a value as a CSV field. Text that a spreadsheet would run as a
+ * formula is prefixed with a quote.
+ * @param {*} value - The value
+ * @returns {string} The CSV field
+ */
+const toCsvField = (value) => {
+  if (value === undefined || value === null) return "";
+  let field = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * Export rides as CSV with a header row
+ * @param {Object[]} rides - The rides
+ * @returns {string} The CSV document
+ */
+const toCsv = (rides) => {
+  const header = CSV_COLUMNS.map(([name]) => name).join(",");
+  const rows = rides.map((ride) =>
+    CSV_COLUMNS.map(([, read]) => toCsvField(read(ride))).join(",")
+  );
+  return [header, ...rows].join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  STATUS_FILTERS,
+  SORT_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  filterRides,
+  sortRides,
+  decodeCursor,
+  paginate,
+  toCsv,
+};
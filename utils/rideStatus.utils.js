@@ -5,6 +5,8 @@
 
 // Status constants
 const STATUSES = {
+  SCHEDULED: "scheduled",
+  SEARCHING: "searching",
   DRIVER_ON_WAY: "Driver on the way",
   DRIVER_ARRIVED: "Driver arrived",
   RIDE_STARTED: "Ride started",
@@ -16,12 +18,65 @@ const STATUSES = {
   EN_ROUTE: "en route",
 };
 
+// Arrival at an intermediate stop is reported as "arrived_at_stop_<n>"
+const STOP_STATUS_PREFIX = "arrived_at_stop_";
+
+/**
+ * Get the status for arriving at an intermediate stop
+ * @param {number} stopNumber - 1-based position of the stop
+ * @returns {string} Stop status (e.g. "arrived_at_stop_2")
+ */
+const getStopStatus = (stopNumber) => `${STOP_STATUS_PREFIX}${stopNumber}`;
+
+/**
+ * Get the stop a status refers to
+ * @param {string} status - A ride status
+ * @returns {number|null} 1-based stop number, or null if not a stop status
+ */
+const getStopNumber = (status) => {
+  if (typeof status !== "string" || !status.startsWith(STOP_STATUS_PREFIX)) {
+    return null;
+  }
+  const stopNumber = parseInt(status.slice(STOP_STATUS_PREFIX.length));
+  return stopNumber > 0 ? stopNumber : null;
+};
+
+/**
+ * Get the next stop a ride has not reached yet
+ * @param {Object} ride - The ride object
+ * @returns {Object|null} The stop, or null if every stop was reached
+ */
+const getNextPendingStop = (ride) => {
+  return (ride.stops || []).find((stop) => stop.status === "pending") || null;
+};
+
+/**
+ * Get the transition a multi-stop ride makes between its stops: from
+ * "Ride started" to the next stop, and from a stop back to "Ride started"
+ * @param {Object} ride - The ride object
+ * @returns {string|null} The next status, or null if no stop is involved
+ */
+const getStopTransition = (ride) => {
+  if (getStopNumber(ride.status)) return STATUSES.RIDE_STARTED;
+
+  if (ride.status === STATUSES.RIDE_STARTED) {
+    const nextStop = getNextPendingStop(ride);
+    if (nextStop) return getStopStatus(nextStop.number);
+  }
+
+  return null;
+};
+
 /**
  * Get the next valid status in the automatic progression
  * @param {string} currentStatus - The ride's current status
+ * @param {Object} [ride] - The ride, to route multi-stop rides through their stops
  * @returns {string|null} The next status, or null if no valid transition exists
  */
-const getNextAutomaticStatus = (currentStatus) => {
+const getNextAutomaticStatus = (currentStatus, ride) => {
+  const stopTransition = ride && getStopTransition({ ...ride, status: currentStatus });
+  if (stopTransition) return stopTransition;
+
   const statusMap = {
     [STATUSES.PENDING]: STATUSES.IN_PROGRESS,
     [STATUSES.EN_ROUTE]: STATUSES.IN_PROGRESS,
@@ -36,19 +91,20 @@ const getNextAutomaticStatus = (currentStatus) => {
 };
 
 /**
- * Get valid manual status transitions from a given status
+ * Get valid manual status transitions from a given status. Cancelling is not
+ * one of them: it goes through the cancellation policy instead.
  * @param {string} currentStatus - The ride's current status
+ * @param {Object} [ride] - The ride, to route multi-stop rides through their stops
  * @returns {string[]} Array of valid status values that users can manually set
  */
-const getValidManualTransitions = (currentStatus) => {
+const getValidManualTransitions = (currentStatus, ride) => {
+  const stopTransition = ride && getStopTransition({ ...ride, status: currentStatus });
+  if (stopTransition) return [stopTransition];
+
   const transitionMap = {
-    [STATUSES.DRIVER_ON_WAY]: [STATUSES.DRIVER_ARRIVED, STATUSES.CANCELLED],
-    [STATUSES.DRIVER_ARRIVED]: [STATUSES.RIDE_STARTED, STATUSES.CANCELLED],
-    [STATUSES.RIDE_STARTED]: [
-      STATUSES.RIDE_COMPLETED,
-      STATUSES.COMPLETED,
-      STATUSES.CANCELLED,
-    ],
+    [STATUSES.DRIVER_ON_WAY]: [STATUSES.DRIVER_ARRIVED],
+    [STATUSES.DRIVER_ARRIVED]: [STATUSES.RIDE_STARTED],
+    [STATUSES.RIDE_STARTED]: [STATUSES.RIDE_COMPLETED, STATUSES.COMPLETED],
     [STATUSES.RIDE_COMPLETED]: [STATUSES.COMPLETED],
   };
 
@@ -59,10 +115,11 @@ const getValidManualTransitions = (currentStatus) => {
  * Check if a status transition is valid for manual updates
  * @param {string} fromStatus - The current status
  * @param {string} toStatus - The requested new status
+ * @param {Object} [ride] - The ride, to route multi-stop rides through their stops
  * @returns {boolean} True if the transition is valid
  */
-const isValidManualTransition = (fromStatus, toStatus) => {
-  const validTransitions = getValidManualTransitions(fromStatus);
+const isValidManualTransition = (fromStatus, toStatus, ride) => {
+  const validTransitions = getValidManualTransitions(fromStatus, ride);
   return validTransitions.includes(toStatus);
 };
 
@@ -91,7 +148,12 @@ const getMinTimeForStatus = (status, isTestEnv = false) => {
  * @returns {string} Updated ETA value
  */
 const getUpdatedETA = (ride, newStatus) => {
+  const stopNumber = getStopNumber(newStatus);
+  if (stopNumber) return `Arrived at stop ${stopNumber}`;
+
   switch (newStatus) {
+    case STATUSES.SEARCHING:
+      return "Finding a driver";
     case STATUSES.DRIVER_ARRIVED:
       return "Driver has arrived";
     case STATUSES.RIDE_STARTED:
@@ -104,6 +166,39 @@ const getUpdatedETA = (ride, newStatus) => {
   }
 };
 
+/**
+ * Apply a status change to a ride, keeping its stops and ETA in sync
+ * @param {Object} ride - The ride object
+ * @param {string} newStatus - The new status
+ * @returns {Object} A copy of the ride with the new status
+ */
+const applyStatusChange = (ride, newStatus) => {
+  const now = new Date().toISOString();
+  const arrivedAt = getStopNumber(newStatus);
+  const leftStop = getStopNumber(ride.status);
+
+  const updatedRide = {
+    ...ride,
+    status: newStatus,
+    lastUpdated: now,
+  };
+
+  if (ride.stops) {
+    updatedRide.stops = ride.stops.map((stop) => {
+      if (stop.number === arrivedAt) {
+        return { ...stop, status: "arrived", arrivedAt: now };
+      }
+      if (stop.number === leftStop) {
+        return { ...stop, status: "departed", departedAt: now };
+      }
+      return stop;
+    });
+  }
+
+  updatedRide.eta = getUpdatedETA(updatedRide, newStatus);
+  return updatedRide;
+};
+
 /**
  * Check if enough time has passed for a status transition
  * @param {string} lastUpdatedTimestamp - ISO timestamp of last update
@@ -126,6 +221,24 @@ const hasEnoughTimePassed = (
   return elapsedMinutes >= requiredMinTime;
 };
 
+/**
+ * Determine if a ride is booked for later and not dispatched yet
+ * @param {Object} ride - The ride object
+ * @returns {boolean} True if ride is waiting for its scheduled pickup
+ */
+const isScheduledRide = (ride) => {
+  return ride.status === STATUSES.SCHEDULED;
+};
+
+/**
+ * Determine if a ride is still waiting for a driver to accept it
+ * @param {Object} ride - The ride object
+ * @returns {boolean} True if drivers are being offered the ride
+ */
+const isSearchingRide = (ride) => {
+  return ride.status === STATUSES.SEARCHING;
+};
+
 /**
  * Determine if a ride is active
  * @param {Object} ride - The ride object
@@ -139,11 +252,18 @@ const isActiveRide = (ride) => {
 
 module.exports = {
   STATUSES,
+  getStopStatus,
+  getStopNumber,
+  getNextPendingStop,
+  getStopTransition,
   getNextAutomaticStatus,
   getValidManualTransitions,
   isValidManualTransition,
   getMinTimeForStatus,
   getUpdatedETA,
+  applyStatusChange,
   hasEnoughTimePassed,
   isActiveRide,
+  isScheduledRide,
+  isSearchingRide,
 };
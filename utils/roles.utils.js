@@ -0,0 +1,42 @@
+/**
+ * Account role utility
+ * Defines the roles an account can have and how new accounts get one
+ */
+
+// Role constants
+const ROLES = {
+  RIDER: "rider",
+  DRIVER: "driver",
+  ADMIN: "admin",
+};
+
+/**
+ * Check whether a value is a known role
+ * @param {string} role - The role to check
+ * @returns {boolean} True if the role exists
+ */
+const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+/**
+ * Get the role a newly registered account should receive
+ *
+ * Emails listed in the ADMIN_EMAILS environment variable (comma separated)
+ * become admins so a fresh deployment can bootstrap its first admin.
+ *
+ * @param {string} email - The email address used at signup
+ * @returns {string} The role for the new account
+ */
+const getRoleForNewUser = (email) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+
+  return adminEmails.includes(email.toLowerCase()) ? ROLES.ADMIN : ROLES.RIDER;
+};
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  getRoleForNewUser,
+};
@@ -0,0 +1,105 @@
+/**
+ * Scheduled ride utility
+ * Validates pickup times for rides booked in advance and dispatches a
+ * driver once a ride's pickup is within the configured lead time
+ */
+
+// import the in-memory database
+const db = require("./db");
+
+// import utilities
+const rideStatus = require("./rideStatus.utils");
+const dispatch = require("./dispatch.utils");
+
+/**
+ * Read the scheduling settings from the environment
+ * @returns {Object} Scheduling settings
+ */
+const getConfig = () => ({
+  dispatchLeadMinutes: parseFloat(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES || 15),
+  minAdvanceMinutes: parseFloat(process.env.SCHEDULED_MIN_ADVANCE_MINUTES || 30),
+  maxAdvanceDays: parseFloat(process.env.SCHEDULED_MAX_ADVANCE_DAYS || 30),
+  noDriverGraceMinutes: parseFloat(process.env.SCHEDULED_NO_DRIVER_GRACE_MINUTES || 10),
+});
+
+/**
+ * Check that a pickup time is far enough ahead but not too far
+ * @param {Date|string} scheduledFor - Requested pickup time
+ * @returns {string|null} Error message, or null if the time is acceptable
+ */
+const validatePickupTime = (scheduledFor) => {
+  const { minAdvanceMinutes, maxAdvanceDays } = getConfig();
+  const pickupAt = new Date(scheduledFor).getTime();
+
+  if (pickupAt < Date.now() + minAdvanceMinutes * 60 * 1000) {
+    return `Scheduled rides must be booked at least ${minAdvanceMinutes} minutes in advance`;
+  }
+  if (pickupAt > Date.now() + maxAdvanceDays * 24 * 60 * 60 * 1000) {
+    return `Scheduled rides can be booked at most ${maxAdvanceDays} days in advance`;
+  }
+  return null;
+};
+
+/**
+ * Check whether a scheduled ride should get a driver now
+ * @param {Object} ride - The ride object
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True if the pickup is within the dispatch lead time
+ */
+const isDueForDispatch = (ride, now = Date.now()) => {
+  if (!rideStatus.isScheduledRide(ride)) return false;
+
+  const leadMs = getConfig().dispatchLeadMinutes * 60 * 1000;
+  return new Date(ride.scheduled_for).getTime() - leadMs <= now;
+};
+
+/**
+ * Check whether a scheduled ride has gone unassigned too long past its pickup
+ * @param {Object} ride - The ride object
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True once the pickup time plus the grace window has passed
+ */
+const isPastNoDriverGrace = (ride, now = Date.now()) => {
+  const graceMs = getConfig().noDriverGraceMinutes * 60 * 1000;
+  return new Date(ride.scheduled_for).getTime() + graceMs <= now;
+};
+
+/**
+ * Get every scheduled ride that is due for dispatch
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Object[]} Rides to dispatch
+ */
+const getDueRides = (now = Date.now()) => {
+  return db.rides.filter((ride) => isDueForDispatch(ride, now));
+};
+
+/**
+ * Start a scheduled ride: offer it to drivers, or assign the nearest driver
+ * right away when DISPATCH_MODE is "instant". In instant mode a ride still
+ * without a driver once SCHEDULED_NO_DRIVER_GRACE_MINUTES past pickup is
+ * cancelled free of charge and its hold released.
+ * @param {Object} ride - The scheduled ride
+ * @param {Object} [io] - Socket.IO server used to send ride offers
+ * @returns {Promise<Object|null>} The dispatched (or cancelled) ride, or null if no driver is available yet
+ */
+const dispatchScheduledRide = async (ride, io) => {
+  if (dispatch.isOfferMode()) {
+    db.updateRide({ id: ride.id, dispatchedAt: new Date().toISOString() });
+    return dispatch.startDispatch(io, ride.id);
+  }
+
+  const dispatchedRide = dispatch.assignNearest(ride.id);
+  if (!dispatchedRide) {
+    return isPastNoDriverGrace(ride) ? dispatch.cancelForNoDriver(ride) : null;
+  }
+
+  return db.updateRide({ id: ride.id, dispatchedAt: new Date().toISOString() });
+};
+
+module.exports = {
+  validatePickupTime,
+  isDueForDispatch,
+  isPastNoDriverGrace,
+  getDueRides,
+  dispatchScheduledRide,
+};
@@ -0,0 +1,131 @@
+/**
+ * Session utility
+ * Tracks the devices a user is logged in on
+ */
+
+// import dependencies
+const crypto = require("crypto");
+
+// import the in-memory database
+const db = require("./db");
+
+/**
+ * Derive a readable device label from a user agent string
+ * @param {string} userAgent - The User-Agent header
+ * @returns {string} A short label such as "Chrome on Android"
+ */
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+    ["Mobile app", /okhttp|Dart|CFNetwork|Expo/i],
+  ];
+  const platforms = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iOS/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && platform) return `${browser[0]} on ${platform[0]}`;
+  if (browser) return browser[0];
+  if (platform) return platform[0];
+  return "Unknown device";
+};
+
+/**
+ * Record a new login session for a user
+ * @param {Object} user - The user logging in
+ * @param {Object} req - Express request object the login came from
+ * @returns {Object} The new session
+ */
+const createSession = (user, req) => {
+  const userAgent = req.get("user-agent") || "";
+  const now = new Date().toISOString();
+
+  return db.addSession({
+    id: crypto.randomUUID(),
+    userId: user.id,
+    deviceLabel:
+      req.body.deviceLabel || req.get("x-device-label") || describeDevice(userAgent),
+    ip: req.ip,
+    userAgent,
+    createdAt: now,
+    lastSeenAt: now,
+    revokedAt: null,
+  });
+};
+
+/**
+ * Check whether a session can still be used
+ * @param {Object} session - The stored session
+ * @returns {boolean} True if the session exists and is not revoked
+ */
+const isSessionActive = (session) => !!session && !session.revokedAt;
+
+/**
+ * Mark a session as seen now
+ * @param {Object} session - The stored session
+ * @param {string} [ip] - The IP address the session was seen from
+ * @returns {void}
+ */
+const touchSession = (session, ip) => {
+  session.lastSeenAt = new Date().toISOString();
+  if (ip) session.ip = ip;
+};
+
+/**
+ * Revoke a session and every refresh token issued to it
+ * @param {Object} session - The stored session
+ * @returns {void}
+ */
+const revokeSession = (session) => {
+  if (!session.revokedAt) {
+    session.revokedAt = new Date().toISOString();
+  }
+  db.revokeRefreshTokensForSession(session.id);
+};
+
+/**
+ * Revoke every session of a user, optionally keeping one
+ * @param {number} userId - The user whose sessions are revoked
+ * @param {string} [exceptSessionId] - A session to keep (e.g. the current one)
+ * @returns {void}
+ */
+const revokeSessionsForUser = (userId, exceptSessionId) => {
+  db.getSessionsForUser(userId)
+    .filter((session) => session.id !== exceptSessionId)
+    .forEach(revokeSession);
+};
+
+/**
+ * Present a session to its owner
+ * @param {Object} session - The stored session
+ * @param {string} [currentSessionId] - The session making the request
+ * @returns {Object} The session as exposed by the API
+ */
+const toPublicSession = (session, currentSessionId) => ({
+  id: session.id,
+  deviceLabel: session.deviceLabel,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session.id === currentSessionId,
+});
+
+module.exports = {
+  describeDevice,
+  createSession,
+  isSessionActive,
+  touchSession,
+  revokeSession,
+  revokeSessionsForUser,
+  toPublicSession,
+};
@@ -0,0 +1,133 @@
+/**
+ * Surge pricing utility
+ * Derives a fare multiplier from the number of recent ride requests per
+ * active driver around a pickup. The multiplier is capped and smoothed over
+ * time so prices do not jump with every single request.
+ */
+
+// import the in-memory database
+const db = require("./db");
+
+// Last smoothed multiplier per area, keyed by "<lon>,<lat>" grid cell
+const areas = new Map();
+
+/**
+ * Read the surge settings from the environment
+ * @returns {Object} Surge settings
+ */
+const getConfig = () => ({
+  enabled: process.env.SURGE_ENABLED !== "false",
+  radiusKm: parseFloat(process.env.SURGE_RADIUS_KM || 5),
+  windowMinutes: parseFloat(process.env.SURGE_WINDOW_MINUTES || 10),
+  sensitivity: parseFloat(process.env.SURGE_SENSITIVITY || 0.5),
+  maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER || 3),
+  smoothingSeconds: parseFloat(process.env.SURGE_SMOOTHING_SECONDS || 300),
+});
+
+/**
+ * Build the area key for a location (a grid cell of about 10 km)
+ * @param {number[]} coordinates - Location [longitude, latitude]
+ * @returns {string} Area key
+ */
+const areaKey = (coordinates) => {
+  return coordinates.map((value) => (Math.round(value * 10) / 10).toFixed(1)).join(",");
+};
+
+/**
+ * Count recent ride requests and active drivers around a pickup
+ * @param {number[]} coordinates - Pickup coordinates [longitude, latitude]
+ * @returns {{requests: number, drivers: number}} Demand and supply near the pickup
+ */
+const getDemand = (coordinates) => {
+  const { radiusKm, windowMinutes } = getConfig();
+  const since = Date.now() - windowMinutes * 60 * 1000;
+  const isNearby = (point) => db.calculateDistance(coordinates, point) <= radiusKm;
+
+  const requests = db.rides.filter(
+    (ride) =>
+      new Date(ride.date).getTime() >= since &&
+      Array.isArray(ride.pickup_coordinates) &&
+      isNearby(ride.pickup_coordinates)
+  ).length;
+
+  const drivers = db
+    .getActiveDrivers()
+    .filter((driver) => isNearby(driver.location.coordinates)).length;
+
+  return { requests, drivers };
+};
+
+/**
+ * Turn demand into an unsmoothed multiplier. Surge starts once there is
+ * more than one recent request per driver.
+ * @param {{requests: number, drivers: number}} demand - Demand near the pickup
+ * @returns {number} Raw multiplier between 1 and the configured cap
+ */
+const getRawMultiplier = ({ requests, drivers }) => {
+  const { sensitivity, maxMultiplier } = getConfig();
+  const ratio = requests / Math.max(drivers, 1);
+
+  if (ratio <= 1) return 1;
+  return Math.min(1 + (ratio - 1) * sensitivity, maxMultiplier);
+};
+
+/**
+ * Smooth the raw multiplier for an area towards its last reading
+ * @param {number[]} coordinates - Pickup coordinates [longitude, latitude]
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Unrounded smoothed multiplier
+ */
+const getSmoothedMultiplier = (coordinates, now) => {
+  const config = getConfig();
+  const raw = getRawMultiplier(getDemand(coordinates));
+
+  // Move towards the raw value by how much time passed since the last
+  // reading (an exponential moving average); new areas start without surge
+  const previous = areas.get(areaKey(coordinates)) || { multiplier: 1, updatedAt: now };
+  const elapsedSeconds = (now - previous.updatedAt) / 1000;
+  const weight = 1 - Math.exp(-elapsedSeconds / config.smoothingSeconds);
+  return previous.multiplier + (raw - previous.multiplier) * weight;
+};
+
+/**
+ * Round a smoothed multiplier for pricing
+ * @param {number} multiplier - Smoothed multiplier
+ * @returns {number} Multiplier rounded to one decimal and capped
+ */
+const roundMultiplier = (multiplier) => {
+  return Math.min(Math.round(multiplier * 10) / 10, getConfig().maxMultiplier);
+};
+
+/**
+ * Get the current surge multiplier for a pickup without recording a
+ * reading, e.g. for quotes
+ * @param {number[]} coordinates - Pickup coordinates [longitude, latitude]
+ * @returns {number} Multiplier rounded to one decimal (1 means no surge)
+ */
+const getSurgeMultiplier = (coordinates) => {
+  if (!getConfig().enabled) return 1;
+
+  return roundMultiplier(getSmoothedMultiplier(coordinates, Date.now()));
+};
+
+/**
+ * Take a surge reading for a ride request: get the current multiplier and
+ * store it as the area's latest reading
+ * @param {number[]} coordinates - Pickup coordinates [longitude, latitude]
+ * @returns {number} Multiplier rounded to one decimal (1 means no surge)
+ */
+const recordSurgeMultiplier = (coordinates) => {
+  if (!getConfig().enabled) return 1;
+
+  const now = Date.now();
+  const smoothed = getSmoothedMultiplier(coordinates, now);
+  areas.set(areaKey(coordinates), { multiplier: smoothed, updatedAt: now });
+
+  return roundMultiplier(smoothed);
+};
+
+module.exports = {
+  getDemand,
+  getSurgeMultiplier,
+  recordSurgeMultiplier,
+};
@@ -0,0 +1,264 @@
+/**
+ * Token utility
+ * Issues and verifies access tokens (JWT) and refresh tokens
+ */
+
+// import dependencies
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// import the in-memory database
+const db = require("./db");
+
+/**
+ * Get the secret used to sign access tokens
+ * @returns {string} The JWT secret
+ */
+const getJwtSecret = () => process.env.JWT_SECRET || "test_secret";
+
+/**
+ * Get the lifetime of a refresh token in milliseconds
+ * @returns {number} Refresh token lifetime in milliseconds
+ */
+const getRefreshTokenTTL = () => {
+  const days = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+  return days * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Hash an opaque token so it is never stored in plain text
+ * @param {string} token - The raw token
+ * @returns {string} SHA-256 hex digest of the token
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - The user the token is issued to
+ * @param {string} [sessionId] - The login session the token belongs to
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user, sessionId) => {
+  const payload = sessionId ? { id: user.id, sid: sessionId } : { id: user.id };
+  return jwt.sign(payload, getJwtSecret(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || "1h",
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+/**
+ * Verify an access token and make sure it has not been revoked
+ * @param {string} token - The JWT to verify
+ * @returns {Object} The decoded token payload
+ * @throws {Error} If the token is invalid, expired or revoked
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+
+  // Purpose-bound tokens (e.g. 2FA challenges) never grant API access
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+
+  if (decoded.jti && db.isAccessTokenRevoked(decoded.jti)) {
+    const error = new Error("Token revoked");
+    error.name = "TokenRevokedError";
+    throw error;
+  }
+
+  return decoded;
+};
+
+/**
+ * Revoke an access token until it would have expired anyway
+ * @param {Object} decoded - The decoded token payload
+ * @returns {void}
+ */
+const revokeAccessToken = (decoded) => {
+  if (!decoded || !decoded.jti) return;
+  const expiresAt = decoded.exp
+    ? new Date(decoded.exp * 1000).toISOString()
+    : new Date(Date.now() + getRefreshTokenTTL()).toISOString();
+  db.revokeAccessToken(decoded.jti, expiresAt);
+};
+
+/**
+ * Issue a new refresh token for a user
+ * @param {Object} user - The user the token is issued to
+ * @param {string} [sessionId] - The login session the token belongs to
+ * @returns {string} The raw refresh token (only returned once)
+ */
+const issueRefreshToken = (user, sessionId) => {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  db.addRefreshToken({
+    id: crypto.randomUUID(),
+    userId: user.id,
+    sessionId: sessionId || null,
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + getRefreshTokenTTL()).toISOString(),
+    revokedAt: null,
+  });
+
+  return token;
+};
+
+/**
+ * Find the stored record for a raw refresh token
+ * @param {string} token - The raw refresh token
+ * @returns {Object|undefined} The stored refresh token record
+ */
+const findRefreshToken = (token) => {
+  return db.findRefreshTokenByHash(hashToken(token));
+};
+
+/**
+ * Check whether a refresh token record can still be used
+ * @param {Object} record - The stored refresh token record
+ * @returns {boolean} True if the token is neither revoked nor expired
+ */
+const isRefreshTokenUsable = (record) => {
+  return (
+    !!record &&
+    !record.revokedAt &&
+    new Date(record.expiresAt).getTime() > Date.now()
+  );
+};
+
+/**
+ * Issue a fresh access/refresh token pair for a user
+ * @param {Object} user - The user the tokens are issued to
+ * @param {string} [sessionId] - The login session the tokens belong to
+ * @returns {{token: string, refreshToken: string}} The token pair
+ */
+const issueTokenPair = (user, sessionId) => {
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: issueRefreshToken(user, sessionId),
+  };
+};
+
+/**
+ * Sign a token that may only be used for one specific purpose
+ * @param {Object} payload - Claims to embed in the token
+ * @param {string} purpose - What the token may be used for (e.g. "2fa_challenge")
+ * @param {string} expiresIn - Lifetime of the token (e.g. "5m")
+ * @returns {string} Signed JWT
+ */
+const signPurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, getJwtSecret(), {
+    expiresIn,
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+/**
+ * Verify a purpose-bound token
+ * @param {string} token - The token to verify
+ * @param {string} purpose - The purpose the token must have been issued for
+ * @returns {Object} The decoded token payload
+ * @throws {Error} If the token is invalid, expired, already used or of another type
+ */
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  if (db.isAccessTokenRevoked(decoded.jti)) {
+    const error = new Error("Token revoked");
+    error.name = "TokenRevokedError";
+    throw error;
+  }
+
+  return decoded;
+};
+
+/**
+ * Sign a short-lived challenge token proving the password step of a
+ * two-factor login succeeded
+ * @param {Object} user - The user logging in
+ * @returns {string} Signed JWT
+ */
+const signTwoFactorChallenge = (user) => {
+  return signPurposeToken(
+    { id: user.id },
+    "2fa_challenge",
+    process.env.TWO_FACTOR_CHALLENGE_TTL || "5m"
+  );
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - The challenge token
+ * @returns {Object} The decoded token payload
+ * @throws {Error} If the token is invalid, expired, already used or of another type
+ */
+const verifyTwoFactorChallenge = (token) => {
+  return verifyPurposeToken(token, "2fa_challenge");
+};
+
+/**
+ * Issue a single-use token for a user, invalidating earlier ones
+ * @param {Object} user - The user the token is issued to
+ * @param {string} purpose - What the token may be used for (e.g. "password_reset")
+ * @param {number} ttlMs - Lifetime of the token in milliseconds
+ * @returns {string} The raw token (only returned once)
+ */
+const issueOneTimeToken = (user, purpose, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  db.invalidateOneTimeTokens(user.id, purpose);
+  db.addOneTimeToken({
+    id: crypto.randomUUID(),
+    userId: user.id,
+    purpose,
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+    usedAt: null,
+  });
+
+  return token;
+};
+
+/**
+ * Consume a single-use token
+ * @param {string} purpose - The purpose the token was issued for
+ * @param {string} token - The raw token
+ * @returns {Object|null} The token record, or null if unknown, used or expired
+ */
+const consumeOneTimeToken = (purpose, token) => {
+  const record = db.findOneTimeToken(purpose, hashToken(token));
+
+  if (
+    !record ||
+    record.usedAt ||
+    new Date(record.expiresAt).getTime() <= Date.now()
+  ) {
+    return null;
+  }
+
+  record.usedAt = new Date().toISOString();
+  return record;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  revokeAccessToken,
+  issueRefreshToken,
+  findRefreshToken,
+  isRefreshTokenUsable,
+  issueTokenPair,
+  signPurposeToken,
+  verifyPurposeToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  issueOneTimeToken,
+  consumeOneTimeToken,
+};
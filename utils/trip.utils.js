@@ -0,0 +1,280 @@
+/**
+ * Trip utility
+ * Resolves trip coordinates and estimates the fare, ETAs and driver for a
+ * pickup/destination pair. Shared by quotes and bookings so both agree.
+ */
+
+// import dependencies
+const axios = require("axios");
+
+// import the in-memory database
+const db = require("./db");
+
+// import the fare calculation
+const pricing = require("./pricing.utils");
+const surge = require("./surge.utils");
+const vehicleClasses = require("./vehicleClass.utils");
+const driverAvailability = require("./driverAvailability.utils");
+
+/**
+ * Pick a random location roughly 5km around a point
+ * @param {number[]} coordinates - Center point [longitude, latitude]
+ * @returns {number[]} Nearby coordinates [longitude, latitude]
+ */
+const randomNearby = (coordinates) => {
+  const randomOffset = () => (Math.random() - 0.5) * 0.1; // ~5km random offset
+  return [coordinates[0] + randomOffset(), coordinates[1] + randomOffset()];
+};
+
+/**
+ * Resolve the destination coordinates of a trip, geocoding the destination
+ * name with Nominatim when no coordinates were supplied
+ * @param {string} destination - Destination name
+ * @param {number[]} pickupCoordinates - Pickup coordinates [longitude, latitude]
+ * @param {number[]} [destinationCoordinates] - Known destination coordinates
+ * @returns {Promise<number[]>} Destination coordinates [longitude, latitude]
+ */
+const resolveDestinationCoordinates = async (
+  destination,
+  pickupCoordinates,
+  destinationCoordinates
+) => {
+  let destCoords = destinationCoordinates;
+
+  if (!destCoords) {
+    try {
+      // Try to get coordinates from the destination name using Nominatim
+      const response = await axios.get(
+        "https://nominatim.openstreetmap.org/search",
+        {
+          params: {
+            q: destination,
+            format: "json",
+            limit: 1,
+          },
+          headers: {
+            "User-Agent": "RideBookingApp/1.0 (your.email@example.com)",
+          },
+        }
+      );
+
+      if (response.data && response.data.length > 0) {
+        destCoords = [
+          parseFloat(response.data[0].lon),
+          parseFloat(response.data[0].lat),
+        ];
+      } else {
+        // If no coordinates found, use a random location nearby the pickup
+        console.log("No destination coordinates found, using random offset");
+        destCoords = randomNearby(pickupCoordinates);
+      }
+    } catch (error) {
+      console.error("Failed to geocode destination:", error.message);
+      // If geocoding fails, use a random location nearby the pickup
+      destCoords = randomNearby(pickupCoordinates);
+    }
+  }
+
+  if (!Array.isArray(destCoords) || destCoords.length !== 2) {
+    console.error("Invalid destination coordinates, using random offset", destCoords);
+    destCoords = randomNearby(pickupCoordinates);
+  }
+
+  return destCoords;
+};
+
+/**
+ * Resolve the coordinates of a ride's intermediate stops, in order
+ * @param {Object[]} stops - Stops with an `address` and optional `coordinates`
+ * @param {number[]} pickupCoordinates - Pickup coordinates [longitude, latitude]
+ * @returns {Promise<Object[]>} Stops with `address` and `coordinates`
+ */
+const resolveStops = async (stops = [], pickupCoordinates) => {
+  const resolved = [];
+  let previous = pickupCoordinates;
+
+  // Geocode one by one so a failed lookup falls back near the previous point
+  for (const stop of stops) {
+    const coordinates = await resolveDestinationCoordinates(
+      stop.address,
+      previous,
+      stop.coordinates
+    );
+    resolved.push({ address: stop.address, coordinates });
+    previous = coordinates;
+  }
+
+  return resolved;
+};
+
+/**
+ * Calculate the length of a route through several points
+ * @param {number[][]} points - Route points in order [longitude, latitude]
+ * @returns {number} Total distance in kilometers
+ */
+const calculateRouteDistance = (points) => {
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += db.calculateDistance(points[i - 1], points[i]);
+  }
+  return distance;
+};
+
+/**
+ * Describe a driver's assignment to a pickup: who is coming, in what, and when
+ * @param {Object} driver - The driver
+ * @param {number[]} pickupCoordinates - Pickup coordinates [longitude, latitude]
+ * @returns {Object} Driver, vehicle and pickup ETA
+ */
+const describeAssignment = (driver, pickupCoordinates) => {
+  const distance = parseFloat(
+    db.calculateDistance(pickupCoordinates, driver.location.coordinates).toFixed(2)
+  );
+
+  return {
+    eta: db.calculateETA(distance),
+    estimated_arrival: new Date(
+      Date.now() + (distance * 60 * 60 * 1000) / 30 // Convert km to ms at 30km/h
+    ).toISOString(),
+    driver: {
+      id: driver.id,
+      name: driver.name,
+      rating: driver.rating,
+      location: driver.location.address,
+    },
+    vehicle: {
+      model: driver.vehicle.model,
+      color: driver.vehicle.color,
+      plate: driver.vehicle.plate,
+      class: driver.vehicle.class,
+      capacity: vehicleClasses.getDriverCapacity(driver),
+    },
+  };
+};
+
+/**
+ * Find the nearest free, suitable driver for a pickup and describe them for a ride
+ * @param {number[]} pickupCoordinates - Pickup coordinates [longitude, latitude]
+ * @param {Object} [options] - Ride requirements
+ * @param {string} [options.vehicleClass] - Requested vehicle class
+ * @param {number} [options.passengers=1] - Number of passengers
+ * @param {number[]} [options.freeDriverIds=[]] - Busy drivers to count as free (e.g. the driver of a ride being replaced)
+ * @returns {Object|null} Driver, vehicle and pickup ETA, or null if no driver is available
+ */
+const assignDriver = (
+  pickupCoordinates,
+  { vehicleClass, passengers = 1, freeDriverIds = [] } = {}
+) => {
+  // Find the nearest free driver whose vehicle fits the ride
+  const canServe = vehicleClasses.canServe(vehicleClass, passengers);
+  const nearestDriver = db.findNearestDriver(
+    pickupCoordinates,
+    (driver) =>
+      canServe(driver) &&
+      (driverAvailability.isFree(driver) || freeDriverIds.includes(driver.id))
+  );
+  if (!nearestDriver) return null;
+
+  return {
+    nearestDriver,
+    ...describeAssignment(nearestDriver, pickupCoordinates),
+  };
+};
+
+/**
+ * Price a trip between two points, optionally through intermediate stops
+ * @param {number[]} pickupCoordinates - Pickup coordinates [longitude, latitude]
+ * @param {number[]} destinationCoordinates - Destination coordinates [longitude, latitude]
+ * @param {Object} [options] - Pricing options
+ * @param {number} [options.surgeMultiplier=1] - Demand multiplier to apply
+ * @param {number[][]} [options.stopCoordinates=[]] - Coordinates of the stops in order
+ * @param {string} [options.vehicleClass] - Requested vehicle class
+ * @returns {Object} Distance, cost, fare breakdown and ride duration
+ */
+const priceTrip = (
+  pickupCoordinates,
+  destinationCoordinates,
+  { surgeMultiplier = 1, stopCoordinates = [], vehicleClass } = {}
+) => {
+  // Calculate distance over every leg from pickup to destination
+  const distance = calculateRouteDistance([
+    pickupCoordinates,
+    ...stopCoordinates,
+    destinationCoordinates,
+  ]);
+
+  const fare = pricing.calculateFare({
+    pickupCoordinates,
+    distance,
+    surgeMultiplier,
+    vehicleClass,
+  });
+
+  return {
+    distance: parseFloat(distance.toFixed(2)),
+    cost: fare.total,
+    fare_breakdown: fare,
+    surge_multiplier: surgeMultiplier,
+    ride_duration: db.calculateETA(distance),
+  };
+};
+
+/**
+ * Estimate an immediate trip between two points, with current surge pricing
+ * @param {number[]} pickupCoordinates - Pickup coordinates [longitude, latitude]
+ * @param {number[]} destinationCoordinates - Destination coordinates [longitude, latitude]
+ * @param {Object} [options] - Trip options
+ * @param {number[][]} [options.stopCoordinates=[]] - Coordinates of the stops in order
+ * @param {string} [options.vehicleClass] - Requested vehicle class
+ * @param {number} [options.passengers=1] - Number of passengers
+ * @param {number[]} [options.freeDriverIds=[]] - Busy drivers to count as free (see assignDriver)
+ * @param {boolean} [options.recordSurge=true] - Whether this is a ride request that counts as a surge reading (false for quotes)
+ * @returns {Object|null} The estimate, or null if no driver is available
+ */
+const estimateTrip = (
+  pickupCoordinates,
+  destinationCoordinates,
+  { stopCoordinates = [], vehicleClass, passengers = 1, freeDriverIds = [], recordSurge = true } = {}
+) => {
+  const assignment = assignDriver(pickupCoordinates, { vehicleClass, passengers, freeDriverIds });
+  if (!assignment) return null;
+
+  const surgeMultiplier = recordSurge
+    ? surge.recordSurgeMultiplier(pickupCoordinates)
+    : surge.getSurgeMultiplier(pickupCoordinates);
+
+  return {
+    ...assignment,
+    ...priceTrip(pickupCoordinates, destinationCoordinates, {
+      surgeMultiplier,
+      stopCoordinates,
+      vehicleClass,
+    }),
+  };
+};
+
+/**
+ * Check whether two coordinate pairs describe the same point
+ * @param {number[]} a - First coordinates [longitude, latitude]
+ * @param {number[]} b - Second coordinates [longitude, latitude]
+ * @returns {boolean} True if both coordinates match to about a meter
+ */
+const sameCoordinates = (a, b) => {
+  return (
+    Array.isArray(a) &&
+    Array.isArray(b) &&
+    Math.abs(a[0] - b[0]) < 1e-5 &&
+    Math.abs(a[1] - b[1]) < 1e-5
+  );
+};
+
+module.exports = {
+  resolveDestinationCoordinates,
+  resolveStops,
+  calculateRouteDistance,
+  describeAssignment,
+  assignDriver,
+  priceTrip,
+  estimateTrip,
+  sameCoordinates,
+};
@@ -0,0 +1,43 @@
+/**
+ * User utility
+ * Shared helpers for looking up and presenting user accounts
+ */
+
+// import the in-memory database
+const db = require("./db");
+
+/**
+ * Find a user by email, ignoring case
+ * @param {string} email - The email address to look up
+ * @returns {Object|undefined} The matching user
+ */
+const findUserByEmail = (email) => {
+  return db.users.find(
+    (user) => user.email.toLowerCase() === String(email).toLowerCase()
+  );
+};
+
+/**
+ * Strip credentials and internal fields from a user before returning it
+ * @param {Object} user - The stored user
+ * @returns {Object} The user as exposed by the API
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone || null,
+  avatarUrl: user.avatarUrl || null,
+  role: user.role,
+  emailVerified: !!user.emailVerified,
+  driverId: user.driverId,
+  rating: user.rating ?? null,
+  ratingCount: user.ratingCount || 0,
+  lockedUntil: user.lockedUntil || null,
+  createdAt: user.createdAt,
+});
+
+module.exports = {
+  findUserByEmail,
+  toPublicUser,
+};
@@ -0,0 +1,85 @@
+/**
+ * Vehicle class utility
+ * Defines the car sizes riders can book, which drivers may serve each of
+ * them, and how each class affects the fare
+ */
+
+/**
+ * Bookable vehicle classes. `servedBy` lists the driver classes that can
+ * take a ride of this class (an XL car can always take an Economy ride).
+ */
+const VEHICLE_CLASSES = {
+  economy: {
+    name: "Economy",
+    priceMultiplier: 1,
+    defaultCapacity: 4,
+    servedBy: ["economy", "xl"],
+  },
+  xl: {
+    name: "XL",
+    priceMultiplier: 1.5,
+    defaultCapacity: 6,
+    servedBy: ["xl"],
+  },
+  premium: {
+    name: "Premium",
+    priceMultiplier: 2,
+    defaultCapacity: 4,
+    servedBy: ["premium"],
+  },
+  accessible: {
+    name: "Accessible",
+    priceMultiplier: 1,
+    defaultCapacity: 4,
+    servedBy: ["accessible"],
+  },
+};
+
+const DEFAULT_VEHICLE_CLASS = "economy";
+
+/**
+ * Get the settings of a vehicle class
+ * @param {string} [vehicleClass] - Class key (defaults to Economy)
+ * @returns {Object} The class settings
+ */
+const getVehicleClass = (vehicleClass = DEFAULT_VEHICLE_CLASS) => {
+  return VEHICLE_CLASSES[vehicleClass] || VEHICLE_CLASSES[DEFAULT_VEHICLE_CLASS];
+};
+
+/**
+ * Get the class of a driver's vehicle
+ * @param {Object} driver - The driver
+ * @returns {string} Class key (vehicles without one count as Economy)
+ */
+const getDriverClass = (driver) => {
+  return driver.vehicle?.class || DEFAULT_VEHICLE_CLASS;
+};
+
+/**
+ * Get how many passengers a driver's vehicle can take
+ * @param {Object} driver - The driver
+ * @returns {number} Seat capacity
+ */
+const getDriverCapacity = (driver) => {
+  return driver.vehicle?.capacity || getVehicleClass(getDriverClass(driver)).defaultCapacity;
+};
+
+/**
+ * Build a filter for drivers that can serve a ride
+ * @param {string} [vehicleClass] - Requested class (defaults to Economy)
+ * @param {number} [passengers=1] - Number of passengers
+ * @returns {Function} Predicate taking a driver
+ */
+const canServe = (vehicleClass, passengers = 1) => {
+  const { servedBy } = getVehicleClass(vehicleClass);
+  return (driver) =>
+    servedBy.includes(getDriverClass(driver)) && getDriverCapacity(driver) >= passengers;
+};
+
+module.exports = {
+  VEHICLE_CLASSES,
+  DEFAULT_VEHICLE_CLASS,
+  getVehicleClass,
+  getDriverCapacity,
+  canServe,
+};